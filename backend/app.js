@@ -2,414 +2,121 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { Pool } = require('pg');
-const redis = require('redis');
-
-const app = express();
-const PORT = process.env.PORT || 8000;
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(morgan('combined'));
-
-// Database Configuration
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'ecommerce',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
-
-// Redis Configuration
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
-  socket: {
-    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
-  }
-});
-
-redisClient.on('error', (err) => console.error('Redis Client Error', err));
-redisClient.connect().catch(console.error);
-
-// Health Check Endpoint
-app.get('/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    const redisStatus = redisClient.isReady ? 'connected' : 'disconnected';
-    
-    res.status(200).json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      database: 'connected',
-      redis: redisStatus,
-      uptime: process.uptime(),
-      version: '1.0.0'
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: 'unhealthy',
-      error: error.message
-    });
-  }
-});
-
-// API Routes
-
-// Get all products with caching
-app.get('/api/products', async (req, res) => {
-  const cacheKey = 'products:all';
-  
-  try {
-    // Check cache first
-    const cachedData = await redisClient.get(cacheKey);
-    if (cachedData) {
-      return res.json({
-        source: 'cache',
-        data: JSON.parse(cachedData)
+const { createProductService } = require('./services/productService');
+const { createOrderService } = require('./services/orderService');
+const { createCartService } = require('./services/cartService');
+const { createStatsService } = require('./services/statsService');
+const { createPaymentService } = require('./services/paymentService');
+const { createPaymentProvider } = require('./services/paymentProviders');
+const { createReturnService } = require('./services/returnService');
+const { createDocumentService } = require('./services/documentService');
+const { PAYMENTS, INVOICES } = require('./config');
+const { createAuthRouter, createUserRouter } = require('./routes/auth');
+const { createCategoryRouter } = require('./routes/categories');
+const { createProductRouter } = require('./routes/products');
+const { createVariantRouter } = require('./routes/variants');
+const { createOrderRouter } = require('./routes/orders');
+const { createCustomerRouter } = require('./routes/customers');
+const { createCouponRouter } = require('./routes/coupons');
+const { createCartRouter } = require('./routes/cart');
+const { createStatsRouter } = require('./routes/stats');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createPaymentRouter } = require('./routes/payments');
+const { createReturnRouter } = require('./routes/returns');
+const { createDocumentRouter } = require('./routes/documents');
+
+// Build the Express app around a database (a pg Pool or anything with the same
+// query/connect interface) and a Redis client. Nothing here opens connections
+// or listens, so tests can pass in fakes and drive the app with supertest.
+// The payment provider defaults to the one configured by PAYMENT_PROVIDER.
+const createApp = ({ db, cache, paymentProvider }) => {
+  const app = express();
+  // For authenticate, which loads the user of each request
+  app.locals.db = db;
+
+  const productService = createProductService({ db, cache });
+  const orderService = createOrderService({ db, cache, productService });
+  const cartService = createCartService({ db, cache, productService });
+  const statsService = createStatsService({ db });
+  const paymentService = createPaymentService({
+    db,
+    currency: PAYMENTS.currency,
+    // The mock provider delivers its webhooks in-process
+    provider: paymentProvider || createPaymentProvider(PAYMENTS, {
+      deliverWebhook: (rawBody, headers) => paymentService.handleWebhook(rawBody, headers)
+    })
+  });
+  const returnService = createReturnService({ db, productService, paymentService });
+  const documentService = createDocumentService({ db, store: INVOICES, currency: PAYMENTS.currency });
+
+  // Middleware
+  app.use(helmet());
+  app.use(cors());
+  // Catalog imports can be much larger than a regular request body
+  app.use('/api/products/import', express.json({ limit: '5mb' }), express.text({ type: 'text/csv', limit: '5mb' }));
+  // Webhook signatures cover the exact bytes sent
+  app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
+  app.use(express.json());
+  app.use(morgan('combined'));
+
+  // Health Check Endpoint
+  app.get('/health', async (req, res) => {
+    try {
+      await db.query('SELECT 1');
+      const redisStatus = cache.isReady ? 'connected' : 'disconnected';
+
+      res.status(200).json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        database: 'connected',
+        redis: redisStatus,
+        uptime: process.uptime(),
+        version: '1.0.0'
       });
-    }
-
-    // Query database
-    const result = await pool.query(`
-      SELECT id, name, description, price, category, stock, image_url, created_at
-      FROM products
-      WHERE is_active = true
-      ORDER BY created_at DESC
-    `);
-
-    // Cache the result for 5 minutes
-    await redisClient.setEx(cacheKey, 300, JSON.stringify(result.rows));
-
-    res.json({
-      source: 'database',
-      data: result.rows
-    });
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get single product by ID
-app.get('/api/products/:id', async (req, res) => {
-  const { id } = req.params;
-  const cacheKey = `product:${id}`;
-
-  try {
-    // Check cache
-    const cachedData = await redisClient.get(cacheKey);
-    if (cachedData) {
-      return res.json({
-        source: 'cache',
-        data: JSON.parse(cachedData)
+    } catch (error) {
+      res.status(503).json({
+        status: 'unhealthy',
+        error: error.message
       });
     }
-
-    const result = await pool.query(
-      'SELECT * FROM products WHERE id = $1 AND is_active = true',
-      [id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    // Cache for 10 minutes
-    await redisClient.setEx(cacheKey, 600, JSON.stringify(result.rows[0]));
-
-    res.json({
-      source: 'database',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error fetching product:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Create new product
-app.post('/api/products', async (req, res) => {
-  const { name, description, price, category, stock, image_url } = req.body;
-
-  // Validation
-  if (!name || !price || !category) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  try {
-    const result = await pool.query(
-      `INSERT INTO products (name, description, price, category, stock, image_url)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [name, description, price, category, stock || 0, image_url]
-    );
-
-    // Invalidate cache
-    await redisClient.del('products:all');
-
-    res.status(201).json({
-      message: 'Product created successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error creating product:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Update product
-app.put('/api/products/:id', async (req, res) => {
-  const { id } = req.params;
-  const { name, description, price, category, stock, image_url } = req.body;
-
-  try {
-    const result = await pool.query(
-      `UPDATE products
-       SET name = COALESCE($1, name),
-           description = COALESCE($2, description),
-           price = COALESCE($3, price),
-           category = COALESCE($4, category),
-           stock = COALESCE($5, stock),
-           image_url = COALESCE($6, image_url),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $7 AND is_active = true
-       RETURNING *`,
-      [name, description, price, category, stock, image_url, id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    // Invalidate cache
-    await redisClient.del('products:all');
-    await redisClient.del(`product:${id}`);
-
-    res.json({
-      message: 'Product updated successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error updating product:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Delete product (soft delete)
-app.delete('/api/products/:id', async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    const result = await pool.query(
-      'UPDATE products SET is_active = false WHERE id = $1 RETURNING id',
-      [id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    // Invalidate cache
-    await redisClient.del('products:all');
-    await redisClient.del(`product:${id}`);
-
-    res.json({ message: 'Product deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get all orders
-app.get('/api/orders', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT o.id, o.customer_name, o.customer_email, o.total_amount, 
-             o.status, o.created_at,
-             json_agg(
-               json_build_object(
-                 'product_id', oi.product_id,
-                 'product_name', p.name,
-                 'quantity', oi.quantity,
-                 'price', oi.price
-               )
-             ) as items
-      FROM orders o
-      LEFT JOIN order_items oi ON o.id = oi.order_id
-      LEFT JOIN products p ON oi.product_id = p.id
-      GROUP BY o.id
-      ORDER BY o.created_at DESC
-    `);
-
-    res.json({ data: result.rows });
-  } catch (error) {
-    console.error('Error fetching orders:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Create new order
-app.post('/api/orders', async (req, res) => {
-  const { customer_name, customer_email, items } = req.body;
-
-  if (!customer_name || !customer_email || !items || items.length === 0) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Calculate total amount
-    let total_amount = 0;
-    for (const item of items) {
-      const productResult = await client.query(
-        'SELECT price, stock FROM products WHERE id = $1 AND is_active = true',
-        [item.product_id]
-      );
-
-      if (productResult.rows.length === 0) {
-        throw new Error(`Product ${item.product_id} not found`);
-      }
-
-      const product = productResult.rows[0];
-      
-      if (product.stock < item.quantity) {
-        throw new Error(`Insufficient stock for product ${item.product_id}`);
-      }
-
-      total_amount += product.price * item.quantity;
-    }
-
-    // Create order
-    const orderResult = await client.query(
-      `INSERT INTO orders (customer_name, customer_email, total_amount, status)
-       VALUES ($1, $2, $3, 'pending')
-       RETURNING *`,
-      [customer_name, customer_email, total_amount]
-    );
-
-    const order = orderResult.rows[0];
-
-    // Create order items and update stock
-    for (const item of items) {
-      const productResult = await client.query(
-        'SELECT price FROM products WHERE id = $1',
-        [item.product_id]
-      );
-
-      await client.query(
-        `INSERT INTO order_items (order_id, product_id, quantity, price)
-         VALUES ($1, $2, $3, $4)`,
-        [order.id, item.product_id, item.quantity, productResult.rows[0].price]
-      );
-
-      await client.query(
-        'UPDATE products SET stock = stock - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+  });
+
+  // API Routes
+  app.use('/api/auth', createAuthRouter({ db, cartService }));
+  app.use('/api/users', createUserRouter({ db }));
+  app.use('/api/categories', createCategoryRouter({ db, cache, productService }));
+  app.use('/api/products', createProductRouter({ db, cache, productService }));
+  app.use('/api/products', createVariantRouter({ db, productService }));
+  app.use('/api/orders', createOrderRouter({ db, productService, orderService, paymentService }));
+  app.use('/api/orders', createReturnRouter({ returnService }));
+  app.use('/api/orders', createDocumentRouter({ documentService }));
+  app.use('/api/customers', createCustomerRouter({ db, orderService }));
+  app.use('/api/coupons', createCouponRouter({ db }));
+  app.use('/api/cart', createCartRouter({ db, cache, cartService, orderService }));
+  app.use('/api/stats', createStatsRouter({ statsService }));
+  app.use('/api/analytics', createAnalyticsRouter({ statsService }));
+  app.use('/api/payments', createPaymentRouter({ paymentService }));
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    // Malformed or oversized bodies rejected by the body parsers
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON' });
     }
-
-    await client.query('COMMIT');
-
-    // Invalidate product cache
-    await redisClient.del('products:all');
-
-    res.status(201).json({
-      message: 'Order created successfully',
-      data: order
-    });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error creating order:', error);
-    res.status(500).json({ error: error.message });
-  } finally {
-    client.release();
-  }
-});
-
-// Update order status
-app.patch('/api/orders/:id/status', async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-  
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
-
-  try {
-    const result = await pool.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [status, id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
     }
 
-    res.json({
-      message: 'Order status updated successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error updating order:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get order statistics
-app.get('/api/stats', async (req, res) => {
-  try {
-    const stats = await pool.query(`
-      SELECT 
-        COUNT(DISTINCT o.id) as total_orders,
-        COUNT(DISTINCT p.id) as total_products,
-        COALESCE(SUM(o.total_amount), 0) as total_revenue,
-        COUNT(DISTINCT CASE WHEN o.status = 'pending' THEN o.id END) as pending_orders
-      FROM orders o
-      CROSS JOIN products p
-      WHERE p.is_active = true
-    `);
-
-    res.json({ data: stats.rows[0] });
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  await pool.end();
-  await redisClient.quit();
-  process.exit(0);
-});
+    console.error(err.stack);
+    res.status(500).json({ error: 'Something went wrong!' });
+  });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-});
+  return app;
+};
 
-module.exports = app;
\ No newline at end of file
+module.exports = { createApp };
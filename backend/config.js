@@ -0,0 +1,71 @@
+// Authentication Configuration
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-only-insecure-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+// Read a number from the environment; unset or empty uses the default
+const numberFromEnv = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? defaultValue : Number(value);
+};
+
+// Order Pricing Configuration
+// Tax rates by destination as fractions. A "US-CA" (country-region) rate takes
+// precedence over the "US" country rate; destinations without one are untaxed.
+// TAX_RATES overrides the whole table with JSON, e.g. {"US-CA":0.0725,"GB":0.2}.
+const TAX_RATES = process.env.TAX_RATES ? JSON.parse(process.env.TAX_RATES) : {
+  'US-CA': 0.0725,
+  'US-NY': 0.04,
+  'US-TX': 0.0625,
+  'US-IL': 0.0625,
+  GB: 0.2,
+  DE: 0.19,
+  FR: 0.2
+};
+
+// Shipping is a flat rate per order, or a base rate plus a rate per kilogram
+// of product weight. Orders whose discounted subtotal reaches the free shipping
+// threshold ship free (an empty FREE_SHIPPING_THRESHOLD disables it).
+const SHIPPING = {
+  method: process.env.SHIPPING_METHOD || 'flat',
+  flatRate: numberFromEnv('SHIPPING_FLAT_RATE', 5.99),
+  baseRate: numberFromEnv('SHIPPING_BASE_RATE', 3.99),
+  perKgRate: numberFromEnv('SHIPPING_PER_KG_RATE', 1.5),
+  freeShippingThreshold: process.env.FREE_SHIPPING_THRESHOLD === ''
+    ? null
+    : numberFromEnv('FREE_SHIPPING_THRESHOLD', 100)
+};
+
+// Payments Configuration
+// PAYMENT_PROVIDER selects the payment provider; "mock" approves any payment
+// token except "tok_declined" and is meant for local development. Webhooks
+// from the provider are signed with PAYMENT_WEBHOOK_SECRET.
+const PAYMENTS = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  currency: (process.env.PAYMENT_CURRENCY || 'USD').toUpperCase(),
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'dev-only-insecure-webhook-secret',
+  // Signed webhooks older than this many seconds are rejected as replays
+  webhookTolerance: numberFromEnv('PAYMENT_WEBHOOK_TOLERANCE', 300)
+};
+
+// Invoice Configuration
+// Seller details printed on invoices and packing slips. STORE_ADDRESS lines
+// are separated by "|", e.g. "1 Market St|San Francisco, CA 94105|US".
+// Dates are printed as they fall in INVOICE_TIME_ZONE, an IANA time zone
+// such as "America/Los_Angeles".
+const INVOICES = {
+  numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+  timeZone: process.env.INVOICE_TIME_ZONE || 'UTC',
+  storeName: process.env.STORE_NAME || 'E-Commerce Store',
+  storeAddress: (process.env.STORE_ADDRESS || '').split('|').map((line) => line.trim()).filter(Boolean),
+  storeEmail: process.env.STORE_EMAIL || '',
+  storeTaxId: process.env.STORE_TAX_ID || ''
+};
+
+module.exports = {
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  TAX_RATES,
+  SHIPPING,
+  PAYMENTS,
+  INVOICES
+};
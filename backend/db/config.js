@@ -0,0 +1,10 @@
+// PostgreSQL connection settings, shared by the API and the migration scripts
+const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'ecommerce',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password',
+};
+
+module.exports = { dbConfig };
@@ -0,0 +1,152 @@
+// Versioned schema migrations.
+//
+// Each migration is a pair of SQL files in db/migrations: 001_name.up.sql and
+// 001_name.down.sql. Applied versions are recorded in schema_migrations, and
+// every migration runs in its own transaction.
+//
+// Usage: node db/migrate.js up [steps] | down [steps] | status
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { dbConfig } = require('./config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Key for pg_advisory_lock, so that only one process migrates at a time
+// (for example several API containers starting together)
+const MIGRATION_LOCK_ID = 72150001;
+
+// Read the migrations on disk, oldest first
+const loadMigrations = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+
+  return files
+    .filter((file) => file.endsWith('.up.sql'))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -'.up.sql'.length);
+      const downFile = `${name}.down.sql`;
+      return {
+        version: name.split('_')[0],
+        name,
+        up: path.join(MIGRATIONS_DIR, file),
+        down: files.includes(downFile) ? path.join(MIGRATIONS_DIR, downFile) : null
+      };
+    });
+};
+
+const ensureMigrationsTable = (client) => client.query(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+     version VARCHAR(50) PRIMARY KEY,
+     name VARCHAR(255) NOT NULL,
+     applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`
+);
+
+const getApplied = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Apply pending migrations (direction 'up') or revert applied ones ('down').
+// Up applies everything pending by default, down reverts one migration.
+// Resolves to the names of the migrations that were run.
+const migrate = async (pool, { direction = 'up', steps, log = console.log } = {}) => {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const applied = new Set((await getApplied(client)).map((row) => row.version));
+    const candidates = direction === 'up'
+      ? migrations.filter((migration) => !applied.has(migration.version))
+      : migrations.filter((migration) => applied.has(migration.version)).reverse();
+    const selected = candidates.slice(0, steps === undefined ? (direction === 'up' ? candidates.length : 1) : steps);
+
+    for (const migration of selected) {
+      if (!migration[direction]) {
+        throw new Error(`Migration ${migration.name} has no ${direction} file`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(migration[direction], 'utf8'));
+        if (direction === 'up') {
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.name} (${direction}) failed: ${error.message}`;
+        throw error;
+      }
+
+      log(`${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.name}`);
+    }
+
+    if (selected.length === 0) {
+      log(direction === 'up' ? 'Database schema is up to date' : 'No migrations to revert');
+    }
+
+    return selected.map((migration) => migration.name);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+// List every migration with the time it was applied, or null if pending
+const migrationStatus = async (pool) => {
+  const client = await pool.connect();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await getApplied(client)).map((row) => [row.version, row]));
+
+    return loadMigrations().map((migration) => ({
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+const runCli = async () => {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const steps = stepsArg === undefined ? undefined : Number(stepsArg);
+
+  if (!['up', 'down', 'status'].includes(command) || (steps !== undefined && !(Number.isInteger(steps) && steps > 0))) {
+    console.error('Usage: node db/migrate.js up [steps] | down [steps] | status');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool(dbConfig);
+
+  try {
+    if (command === 'status') {
+      for (const migration of await migrationStatus(pool)) {
+        const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`${migration.name}  ${state}`);
+      }
+    } else {
+      await migrate(pool, { direction: command, steps });
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+if (require.main === module) {
+  runCli();
+}
+
+module.exports = { migrate, migrationStatus };
@@ -0,0 +1,16 @@
+-- 001: initial schema (users, catalog, orders)
+
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS order_status_history;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS product_variants;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS sync_category_name_to_products();
+DROP FUNCTION IF EXISTS set_product_category_name();
+DROP FUNCTION IF EXISTS sync_product_stock_from_variants();
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP FUNCTION IF EXISTS slugify(TEXT);
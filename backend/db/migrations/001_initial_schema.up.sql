@@ -0,0 +1,272 @@
+-- 001: initial schema (users, catalog, orders)
+
+-- Creates the schema on an empty database, and upgrades a database created
+-- with the original init.sql (products, orders and order_items only) in place:
+-- existing tables are kept and get the missing columns, their free-text
+-- product categories become rows of the categories table, and their products
+-- get generated SKUs.
+
+-- Create users table (emails are stored lowercased)
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'customer' CHECK (role IN ('admin', 'staff', 'customer')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Turn a category name into a URL slug, e.g. "Home & Garden" -> "home-garden"
+CREATE OR REPLACE FUNCTION slugify(value TEXT)
+RETURNS TEXT AS $$
+    SELECT TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(value)), '[^a-z0-9]+', '-', 'g'));
+$$ language 'sql' IMMUTABLE;
+
+-- Create categories table (a tree: top-level categories have no parent)
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (parent_id <> id)
+);
+
+-- Sibling categories may not differ only by case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_sibling_name ON categories (COALESCE(parent_id, 0), LOWER(name));
+
+-- Create products table (category holds the category name, copied by the
+-- triggers below so that it can be part of the search vector)
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    sku VARCHAR(64) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE RESTRICT,
+    category VARCHAR(100) NOT NULL,
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    image_url TEXT,
+    is_active BOOLEAN DEFAULT true,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create product_variants table (options such as size/color with their own
+-- stock; a NULL price uses the product price)
+CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(64) UNIQUE,
+    attributes JSONB NOT NULL,
+    price DECIMAL(10, 2) CHECK (price >= 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT product_variants_attributes_key UNIQUE (product_id, attributes)
+);
+
+-- Create orders table
+CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount >= 0),
+    status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create order_items table
+CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create order_status_history table (one row per status change)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create idempotency_keys table (stored responses of POST /api/orders retries)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Upgrade tables created by the original init.sql. On a new database these
+-- columns already exist and nothing changes.
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS sku VARCHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT;
+
+-- Turn free-text product categories into categories. Spellings that only
+-- differ by case or punctuation ("Electronics", "electronics ") become one
+-- category, named after the first spelling in alphabetical order.
+INSERT INTO categories (name, slug)
+SELECT DISTINCT ON (slugify(category)) TRIM(category), slugify(category)
+FROM products
+WHERE category_id IS NULL
+ORDER BY slugify(category), TRIM(category)
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE products p
+SET category_id = c.id, category = c.name
+FROM categories c
+WHERE p.category_id IS NULL AND c.slug = slugify(p.category);
+
+ALTER TABLE products ALTER COLUMN category_id SET NOT NULL;
+
+-- Product exports are matched back to products by SKU on import, so every
+-- product needs one: PRODUCT-<id>, or PRODUCT-<id>-<random suffix> if another
+-- product already uses that.
+UPDATE products p
+SET sku = 'PRODUCT-' || p.id || CASE
+    WHEN EXISTS (SELECT 1 FROM products other WHERE other.sku = 'PRODUCT-' || p.id)
+    THEN '-' || substr(md5(random()::text), 1, 6)
+    ELSE ''
+  END
+WHERE p.sku IS NULL;
+
+ALTER TABLE products ALTER COLUMN sku SET NOT NULL;
+
+-- The original init.sql indexed the free-text category
+DROP INDEX IF EXISTS idx_products_category;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_products_active ON products(is_active);
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+-- Create a function to update the updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_products_updated_at ON products;
+CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_product_variants_updated_at ON product_variants;
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_orders_updated_at ON orders;
+CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the stock of a product with variants equal to the total stock of its
+-- active variants, so listings, filters and statistics keep using products.stock
+CREATE OR REPLACE FUNCTION sync_product_stock_from_variants()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_product_id INTEGER;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        target_product_id := OLD.product_id;
+    ELSE
+        target_product_id := NEW.product_id;
+    END IF;
+
+    UPDATE products
+    SET stock = (
+        SELECT COALESCE(SUM(stock), 0)
+        FROM product_variants
+        WHERE product_id = target_product_id AND is_active = true
+    )
+    WHERE id = target_product_id;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_product_stock ON product_variants;
+CREATE TRIGGER sync_product_stock AFTER INSERT OR UPDATE OR DELETE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION sync_product_stock_from_variants();
+
+-- Copy the category name onto products whenever their category changes
+CREATE OR REPLACE FUNCTION set_product_category_name()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT name INTO NEW.category FROM categories WHERE id = NEW.category_id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_product_category ON products;
+CREATE TRIGGER set_product_category BEFORE INSERT OR UPDATE OF category_id ON products
+    FOR EACH ROW EXECUTE FUNCTION set_product_category_name();
+
+-- ...and when a category is renamed
+CREATE OR REPLACE FUNCTION sync_category_name_to_products()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE products SET category = NEW.name WHERE category_id = NEW.id;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_category_name ON categories;
+CREATE TRIGGER sync_category_name AFTER UPDATE OF name ON categories
+    FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION sync_category_name_to_products();
@@ -0,0 +1,5 @@
+-- 002: customers, linked from orders
+
+ALTER TABLE orders DROP COLUMN IF EXISTS customer_id;
+
+DROP TABLE IF EXISTS customers;
@@ -0,0 +1,45 @@
+-- 002: customers, linked from orders
+
+-- Create customers table (one per email address, stored lowercased).
+-- addresses is a list of { label, line1, line2, city, region, postal_code, country }.
+CREATE TABLE customers (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    phone VARCHAR(50),
+    addresses JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(addresses) = 'array'),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_customers_name ON customers(lower(name));
+
+CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill one customer per distinct order email, named as on its latest
+-- order. Customers are not linked to the user account with the same email:
+-- account emails are not verified, so staff link them.
+INSERT INTO customers (name, email, created_at)
+SELECT latest.customer_name, latest.email, latest.first_order_at
+FROM (
+    SELECT DISTINCT ON (lower(customer_email))
+           customer_name,
+           lower(customer_email) AS email,
+           MIN(created_at) OVER (PARTITION BY lower(customer_email)) AS first_order_at
+    FROM orders
+    ORDER BY lower(customer_email), created_at DESC, id DESC
+) latest;
+
+ALTER TABLE orders ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE RESTRICT;
+
+UPDATE orders o
+SET customer_id = c.id
+FROM customers c
+WHERE c.email = lower(o.customer_email);
+
+ALTER TABLE orders ALTER COLUMN customer_id SET NOT NULL;
+
+CREATE INDEX idx_orders_customer_id ON orders(customer_id);
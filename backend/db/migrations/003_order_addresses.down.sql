@@ -0,0 +1,5 @@
+-- 003: shipping and billing addresses on orders
+
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS billing_address,
+    DROP COLUMN IF EXISTS shipping_address;
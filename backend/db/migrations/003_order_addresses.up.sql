@@ -0,0 +1,9 @@
+-- 003: shipping and billing addresses on orders
+
+-- Addresses are copied onto the order when it is placed, so later changes to
+-- the customer's saved addresses do not alter it. Each is an object of
+-- { name, line1, line2, city, region, postal_code, country }. Orders placed
+-- before this migration have none.
+ALTER TABLE orders
+    ADD COLUMN shipping_address JSONB CHECK (jsonb_typeof(shipping_address) = 'object'),
+    ADD COLUMN billing_address JSONB CHECK (jsonb_typeof(billing_address) = 'object');
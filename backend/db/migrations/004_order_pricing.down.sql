@@ -0,0 +1,12 @@
+-- 004: product weights and itemized order totals
+
+ALTER TABLE orders
+    DROP CONSTRAINT IF EXISTS orders_total_amount_components_check,
+    DROP CONSTRAINT IF EXISTS orders_subtotal_check,
+    DROP COLUMN IF EXISTS tax_amount,
+    DROP COLUMN IF EXISTS tax_rate,
+    DROP COLUMN IF EXISTS shipping_amount,
+    DROP COLUMN IF EXISTS discount_amount,
+    DROP COLUMN IF EXISTS subtotal;
+
+ALTER TABLE products DROP COLUMN IF EXISTS weight;
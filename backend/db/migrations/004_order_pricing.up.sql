@@ -0,0 +1,21 @@
+-- 004: product weights and itemized order totals
+
+-- Shipping weight in kilograms, used by weight-based shipping rates
+ALTER TABLE products ADD COLUMN weight DECIMAL(10, 3) CHECK (weight >= 0);
+
+-- Orders keep every component of their total. Existing orders were charged
+-- the sum of their lines, so that becomes their subtotal.
+ALTER TABLE orders
+    ADD COLUMN subtotal DECIMAL(10, 2),
+    ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    ADD COLUMN shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0),
+    ADD COLUMN tax_rate DECIMAL(6, 5) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0),
+    ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0);
+
+UPDATE orders SET subtotal = total_amount;
+
+ALTER TABLE orders
+    ALTER COLUMN subtotal SET NOT NULL,
+    ADD CONSTRAINT orders_subtotal_check CHECK (subtotal >= 0 AND discount_amount <= subtotal),
+    ADD CONSTRAINT orders_total_amount_components_check
+        CHECK (total_amount = subtotal - discount_amount + shipping_amount + tax_amount);
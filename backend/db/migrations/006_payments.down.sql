@@ -0,0 +1,4 @@
+-- 006: order payments and payment provider webhook events
+
+DROP TABLE IF EXISTS payment_events;
+DROP TABLE IF EXISTS payments;
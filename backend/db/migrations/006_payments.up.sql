@@ -0,0 +1,43 @@
+-- 006: order payments and payment provider webhook events
+
+-- One row per payment attempt. An attempt starts as pending until the provider
+-- answers; provider_payment_id is the provider's reference for it. An
+-- authorized payment is capturing from the capture request until the provider
+-- confirms it. Cancelling an order voids an authorization never captured.
+CREATE TABLE payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'authorized', 'capturing', 'captured', 'failed', 'voided')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) NOT NULL,
+    failure_reason TEXT,
+    authorized_at TIMESTAMP,
+    captured_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_payment_id)
+);
+
+CREATE INDEX idx_payments_order_id ON payments(order_id, created_at);
+
+-- An order has at most one payment that has not failed, so concurrent
+-- attempts to pay the same order cannot both go through
+CREATE UNIQUE INDEX idx_payments_order_active ON payments(order_id) WHERE status <> 'failed';
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Webhook events already processed, so redelivered events are ignored
+CREATE TABLE payment_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
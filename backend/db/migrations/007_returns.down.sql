@@ -0,0 +1,9 @@
+-- 007: returns of delivered order lines and refunds of payments
+
+ALTER TABLE payments
+    DROP CONSTRAINT IF EXISTS payments_refunded_amount_check,
+    DROP COLUMN IF EXISTS refunded_amount;
+
+DROP TABLE IF EXISTS refunds;
+DROP TABLE IF EXISTS return_items;
+DROP TABLE IF EXISTS returns;
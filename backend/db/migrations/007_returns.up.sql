@@ -0,0 +1,57 @@
+-- 007: returns of delivered order lines and refunds of payments
+
+-- A return covers some units of one or more lines of a delivered order.
+-- refund_amount is what the customer is owed, set when the return is approved.
+CREATE TABLE returns (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected')),
+    reason TEXT NOT NULL,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    review_note TEXT,
+    restocked BOOLEAN NOT NULL DEFAULT false,
+    refund_amount DECIMAL(10, 2) CHECK (refund_amount >= 0),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_returns_order_id ON returns(order_id, created_at);
+
+CREATE TRIGGER update_returns_updated_at BEFORE UPDATE ON returns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE return_items (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    UNIQUE (return_id, order_item_id)
+);
+
+CREATE INDEX idx_return_items_order_item_id ON return_items(order_item_id);
+
+-- Money sent back through the payment provider. A refund is pending until the
+-- provider confirms it, which adds it to the payment's refunded_amount.
+CREATE TABLE refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    return_id INTEGER UNIQUE REFERENCES returns(id) ON DELETE SET NULL,
+    provider_refund_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    failure_reason TEXT,
+    refunded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refunds_payment_id ON refunds(payment_id);
+
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE payments
+    ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD CONSTRAINT payments_refunded_amount_check CHECK (refunded_amount >= 0 AND refunded_amount <= amount);
@@ -0,0 +1,7 @@
+-- 008: sequential invoice numbers on orders
+
+DROP TABLE IF EXISTS invoice_counters;
+
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS invoiced_at,
+    DROP COLUMN IF EXISTS invoice_number;
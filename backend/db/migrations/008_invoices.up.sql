@@ -0,0 +1,17 @@
+-- 008: sequential invoice numbers on orders
+
+-- An order gets the next invoice number the first time its invoice is
+-- produced and keeps it, so reprinting an invoice never changes its number.
+ALTER TABLE orders
+    ADD COLUMN invoice_number INTEGER UNIQUE,
+    ADD COLUMN invoiced_at TIMESTAMP;
+
+-- Numbers come from a single counter row, incremented in the transaction that
+-- gives an order its number, so a rollback leaves no gap in the numbering as
+-- a sequence would.
+CREATE TABLE invoice_counters (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    last_number INTEGER NOT NULL CHECK (last_number >= 0)
+);
+
+INSERT INTO invoice_counters (last_number) VALUES (0);
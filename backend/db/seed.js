@@ -0,0 +1,50 @@
+// Load the sample data (users, catalog and orders) for local development.
+// Pending migrations are applied first; the seed refuses to run on a database
+// that already has users or products.
+//
+// Usage: node db/seed.js
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { dbConfig } = require('./config');
+const { migrate } = require('./migrate');
+
+const SEED_FILE = path.join(__dirname, 'seeds', 'sample_data.sql');
+
+const seed = async (pool) => {
+  await migrate(pool);
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT EXISTS (SELECT 1 FROM users) OR EXISTS (SELECT 1 FROM products) AS has_data'
+    );
+    if (result.rows[0].has_data) {
+      throw new Error('The database already has users or products; sample data is only loaded into an empty database');
+    }
+
+    await client.query('BEGIN');
+    await client.query(fs.readFileSync(SEED_FILE, 'utf8'));
+    await client.query('COMMIT');
+    console.log('Sample data loaded');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+if (require.main === module) {
+  const pool = new Pool(dbConfig);
+
+  seed(pool)
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { seed };
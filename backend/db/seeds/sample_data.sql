@@ -0,0 +1,98 @@
+-- Sample data for local development and demos. Run it with `npm run seed`
+-- on a freshly migrated, empty database: the rows below refer to each other
+-- by their generated ids.
+
+-- pgcrypto hashes the sample user passwords
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Insert sample users (passwords are "<role>1234", bcrypt-compatible hashes)
+INSERT INTO users (name, email, password_hash, role) VALUES
+('Admin', 'admin@example.com', crypt('admin1234', gen_salt('bf', 10)), 'admin'),
+('Staff Member', 'staff@example.com', crypt('staff1234', gen_salt('bf', 10)), 'staff'),
+('Carol Customer', 'customer@example.com', crypt('customer1234', gen_salt('bf', 10)), 'customer');
+
+-- Insert sample categories (Wearables and Audio are subcategories of Electronics)
+INSERT INTO categories (parent_id, name, slug, description) VALUES
+(NULL, 'Electronics', 'electronics', NULL),
+(NULL, 'Accessories', 'accessories', NULL),
+(NULL, 'Storage', 'storage', NULL),
+(1, 'Wearables', 'wearables', NULL),
+(1, 'Audio', 'audio', 'Headphones, earbuds and speakers');
+
+-- Insert sample products (weights in kg)
+INSERT INTO products (sku, name, description, price, category_id, stock, weight, image_url) VALUES
+('ELEC-LAPTOP-PRO-15', 'Laptop Pro 15"', 'High-performance laptop with 16GB RAM and 512GB SSD', 1299.99, 1, 50, 2.100, 'https://images.unsplash.com/photo-1496181133206-80ce9b88a853'),
+('ELEC-MOUSE-WL', 'Wireless Mouse', 'Ergonomic wireless mouse with precision tracking', 29.99, 1, 200, 0.090, 'https://images.unsplash.com/photo-1527864550417-7fd91fc51a46'),
+('ELEC-KEYBOARD-MECH', 'Mechanical Keyboard', 'RGB backlit mechanical keyboard with blue switches', 89.99, 1, 100, 1.100, 'https://images.unsplash.com/photo-1595225476474-87563907a212'),
+('ACC-USBC-HUB-7', 'USB-C Hub', '7-in-1 USB-C hub with HDMI, USB 3.0, and SD card reader', 49.99, 2, 150, 0.120, 'https://images.unsplash.com/photo-1625948515291-69613efd103f'),
+('ACC-LAPTOP-STAND', 'Laptop Stand', 'Adjustable aluminum laptop stand for better ergonomics', 39.99, 2, 75, 0.900, 'https://images.unsplash.com/photo-1527864550417-7fd91fc51a46'),
+('ELEC-WEBCAM-HD', 'Webcam HD', '1080p HD webcam with built-in microphone', 79.99, 1, 80, 0.160, 'https://images.unsplash.com/photo-1587826080692-f439cd0b70da'),
+('ELEC-HEADPHONES-NC', 'Headphones Noise-Cancelling', 'Premium noise-cancelling over-ear headphones', 249.99, 5, 60, 0.250, 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e'),
+('STOR-SSD-1TB', 'External SSD 1TB', 'Portable external SSD with USB 3.1 Gen 2', 129.99, 3, 120, 0.060, 'https://images.unsplash.com/photo-1531492746076-161ca9bcad58'),
+('ELEC-MONITOR-27-4K', 'Monitor 27" 4K', '27-inch 4K UHD monitor with HDR support', 449.99, 1, 40, 6.400, 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf'),
+('ACC-DESK-LAMP-LED', 'Desk Lamp LED', 'Adjustable LED desk lamp with touch control', 34.99, 2, 90, 0.800, 'https://images.unsplash.com/photo-1513506003901-1e6a229e2d15'),
+('ELEC-PHONE-PRO', 'Smartphone Pro', 'Latest flagship smartphone with 5G', 999.99, 1, 35, 0.200, 'https://images.unsplash.com/photo-1511707171634-5f897ff02aa9'),
+('ELEC-TABLET-10', 'Tablet 10"', '10-inch tablet with stylus support', 399.99, 1, 45, 0.480, 'https://images.unsplash.com/photo-1561154464-82e9adf32764'),
+('WEAR-SMARTWATCH', 'Smartwatch', 'Fitness tracking smartwatch with heart rate monitor', 199.99, 4, 70, 0.050, 'https://images.unsplash.com/photo-1523275335684-37898b6baf30'),
+('ELEC-EARBUDS-WL', 'Wireless Earbuds', 'True wireless earbuds with active noise cancellation', 149.99, 5, 110, 0.055, 'https://images.unsplash.com/photo-1590658268037-6bf12165a8df'),
+('ACC-CHARGER-20K', 'Portable Charger', '20,000mAh portable battery pack with fast charging', 44.99, 2, 180, 0.350, 'https://images.unsplash.com/photo-1609091839311-d5365f9ff1c5');
+
+-- Insert sample variants (their stock adds up to the product stock)
+INSERT INTO product_variants (product_id, sku, attributes, price, stock) VALUES
+(13, 'WEAR-SMARTWATCH-40-BLK', '{"size": "40mm", "color": "Black"}', NULL, 30),
+(13, 'WEAR-SMARTWATCH-44-BLK', '{"size": "44mm", "color": "Black"}', 219.99, 25),
+(13, 'WEAR-SMARTWATCH-44-SLV', '{"size": "44mm", "color": "Silver"}', 219.99, 15);
+
+-- Insert sample customers (Carol has a user account but no orders yet)
+INSERT INTO customers (user_id, name, email, phone, addresses) VALUES
+(NULL, 'John Doe', 'john.doe@example.com', '+1 555 0101', '[{"label": "Home", "line1": "12 Main St", "city": "Springfield", "region": "IL", "postal_code": "62701", "country": "US"}]'),
+(NULL, 'Jane Smith', 'jane.smith@example.com', NULL, '[{"label": "Home", "line1": "48 Oak Avenue", "line2": "Apt 5", "city": "Austin", "region": "TX", "postal_code": "73301", "country": "US"}]'),
+(NULL, 'Bob Johnson', 'bob.johnson@example.com', '+44 20 7946 0018', '[]'),
+(NULL, 'Alice Williams', 'alice.williams@example.com', NULL, '[]'),
+(3, 'Carol Customer', 'customer@example.com', NULL, '[{"label": "Home", "line1": "7 Harbor Road", "city": "Portland", "region": "ME", "postal_code": "04101", "country": "US"}]');
+
+-- Insert sample orders (John is billed at his office; no tax or shipping was charged)
+INSERT INTO orders (customer_id, customer_name, customer_email, subtotal, total_amount, status, shipping_address, billing_address) VALUES
+(1, 'John Doe', 'john.doe@example.com', 1329.98, 1329.98, 'delivered',
+ '{"name": "John Doe", "line1": "12 Main St", "city": "Springfield", "region": "IL", "postal_code": "62701", "country": "US"}',
+ '{"name": "Doe Consulting", "line1": "200 Capitol Ave", "line2": "Suite 410", "city": "Springfield", "region": "IL", "postal_code": "62701", "country": "US"}'),
+(2, 'Jane Smith', 'jane.smith@example.com', 529.97, 529.97, 'shipped',
+ '{"name": "Jane Smith", "line1": "48 Oak Avenue", "line2": "Apt 5", "city": "Austin", "region": "TX", "postal_code": "73301", "country": "US"}',
+ '{"name": "Jane Smith", "line1": "48 Oak Avenue", "line2": "Apt 5", "city": "Austin", "region": "TX", "postal_code": "73301", "country": "US"}'),
+(3, 'Bob Johnson', 'bob.johnson@example.com', 89.99, 89.99, 'processing',
+ '{"name": "Bob Johnson", "line1": "221 Baker Street", "city": "London", "postal_code": "NW1 6XE", "country": "GB"}',
+ '{"name": "Bob Johnson", "line1": "221 Baker Street", "city": "London", "postal_code": "NW1 6XE", "country": "GB"}'),
+(4, 'Alice Williams', 'alice.williams@example.com', 449.99, 449.99, 'pending',
+ '{"name": "Alice Williams", "line1": "9 Pine Street", "city": "Seattle", "region": "WA", "postal_code": "98101", "country": "US"}',
+ '{"name": "Alice Williams", "line1": "9 Pine Street", "city": "Seattle", "region": "WA", "postal_code": "98101", "country": "US"}');
+
+-- Insert sample order items
+INSERT INTO order_items (order_id, product_id, quantity, price) VALUES
+(1, 1, 1, 1299.99),
+(1, 2, 1, 29.99),
+(2, 7, 1, 249.99),
+(2, 4, 1, 49.99),
+(2, 5, 1, 39.99),
+(2, 8, 1, 129.99),
+(2, 10, 1, 34.99),
+(3, 3, 1, 89.99),
+(4, 9, 1, 449.99);
+
+-- Insert sample order status history (changes made by the sample staff user)
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by) VALUES
+(1, NULL, 'pending', NULL),
+(1, 'pending', 'processing', 2),
+(1, 'processing', 'shipped', 2),
+(1, 'shipped', 'delivered', 2),
+(2, NULL, 'pending', NULL),
+(2, 'pending', 'processing', 2),
+(2, 'processing', 'shipped', 2),
+(3, NULL, 'pending', NULL),
+(3, 'pending', 'processing', 2),
+(4, NULL, 'pending', NULL);
+
+-- Insert sample coupons
+INSERT INTO coupons (code, description, discount_type, discount_value, min_order_amount, category_ids, usage_limit, usage_limit_per_customer) VALUES
+('WELCOME10', '10% off, once per customer', 'percentage', 10.00, 0.00, '{}', NULL, 1),
+('SAVE20', '$20 off orders of $150 or more', 'fixed', 20.00, 150.00, '{}', 500, NULL),
+('STORAGE15', '15% off storage', 'percentage', 15.00, 0.00, '{3}', NULL, NULL);
@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config');
+
+// Sign an access token for a user
+const issueToken = (user) => jwt.sign(
+  { email: user.email, name: user.name, role: user.role },
+  JWT_SECRET,
+  { subject: String(user.id), expiresIn: JWT_EXPIRES_IN }
+);
+
+// Require a valid "Authorization: Bearer <token>" header and expose req.user.
+// The user is loaded from the database (app.locals.db) on every request, so a
+// changed role or a deleted account takes effect before the token expires.
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const result = await req.app.locals.db.query(
+      'SELECT id, email, name, role FROM users WHERE id = $1',
+      [Number(payload.sub)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    req.user = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Error loading authenticated user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Authenticate when a token is sent, otherwise continue as a guest
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  authenticate(req, res, next);
+};
+
+// Allow only authenticated users with one of the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+module.exports = {
+  issueToken,
+  authenticate,
+  optionalAuthenticate,
+  authorize
+};
@@ -0,0 +1,55 @@
+const Joi = require('joi');
+
+// Request Validation
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// Format a Joi error path such as ['items', 0, 'quantity'] as "items[0].quantity"
+const formatFieldPath = (path) => path.reduce(
+  (field, key) => (typeof key === 'number' ? `${field}[${key}]` : field ? `${field}.${key}` : key),
+  ''
+);
+
+// Validate and normalize req.params, req.query and req.body against Joi schemas,
+// responding 400 with one entry per invalid field
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const source of ['params', 'query', 'body']) {
+    if (!schemas[source]) continue;
+
+    const { value, error } = schemas[source].validate(req[source] || {}, VALIDATION_OPTIONS);
+
+    if (error) {
+      details.push(...error.details.map((detail) => ({
+        field: formatFieldPath(detail.path) || source,
+        message: detail.message
+      })));
+    } else {
+      req[source] = value;
+    }
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details });
+  }
+
+  next();
+};
+
+const idParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const emailSchema = Joi.string().trim().lowercase().email({ tlds: { allow: false } }).max(255);
+
+module.exports = {
+  VALIDATION_OPTIONS,
+  formatFieldPath,
+  validate,
+  idParamSchema,
+  emailSchema
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { statsSchemas } = require('../schemas/stats');
+const { resolveSalesRange } = require('../services/statsService');
+
+// Routes under /api/analytics
+const createAnalyticsRouter = ({ statsService }) => {
+  const router = express.Router();
+
+  // Get revenue and order counts per day, week or month (defaults to the last 30 days)
+  router.get('/sales', authenticate, authorize('admin', 'staff'), validate({ query: statsSchemas.sales }), async (req, res) => {
+    const { interval } = req.query;
+    const range = resolveSalesRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'from', message: range.error }]
+      });
+    }
+
+    try {
+      const sales = await statsService.getSales({ interval, from: range.from, to: range.to });
+
+      res.json({ data: sales });
+    } catch (error) {
+      console.error('Error fetching sales analytics:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAnalyticsRouter };
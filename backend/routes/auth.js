@@ -0,0 +1,179 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const { validate, idParamSchema, emailSchema } = require('../middleware/validate');
+const { issueToken, authenticate, authorize } = require('../middleware/auth');
+
+// Authentication
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['admin', 'staff', 'customer'];
+
+const authSchemas = {
+  register: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    email: emailSchema.required(),
+    password: Joi.string().min(MIN_PASSWORD_LENGTH).max(128).required()
+  }),
+  login: Joi.object({
+    email: Joi.string().trim().lowercase().required(),
+    password: Joi.string().required()
+  }),
+  role: Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+  })
+};
+
+// Public shape of a user row (never includes the password hash)
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  created_at: user.created_at
+});
+
+// Routes under /api/auth
+const createAuthRouter = ({ db, cartService }) => {
+  const router = express.Router();
+  const { mergeGuestCart } = cartService;
+
+  // Register a new user account
+  router.post('/register', validate({ body: authSchemas.register }), async (req, res) => {
+    const { name, email, password } = req.body;
+
+    try {
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+      const result = await db.query(
+        `INSERT INTO users (name, email, password_hash)
+         VALUES ($1, $2, $3)
+         RETURNING id, name, email, role, created_at`,
+        [name, email, passwordHash]
+      );
+
+      const user = result.rows[0];
+
+      await mergeGuestCart(req.get('X-Cart-Id'), user.id);
+
+      res.status(201).json({
+        message: 'User registered successfully',
+        data: { token: issueToken(user), user: toPublicUser(user) }
+      });
+    } catch (error) {
+      // Unique violation on users.email
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Email is already registered' });
+      }
+      console.error('Error registering user:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Log in with email and password
+  router.post('/login', validate({ body: authSchemas.login }), async (req, res) => {
+    const { email, password } = req.body;
+
+    try {
+      const result = await db.query(
+        'SELECT id, name, email, role, password_hash, created_at FROM users WHERE email = $1',
+        [email]
+      );
+
+      const user = result.rows[0];
+      const passwordMatches = user && await bcrypt.compare(password, user.password_hash);
+
+      if (!passwordMatches) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      await mergeGuestCart(req.get('X-Cart-Id'), user.id);
+
+      res.json({
+        message: 'Logged in successfully',
+        data: { token: issueToken(user), user: toPublicUser(user) }
+      });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get the currently authenticated user
+  router.get('/me', authenticate, async (req, res) => {
+    try {
+      const result = await db.query(
+        'SELECT id, name, email, role, created_at FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'User no longer exists' });
+      }
+
+      res.json({ data: toPublicUser(result.rows[0]) });
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+// Routes under /api/users (admin)
+const createUserRouter = ({ db }) => {
+  const router = express.Router();
+
+  // List user accounts
+  router.get('/', authenticate, authorize('admin'), async (req, res) => {
+    try {
+      const result = await db.query(
+        'SELECT id, name, email, role, created_at FROM users ORDER BY created_at DESC'
+      );
+
+      res.json({ data: result.rows.map(toPublicUser) });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Change a user's role
+  router.patch('/:id/role', authenticate, authorize('admin'), validate({ params: idParamSchema, body: authSchemas.role }), async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    // Prevent admins from locking themselves out
+    if (id === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    try {
+      const result = await db.query(
+        'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, name, email, role, created_at',
+        [role, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({
+        message: 'User role updated successfully',
+        data: toPublicUser(result.rows[0])
+      });
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAuthRouter,
+  createUserRouter
+};
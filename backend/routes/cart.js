@@ -0,0 +1,221 @@
+const express = require('express');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { validate, emailSchema } = require('../middleware/validate');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { MAX_ORDER_LINES, orderAddressFields, orderCouponSchema, orderItemFields } = require('../schemas/orders');
+const { userCartKey, guestCartKey, cartLineField, cartIdSchema } = require('../services/cartService');
+const { sendOrderResult, readIdempotencyKey } = require('../services/orderService');
+
+const cartSchemas = {
+  itemParams: Joi.object({
+    productId: Joi.number().integer().positive().required()
+  }),
+  // Identifies the variant line of a product in the cart
+  itemQuery: Joi.object({
+    variant_id: Joi.number().integer().positive()
+  }),
+  add: Joi.object({
+    product_id: orderItemFields.product_id.required(),
+    variant_id: orderItemFields.variant_id,
+    quantity: orderItemFields.quantity.default(1)
+  }),
+  update: Joi.object({
+    quantity: orderItemFields.quantity.required()
+  }),
+  checkout: Joi.object({
+    customer_name: Joi.string().trim().min(1).max(255),
+    customer_email: emailSchema,
+    ...orderAddressFields,
+    coupon_code: orderCouponSchema
+  })
+};
+
+// Resolve the cart for this request into req.cart. Guests without a cart id
+// get a new one, returned as cart_id for the client to send back.
+const resolveCart = (req, res, next) => {
+  if (req.user) {
+    req.cart = { id: null, key: userCartKey(req.user.id) };
+    return next();
+  }
+
+  const cartId = req.get('X-Cart-Id');
+  if (cartId !== undefined && cartIdSchema.validate(cartId).error) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ field: 'X-Cart-Id', message: 'X-Cart-Id must be a valid UUID' }]
+    });
+  }
+
+  const id = cartId || crypto.randomUUID();
+  req.cart = { id, key: guestCartKey(id) };
+  next();
+};
+
+// Routes under /api/cart
+const createCartRouter = ({ db, cache, cartService, orderService }) => {
+  const router = express.Router();
+  const { readCartLines, saveCartLine, loadCart, checkCartQuantity } = cartService;
+  const { placeOrder } = orderService;
+
+  // Get the current cart
+  router.get('/', optionalAuthenticate, resolveCart, async (req, res) => {
+    try {
+      res.json({ data: await loadCart(req.cart) });
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Add a product (or one of its variants) to the cart, on top of any quantity already in it
+  router.post('/items', optionalAuthenticate, resolveCart, validate({ body: cartSchemas.add }), async (req, res) => {
+    const { product_id, variant_id, quantity } = req.body;
+    const field = cartLineField(product_id, variant_id);
+
+    try {
+      const currentQuantity = Number(await cache.hGet(req.cart.key, field)) || 0;
+
+      if (currentQuantity === 0 && await cache.hLen(req.cart.key) >= MAX_ORDER_LINES) {
+        return res.status(400).json({ error: `A cart can hold at most ${MAX_ORDER_LINES} products` });
+      }
+
+      const shortage = await checkCartQuantity(product_id, variant_id, currentQuantity + quantity);
+      if (shortage) {
+        return res.status(shortage.status).json(shortage.body);
+      }
+
+      await saveCartLine(req.cart.key, field, currentQuantity + quantity);
+
+      res.json({
+        message: 'Item added to cart',
+        data: await loadCart(req.cart)
+      });
+    } catch (error) {
+      console.error('Error adding cart item:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Set the quantity of a product already in the cart (?variant_id= for a variant line)
+  router.patch('/items/:productId', optionalAuthenticate, resolveCart, validate({ params: cartSchemas.itemParams, query: cartSchemas.itemQuery, body: cartSchemas.update }), async (req, res) => {
+    const { productId } = req.params;
+    const { variant_id } = req.query;
+    const { quantity } = req.body;
+    const field = cartLineField(productId, variant_id);
+
+    try {
+      if (!await cache.hExists(req.cart.key, field)) {
+        return res.status(404).json({ error: 'Item not in cart' });
+      }
+
+      const shortage = await checkCartQuantity(productId, variant_id, quantity);
+      if (shortage) {
+        return res.status(shortage.status).json(shortage.body);
+      }
+
+      await saveCartLine(req.cart.key, field, quantity);
+
+      res.json({
+        message: 'Cart item updated',
+        data: await loadCart(req.cart)
+      });
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Remove a product from the cart (?variant_id= for a variant line)
+  router.delete('/items/:productId', optionalAuthenticate, resolveCart, validate({ params: cartSchemas.itemParams, query: cartSchemas.itemQuery }), async (req, res) => {
+    try {
+      const removed = await cache.hDel(req.cart.key, cartLineField(req.params.productId, req.query.variant_id));
+
+      if (removed === 0) {
+        return res.status(404).json({ error: 'Item not in cart' });
+      }
+
+      res.json({
+        message: 'Item removed from cart',
+        data: await loadCart(req.cart)
+      });
+    } catch (error) {
+      console.error('Error removing cart item:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Empty the cart
+  router.delete('/', optionalAuthenticate, resolveCart, async (req, res) => {
+    try {
+      await cache.del(req.cart.key);
+
+      res.json({
+        message: 'Cart cleared',
+        data: await loadCart(req.cart)
+      });
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Turn the cart into an order through the same path as POST /api/orders.
+  // The customer defaults to the signed-in user and the addresses to their saved
+  // one; the cart is emptied on success.
+  router.post('/checkout', authenticate, resolveCart, validate({ body: cartSchemas.checkout }), async (req, res) => {
+    const { idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    try {
+      const items = await readCartLines(req.cart.key);
+
+      if (items.length === 0) {
+        // A retried checkout finds the cart already emptied by the first attempt
+        if (idempotencyKey) {
+          const storedResult = await db.query(
+            `SELECT response_status, response_body
+             FROM idempotency_keys
+             WHERE user_id = $1 AND idempotency_key = $2 AND response_status IS NOT NULL`,
+            [req.user.id, idempotencyKey]
+          );
+          if (storedResult.rows.length > 0) {
+            const stored = storedResult.rows[0];
+            return sendOrderResult(res, { status: stored.response_status, body: stored.response_body, replayed: true });
+          }
+        }
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+
+      const result = await placeOrder(req.user, {
+        customer_name: req.body.customer_name || req.user.name,
+        customer_email: req.body.customer_email || req.user.email,
+        shipping_address: req.body.shipping_address,
+        billing_address: req.body.billing_address,
+        coupon_code: req.body.coupon_code,
+        items
+      }, idempotencyKey);
+
+      // The order is placed by now, so failing to empty the cart must not
+      // turn its 201 into an error
+      if (result.status === 201 && !result.replayed) {
+        try {
+          await cache.del(req.cart.key);
+        } catch (error) {
+          console.error('Error emptying cart after checkout:', error);
+        }
+      }
+
+      sendOrderResult(res, result);
+    } catch (error) {
+      console.error('Error checking out cart:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCartRouter };
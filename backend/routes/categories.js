@@ -0,0 +1,284 @@
+const express = require('express');
+const Joi = require('joi');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buildCategoryTree } = require('../services/categoryService');
+
+// Categories
+// Categories form a tree through parent_id. Products belong to one category,
+// and filtering by a category includes all of its descendants.
+const CATEGORY_COLUMNS = 'id, parent_id, name, slug, description, created_at, updated_at';
+
+// Shares its key prefix with the product caches, so product changes (which
+// change the product counts) clear it too
+const CATEGORY_TREE_CACHE_KEY = 'products:categories';
+
+// e.g. "Home & Garden" -> "home-garden"; the same rule as slugify() in the database
+const slugify = (text) => text
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const slugSchema = Joi.string().trim().lowercase().max(120).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .messages({ 'string.pattern.base': 'slug may only contain lowercase letters, digits and single hyphens' });
+
+const categoryFields = {
+  name: Joi.string().trim().min(1).max(100),
+  slug: slugSchema,
+  parent_id: Joi.number().strict().integer().positive().allow(null),
+  description: Joi.string().trim().max(2000).allow('', null)
+};
+
+const categorySchemas = {
+  create: Joi.object({
+    ...categoryFields,
+    name: categoryFields.name.required(),
+    parent_id: categoryFields.parent_id.default(null)
+  }),
+  update: Joi.object(categoryFields).min(1).messages({
+    'object.min': 'At least one category field must be provided'
+  })
+};
+
+// Map constraint violations on categories to a 4xx response, or return null
+const categoryConstraintError = (error) => {
+  if (error.code === '23505') {
+    return error.constraint === 'categories_slug_key'
+      ? { status: 409, body: { error: 'Slug is already in use' } }
+      : { status: 409, body: { error: 'A category with this name already exists under the same parent' } };
+  }
+  if (error.code === '23503' && error.constraint === 'categories_parent_id_fkey') {
+    return {
+      status: 400,
+      body: { error: 'Validation failed', details: [{ field: 'parent_id', message: 'Parent category not found' }] }
+    };
+  }
+  return null;
+};
+
+// Routes under /api/categories
+const createCategoryRouter = ({ db, cache, productService }) => {
+  const router = express.Router();
+  const { invalidateProductCache } = productService;
+
+  // Get the category tree
+  router.get('/', async (req, res) => {
+    try {
+      const cachedData = await cache.get(CATEGORY_TREE_CACHE_KEY);
+      if (cachedData) {
+        return res.json({
+          source: 'cache',
+          data: JSON.parse(cachedData)
+        });
+      }
+
+      const result = await db.query(
+        `SELECT c.id, c.parent_id, c.name, c.slug, c.description, COUNT(p.id)::int AS product_count
+         FROM categories c
+         LEFT JOIN products p ON p.category_id = c.id AND p.is_active = true
+         GROUP BY c.id
+         ORDER BY c.name`
+      );
+      const tree = buildCategoryTree(result.rows);
+
+      await cache.setEx(CATEGORY_TREE_CACHE_KEY, 300, JSON.stringify(tree));
+
+      res.json({
+        source: 'database',
+        data: tree
+      });
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get a category with its ancestors (root first) and direct children
+  router.get('/:id', validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(`SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = $1`, [id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      const ancestorsResult = await db.query(
+        `WITH RECURSIVE ancestors AS (
+           SELECT id, parent_id, name, slug, 0 AS depth FROM categories WHERE id = $1
+           UNION ALL
+           SELECT c.id, c.parent_id, c.name, c.slug, ancestors.depth + 1
+           FROM categories c JOIN ancestors ON c.id = ancestors.parent_id
+         )
+         SELECT id, name, slug FROM ancestors WHERE depth > 0 ORDER BY depth DESC`,
+        [id]
+      );
+      const childrenResult = await db.query(
+        'SELECT id, name, slug FROM categories WHERE parent_id = $1 ORDER BY name',
+        [id]
+      );
+
+      res.json({
+        data: {
+          ...result.rows[0],
+          ancestors: ancestorsResult.rows,
+          children: childrenResult.rows
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching category:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a category (admin); the slug defaults to one derived from the name
+  router.post('/', authenticate, authorize('admin'), validate({ body: categorySchemas.create }), async (req, res) => {
+    const { name, parent_id, description } = req.body;
+    const slug = req.body.slug || slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'slug', message: 'slug is required when the name has no letters or digits' }]
+      });
+    }
+
+    try {
+      const result = await db.query(
+        `INSERT INTO categories (parent_id, name, slug, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [parent_id, name, slug, description || null]
+      );
+
+      await invalidateProductCache();
+
+      res.status(201).json({
+        message: 'Category created successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      const constraintError = categoryConstraintError(error);
+      if (constraintError) {
+        return res.status(constraintError.status).json(constraintError.body);
+      }
+      console.error('Error creating category:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update a category (admin). Moving it under a new parent must not create a cycle.
+  router.put('/:id', authenticate, authorize('admin'), validate({ params: idParamSchema, body: categorySchemas.update }), async (req, res) => {
+    const { id } = req.params;
+    const { name, slug, parent_id, description } = req.body;
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (parent_id !== undefined && parent_id !== null) {
+        // Serialize moves, so two concurrent moves cannot form a cycle between them
+        await client.query('LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE');
+
+        const cycleResult = await client.query(
+          `WITH RECURSIVE subtree AS (
+             SELECT id FROM categories WHERE id = $1
+             UNION ALL
+             SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+           )
+           SELECT EXISTS (SELECT 1 FROM subtree WHERE id = $2) AS creates_cycle`,
+          [id, parent_id]
+        );
+
+        if (cycleResult.rows[0].creates_cycle) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ field: 'parent_id', message: 'A category cannot be moved under itself or one of its subcategories' }]
+          });
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE categories
+         SET name = COALESCE($1, name),
+             slug = COALESCE($2, slug),
+             parent_id = CASE WHEN $3::boolean THEN $4 ELSE parent_id END,
+             description = CASE WHEN $5::boolean THEN $6 ELSE description END
+         WHERE id = $7
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [name, slug, parent_id !== undefined, parent_id, description !== undefined, description || null, id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      // A rename is copied onto the category's products, so their caches are stale too
+      const productResult = await client.query('SELECT id FROM products WHERE category_id = $1', [id]);
+
+      await client.query('COMMIT');
+
+      await invalidateProductCache(...productResult.rows.map((product) => product.id));
+
+      res.json({
+        message: 'Category updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      const constraintError = categoryConstraintError(error);
+      if (constraintError) {
+        return res.status(constraintError.status).json(constraintError.body);
+      }
+      console.error('Error updating category:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Delete a category (admin). Only empty categories can be deleted: move or
+  // delete its subcategories and products (archived ones included) first.
+  router.delete('/:id', authenticate, authorize('admin'), validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const usageResult = await db.query(
+        `SELECT
+           (SELECT COUNT(*)::int FROM categories WHERE parent_id = $1) AS subcategories,
+           (SELECT COUNT(*)::int FROM products WHERE category_id = $1) AS products`,
+        [id]
+      );
+      const usage = usageResult.rows[0];
+
+      if (usage.subcategories > 0 || usage.products > 0) {
+        return res.status(409).json({ error: 'Category is not empty', ...usage });
+      }
+
+      const result = await db.query('DELETE FROM categories WHERE id = $1 RETURNING id', [id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      await invalidateProductCache();
+
+      res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+      // A product or subcategory was added after the check above
+      if (error.code === '23503') {
+        return res.status(409).json({ error: 'Category is not empty' });
+      }
+      console.error('Error deleting category:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCategoryRouter };
@@ -0,0 +1,229 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { couponSchemas } = require('../schemas/coupons');
+const { COUPON_COLUMNS } = require('../services/couponService');
+
+// Coupon columns with the total discount given so far, for queries joining
+// coupon_redemptions r onto coupons c
+const COUPON_SUMMARY_COLUMNS = `${COUPON_COLUMNS.split(', ').map((column) => `c.${column}`).join(', ')},
+  COALESCE(SUM(r.discount_amount), 0) AS total_discount`;
+
+// Map constraint violations on coupons to a 4xx response, or return null
+const couponConstraintError = (error) => {
+  if (error.code === '23505') {
+    return { status: 409, body: { error: 'A coupon with this code already exists' } };
+  }
+  if (error.code === '23514' && error.constraint === 'coupons_percentage_check') {
+    return {
+      status: 400,
+      body: { error: 'Validation failed', details: [{ field: 'discount_value', message: 'discount_value must be at most 100 for percentage coupons' }] }
+    };
+  }
+  if (error.code === '23514' && error.constraint === 'coupons_validity_check') {
+    return {
+      status: 400,
+      body: { error: 'Validation failed', details: [{ field: 'ends_at', message: 'ends_at must be after starts_at' }] }
+    };
+  }
+  return null;
+};
+
+// Validation details for scoped products or categories that do not exist
+const findUnknownScopeIds = async (db, { product_ids: productIds, category_ids: categoryIds }) => {
+  const details = [];
+  const scopes = [
+    { field: 'product_ids', table: 'products', ids: productIds },
+    { field: 'category_ids', table: 'categories', ids: categoryIds }
+  ];
+
+  for (const { field, table, ids } of scopes) {
+    if (!ids || ids.length === 0) continue;
+
+    const result = await db.query(`SELECT id FROM ${table} WHERE id = ANY($1::int[])`, [ids]);
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      details.push({ field, message: `Unknown ${table}: ${missing.join(', ')}` });
+    }
+  }
+
+  return details;
+};
+
+// Routes under /api/coupons (staff can look coupons up, admins manage them)
+const createCouponRouter = ({ db }) => {
+  const router = express.Router();
+
+  router.use(authenticate);
+
+  // List coupons, newest first, with how much they have taken off so far
+  router.get('/', authorize('admin', 'staff'), async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT ${COUPON_SUMMARY_COLUMNS}
+         FROM coupons c
+         LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+         GROUP BY c.id
+         ORDER BY c.created_at DESC, c.id DESC`
+      );
+
+      res.json({ data: result.rows });
+    } catch (error) {
+      console.error('Error fetching coupons:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get a coupon
+  router.get('/:id', authorize('admin', 'staff'), validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        `SELECT ${COUPON_SUMMARY_COLUMNS}
+         FROM coupons c
+         LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+         WHERE c.id = $1
+         GROUP BY c.id`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+
+      res.json({ data: result.rows[0] });
+    } catch (error) {
+      console.error('Error fetching coupon:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a coupon (admin)
+  router.post('/', authorize('admin'), validate({ body: couponSchemas.create }), async (req, res) => {
+    const {
+      code, description, discount_type, discount_value, min_order_amount, product_ids, category_ids,
+      usage_limit, usage_limit_per_customer, starts_at, ends_at, is_active
+    } = req.body;
+
+    try {
+      const details = await findUnknownScopeIds(db, req.body);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details });
+      }
+
+      const result = await db.query(
+        `INSERT INTO coupons (code, description, discount_type, discount_value, min_order_amount,
+                              product_ids, category_ids, usage_limit, usage_limit_per_customer,
+                              starts_at, ends_at, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, true))
+         RETURNING ${COUPON_COLUMNS}`,
+        [
+          code, description, discount_type, discount_value, min_order_amount, product_ids, category_ids,
+          usage_limit, usage_limit_per_customer, starts_at, ends_at, is_active
+        ]
+      );
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      const constraintError = couponConstraintError(error);
+      if (constraintError) {
+        return res.status(constraintError.status).json(constraintError.body);
+      }
+      console.error('Error creating coupon:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update a coupon (admin). Send null for a limit or date to remove it.
+  // Orders that already used the coupon keep their discount.
+  router.put('/:id', authorize('admin'), validate({ params: idParamSchema, body: couponSchemas.update }), async (req, res) => {
+    const { id } = req.params;
+    const {
+      code, description, discount_type, discount_value, min_order_amount, product_ids, category_ids,
+      usage_limit, usage_limit_per_customer, starts_at, ends_at, is_active
+    } = req.body;
+
+    try {
+      const details = await findUnknownScopeIds(db, req.body);
+      if (details.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details });
+      }
+
+      // Limits and dates are only replaced when sent, so null can clear them
+      const result = await db.query(
+        `UPDATE coupons
+         SET code = COALESCE($1, code),
+             description = COALESCE($2, description),
+             discount_type = COALESCE($3, discount_type),
+             discount_value = COALESCE($4, discount_value),
+             min_order_amount = COALESCE($5, min_order_amount),
+             product_ids = COALESCE($6, product_ids),
+             category_ids = COALESCE($7, category_ids),
+             usage_limit = CASE WHEN $8::boolean THEN $9 ELSE usage_limit END,
+             usage_limit_per_customer = CASE WHEN $10::boolean THEN $11 ELSE usage_limit_per_customer END,
+             starts_at = CASE WHEN $12::boolean THEN $13 ELSE starts_at END,
+             ends_at = CASE WHEN $14::boolean THEN $15 ELSE ends_at END,
+             is_active = COALESCE($16, is_active)
+         WHERE id = $17
+         RETURNING ${COUPON_COLUMNS}`,
+        [
+          code, description, discount_type, discount_value, min_order_amount, product_ids, category_ids,
+          usage_limit !== undefined, usage_limit,
+          usage_limit_per_customer !== undefined, usage_limit_per_customer,
+          starts_at !== undefined, starts_at,
+          ends_at !== undefined, ends_at,
+          is_active, id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+
+      res.json({
+        message: 'Coupon updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      const constraintError = couponConstraintError(error);
+      if (constraintError) {
+        return res.status(constraintError.status).json(constraintError.body);
+      }
+      console.error('Error updating coupon:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Deactivate a coupon (soft delete, admin); redeemed coupons must stay referenced
+  router.delete('/:id', authorize('admin'), validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        `UPDATE coupons SET is_active = false WHERE id = $1 RETURNING ${COUPON_COLUMNS}`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Coupon not found' });
+      }
+
+      res.json({
+        message: 'Coupon deactivated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      console.error('Error deactivating coupon:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCouponRouter };
@@ -0,0 +1,201 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { customerSchemas } = require('../schemas/customers');
+const { CUSTOMER_COLUMNS, CUSTOMER_SUMMARY_COLUMNS } = require('../services/customerService');
+
+// e.g. "jo_n" -> "%jo\_n%", so wildcards in the search text match literally
+const toContainsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Routes under /api/customers (admin, staff)
+const createCustomerRouter = ({ db, orderService }) => {
+  const router = express.Router();
+  const { listOrders } = orderService;
+
+  router.use(authenticate, authorize('admin', 'staff'));
+
+  // List customers by name with their order totals (?q= matches name or email)
+  router.get('/', validate({ query: customerSchemas.list }), async (req, res) => {
+    const { q, page, limit } = req.query;
+    const condition = q ? 'WHERE c.name ILIKE $1 OR c.email ILIKE $1' : '';
+    const params = q ? [toContainsPattern(q)] : [];
+
+    try {
+      const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM customers c ${condition}`,
+        params
+      );
+      const total = countResult.rows[0].total;
+
+      const result = await db.query(
+        `SELECT c.id, c.user_id, c.name, c.email, c.phone, c.addresses, c.created_at, ${CUSTOMER_SUMMARY_COLUMNS}
+         FROM customers c
+         LEFT JOIN orders o ON o.customer_id = c.id
+         ${condition}
+         GROUP BY c.id
+         ORDER BY lower(c.name), c.id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        data: result.rows,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get a customer with addresses and lifetime order totals
+  router.get('/:id', validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        `SELECT ${CUSTOMER_COLUMNS.split(', ').map((column) => `c.${column}`).join(', ')}, ${CUSTOMER_SUMMARY_COLUMNS}
+         FROM customers c
+         LEFT JOIN orders o ON o.customer_id = c.id
+         WHERE c.id = $1
+         GROUP BY c.id`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      res.json({ data: result.rows[0] });
+    } catch (error) {
+      console.error('Error fetching customer:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get the orders of a customer, newest first
+  router.get('/:id/orders', validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const customerResult = await db.query('SELECT id FROM customers WHERE id = $1', [id]);
+
+      if (customerResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      const orders = await listOrders({ customerId: id });
+
+      res.json({ data: orders });
+    } catch (error) {
+      console.error('Error fetching customer orders:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a customer
+  router.post('/', validate({ body: customerSchemas.create }), async (req, res) => {
+    const { name, email, phone, addresses, notes } = req.body;
+
+    try {
+      const result = await db.query(
+        `INSERT INTO customers (name, email, phone, addresses, notes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [name, email, phone, JSON.stringify(addresses), notes]
+      );
+
+      res.status(201).json({
+        message: 'Customer created successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Unique violation on customers.email
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A customer with this email already exists' });
+      }
+      console.error('Error creating customer:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update a customer; the change shows on all of its orders
+  router.put('/:id', validate({ params: idParamSchema, body: customerSchemas.update }), async (req, res) => {
+    const { id } = req.params;
+    const { name, email, phone, addresses, notes } = req.body;
+
+    try {
+      const result = await db.query(
+        `UPDATE customers
+         SET name = COALESCE($1, name),
+             email = COALESCE($2, email),
+             phone = COALESCE($3, phone),
+             addresses = COALESCE($4::jsonb, addresses),
+             notes = COALESCE($5, notes)
+         WHERE id = $6
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [name, email, phone, addresses === undefined ? null : JSON.stringify(addresses), notes, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      res.json({
+        message: 'Customer updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A customer with this email already exists' });
+      }
+      console.error('Error updating customer:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Link a customer to a customer account, or unlink it with user_id null.
+  // The account then sees the customer's orders and ships to its saved
+  // addresses, so only staff make the link, once they know who owns it.
+  router.put('/:id/account', validate({ params: idParamSchema, body: customerSchemas.account }), async (req, res) => {
+    const { id } = req.params;
+    const { user_id: userId } = req.body;
+
+    try {
+      if (userId !== null) {
+        const userResult = await db.query('SELECT role FROM users WHERE id = $1', [userId]);
+        if (userResult.rows.length === 0 || userResult.rows[0].role !== 'customer') {
+          return res.status(400).json({
+            error: 'Validation failed',
+            details: [{ field: 'user_id', message: 'user_id must be the id of a customer account' }]
+          });
+        }
+      }
+
+      const result = await db.query(
+        `UPDATE customers SET user_id = $1 WHERE id = $2 RETURNING ${CUSTOMER_COLUMNS}`,
+        [userId, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      res.json({
+        message: userId === null ? 'Customer unlinked from its account' : 'Customer linked to the account',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Unique violation on customers.user_id
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This account is already linked to another customer' });
+      }
+      console.error('Error linking customer account:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCustomerRouter };
@@ -0,0 +1,42 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Send a document result as a PDF download, or its error as JSON
+const sendDocumentResult = (res, result) => {
+  if (!result.pdf) {
+    return res.status(result.status).json(result.body);
+  }
+  res.attachment(result.filename);
+  res.type('application/pdf').send(result.pdf);
+};
+
+// Routes under /api/orders/:id for printable order documents
+const createDocumentRouter = ({ documentService }) => {
+  const router = express.Router();
+  const { invoicePdf, packingSlipPdf } = documentService;
+
+  // Download the invoice of an order (customers only for their own orders)
+  router.get('/:id/invoice.pdf', authenticate, validate({ params: idParamSchema }), async (req, res) => {
+    try {
+      sendDocumentResult(res, await invoicePdf(req.user, req.params.id));
+    } catch (error) {
+      console.error('Error generating invoice:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Download the packing slip of an order (admin, staff)
+  router.get('/:id/packing-slip.pdf', authenticate, authorize('admin', 'staff'), validate({ params: idParamSchema }), async (req, res) => {
+    try {
+      sendDocumentResult(res, await packingSlipPdf(req.user, req.params.id));
+    } catch (error) {
+      console.error('Error generating packing slip:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createDocumentRouter };
@@ -0,0 +1,291 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ORDER_STATUS_TRANSITIONS, ADDRESS_EDITABLE_STATUSES, orderSchemas } = require('../schemas/orders');
+const { sendOrderResult, readIdempotencyKey } = require('../services/orderService');
+const { releaseCoupon } = require('../services/couponService');
+const { ORDER_CUSTOMER_USER_COLUMN, canSeeOrder } = require('../services/customerService');
+
+// Routes under /api/orders
+const createOrderRouter = ({ db, productService, orderService, paymentService }) => {
+  const router = express.Router();
+  const { invalidateProductCache } = productService;
+  const { listOrders, quoteOrder, placeOrder } = orderService;
+  const { payOrder, releaseOrderPayment } = paymentService;
+
+  // Get all orders (customers only see their own)
+  router.get('/', authenticate, async (req, res) => {
+    const ownOrdersOnly = req.user.role === 'customer';
+
+    try {
+      const orders = await listOrders(ownOrdersOnly ? { userId: req.user.id } : {});
+
+      res.json({ data: orders });
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Preview the subtotal, discounts, shipping, tax and total of an order
+  router.post('/quote', authenticate, validate({ body: orderSchemas.quote }), async (req, res) => {
+    try {
+      const result = await quoteOrder(req.user, req.body);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error quoting order:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create new order
+  router.post('/', authenticate, validate({ body: orderSchemas.create }), async (req, res) => {
+    const { idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    try {
+      const result = await placeOrder(req.user, req.body, idempotencyKey);
+      sendOrderResult(res, result);
+    } catch (error) {
+      console.error('Error creating order:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update order status, enforcing the allowed transitions and recording history.
+  // Cancelling returns the ordered units to stock, gives back the coupon use
+  // and refunds or voids the payment; cancelling again is a no-op.
+  router.patch('/:id/status', authenticate, authorize('admin', 'staff'), validate({ params: idParamSchema, body: orderSchemas.status }), async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const client = await db.connect();
+    let updatedOrder;
+    let restockedItems = [];
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the order so concurrent updates see each other's transitions
+      const currentResult = await client.query(
+        'SELECT status FROM orders WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (currentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const fromStatus = currentResult.rows[0].status;
+      const allowedTransitions = ORDER_STATUS_TRANSITIONS[fromStatus];
+
+      if (fromStatus === 'cancelled' && status === 'cancelled') {
+        await client.query('ROLLBACK');
+        const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [id]);
+        return res.json({
+          message: 'Order is already cancelled',
+          data: { ...orderResult.rows[0], allowed_transitions: [] },
+          restocked_items: [],
+          refund: null
+        });
+      }
+
+      if (!allowedTransitions.includes(status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Cannot change order status from ${fromStatus} to ${status}`,
+          allowed_transitions: allowedTransitions
+        });
+      }
+
+      const result = await client.query(
+        'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [status, id]
+      );
+
+      await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, fromStatus, status, req.user.id, note || null]
+      );
+
+      // Return every ordered unit to stock, summing repeated lines per product
+      // or variant. Variant stock flows back into the product via a trigger.
+      if (status === 'cancelled') {
+        const productRestock = await client.query(
+          `UPDATE products p
+           SET stock = p.stock + oi.quantity
+           FROM (
+             SELECT product_id, SUM(quantity)::int AS quantity
+             FROM order_items
+             WHERE order_id = $1 AND variant_id IS NULL
+             GROUP BY product_id
+           ) oi
+           WHERE p.id = oi.product_id
+           RETURNING p.id AS product_id, NULL::int AS variant_id, oi.quantity`,
+          [id]
+        );
+        const variantRestock = await client.query(
+          `UPDATE product_variants v
+           SET stock = v.stock + oi.quantity
+           FROM (
+             SELECT variant_id, SUM(quantity)::int AS quantity
+             FROM order_items
+             WHERE order_id = $1 AND variant_id IS NOT NULL
+             GROUP BY variant_id
+           ) oi
+           WHERE v.id = oi.variant_id
+           RETURNING v.product_id, v.id AS variant_id, oi.quantity`,
+          [id]
+        );
+        restockedItems = [...productRestock.rows, ...variantRestock.rows];
+
+        await releaseCoupon(client, id);
+      }
+
+      await client.query('COMMIT');
+      updatedOrder = result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating order:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+
+    if (restockedItems.length > 0) {
+      await invalidateProductCache(...restockedItems.map((item) => item.product_id));
+    }
+
+    // The cancellation stands either way; a payment that could not be
+    // released is left for staff to refund
+    let refund = null;
+    if (status === 'cancelled') {
+      try {
+        refund = await releaseOrderPayment(updatedOrder.id);
+      } catch (error) {
+        console.error(`Error releasing payment of cancelled order ${updatedOrder.id}:`, error);
+      }
+    }
+
+    res.json({
+      message: 'Order status updated successfully',
+      data: { ...updatedOrder, allowed_transitions: ORDER_STATUS_TRANSITIONS[status] },
+      restocked_items: restockedItems,
+      refund
+    });
+  });
+
+  // Change the shipping or billing address of an order that has not shipped yet
+  // (customers only for their own orders). Omitted addresses are kept.
+  router.patch('/:id/addresses', authenticate, validate({ params: idParamSchema, body: orderSchemas.addresses }), async (req, res) => {
+    const { id } = req.params;
+    const { shipping_address, billing_address } = req.body;
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the order so it cannot ship while its address is being changed
+      const currentResult = await client.query(
+        `SELECT o.user_id, ${ORDER_CUSTOMER_USER_COLUMN}, o.customer_name, o.status
+         FROM orders o
+         WHERE o.id = $1
+         FOR UPDATE`,
+        [id]
+      );
+
+      const order = currentResult.rows[0];
+      if (!order || !canSeeOrder(req.user, order)) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      if (!ADDRESS_EDITABLE_STATUSES.includes(order.status)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `Addresses of ${order.status} orders cannot be changed` });
+      }
+
+      // Recipients default to the customer's name, as when the order was placed
+      const toStoredAddress = (address) => (address
+        ? JSON.stringify({ ...address, name: address.name || order.customer_name })
+        : null);
+
+      const result = await client.query(
+        `UPDATE orders
+         SET shipping_address = COALESCE($1::jsonb, shipping_address),
+             billing_address = COALESCE($2::jsonb, billing_address),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [toStoredAddress(shipping_address), toStoredAddress(billing_address), id]
+      );
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Order addresses updated successfully',
+        data: { ...result.rows[0], allowed_transitions: ORDER_STATUS_TRANSITIONS[order.status] }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating order addresses:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Pay for a pending order (customers only for their own orders). The order
+  // moves to processing when the provider confirms the capture.
+  router.post('/:id/payments', authenticate, validate({ params: idParamSchema, body: orderSchemas.pay }), async (req, res) => {
+    try {
+      const result = await payOrder(req.user, req.params.id, req.body.payment_token);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error paying for order:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get the status timeline of an order (customers only for their own orders)
+  router.get('/:id/history', authenticate, validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const orderResult = await db.query(
+        `SELECT o.user_id, ${ORDER_CUSTOMER_USER_COLUMN} FROM orders o WHERE o.id = $1`,
+        [id]
+      );
+
+      // Report other customers' orders as missing rather than leaking that they exist
+      const order = orderResult.rows[0];
+      if (!order || !canSeeOrder(req.user, order)) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const result = await db.query(
+        `SELECT h.id, h.from_status, h.to_status, h.note, h.created_at,
+                h.changed_by, u.name AS changed_by_name
+         FROM order_status_history h
+         LEFT JOIN users u ON h.changed_by = u.id
+         WHERE h.order_id = $1
+         ORDER BY h.created_at ASC, h.id ASC`,
+        [id]
+      );
+
+      res.json({ data: result.rows });
+    } catch (error) {
+      console.error('Error fetching order history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createOrderRouter };
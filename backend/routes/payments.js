@@ -0,0 +1,25 @@
+const express = require('express');
+
+// Routes under /api/payments
+const createPaymentRouter = ({ paymentService }) => {
+  const router = express.Router();
+  const { handleWebhook } = paymentService;
+
+  // Payment provider webhooks. Requests are authenticated by their signature,
+  // which covers the raw body, so the body is parsed by the provider.
+  router.post('/webhook', async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    try {
+      const result = await handleWebhook(rawBody, req.headers);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error handling payment webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPaymentRouter };
@@ -0,0 +1,680 @@
+const express = require('express');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const { VALIDATION_OPTIONS, formatFieldPath, validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { productSchemas } = require('../schemas/products');
+const { PRODUCT_COLUMNS, VARIANT_STOCK_ERROR, productListCacheKey } = require('../services/productService');
+const { categorySubtreeCondition } = require('../services/categoryService');
+
+// Foreign key violation on products.category_id
+const UNKNOWN_CATEGORY_ERROR = {
+  error: 'Validation failed',
+  details: [{ field: 'category_id', message: 'Category not found' }]
+};
+
+// Product Import / Export
+// Exports and imports share these columns, so an exported file can be edited
+// in a spreadsheet and imported again. The category column holds the slug.
+const PRODUCT_FILE_COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'stock', 'image_url', 'is_active'];
+const PRODUCT_FILE_SELECT = PRODUCT_FILE_COLUMNS
+  .map((column) => (column === 'category' ? 'c.slug AS category' : `p.${column}`))
+  .join(', ');
+const IMPORTED_FIELDS = PRODUCT_FILE_COLUMNS.filter((column) => column !== 'sku');
+const MAX_IMPORT_ROWS = 5000;
+
+// Compare an import row with the stored product, returning { field: { from, to } }
+// for every field the row would change
+const diffProductRow = (product, row) => {
+  const changes = {};
+
+  for (const field of IMPORTED_FIELDS) {
+    if (row[field] === undefined) continue;
+
+    const from = field === 'price' ? Number(product.price) : product[field];
+    const changed = ['description', 'image_url'].includes(field)
+      ? (from || '') !== (row[field] || '')
+      : from !== row[field];
+
+    if (changed) {
+      changes[field] = { from, to: row[field] };
+    }
+  }
+
+  return changes;
+};
+
+// Read import rows from a CSV or JSON array body; throws on malformed CSV
+const readImportRows = (req) => {
+  if (req.is('text/csv')) {
+    return parseCsv(req.body, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  }
+  return req.body;
+};
+
+// Turn free text into a prefix-matching tsquery, e.g. "wire mou" -> "wire:* & mou:*"
+const toPrefixTsQuery = (text) => {
+  const terms = String(text)
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .slice(0, 10);
+
+  return terms.map((term) => `${term}:*`).join(' & ');
+};
+
+// Routes under /api/products, except variants
+const createProductRouter = ({ db, cache, productService }) => {
+  const router = express.Router();
+  const { invalidateProductCache, attachVariants, productHasVariants } = productService;
+
+  // Get products with pagination, filtering, sorting and caching
+  router.get('/', validate({ query: productSchemas.list }), async (req, res) => {
+    const options = req.query;
+    const cacheKey = productListCacheKey(options);
+
+    try {
+      // Check cache first
+      const cachedData = await cache.get(cacheKey);
+      if (cachedData) {
+        return res.json({
+          source: 'cache',
+          ...JSON.parse(cachedData)
+        });
+      }
+
+      const conditions = ['is_active = true'];
+      const values = [];
+
+      if (options.category) {
+        values.push(options.category);
+        conditions.push(categorySubtreeCondition(`$${values.length}`));
+      }
+      if (options.min_price !== undefined) {
+        values.push(options.min_price);
+        conditions.push(`price >= $${values.length}`);
+      }
+      if (options.max_price !== undefined) {
+        values.push(options.max_price);
+        conditions.push(`price <= $${values.length}`);
+      }
+      if (options.in_stock) {
+        conditions.push('stock > 0');
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      const countResult = await db.query(
+        `SELECT COUNT(*)::int AS total FROM products WHERE ${whereClause}`,
+        values
+      );
+
+      // Sort column and direction come from a whitelist, so interpolation is safe
+      const result = await db.query(
+        `SELECT id, sku, name, description, price, category_id, category, stock, weight, image_url, created_at
+         FROM products
+         WHERE ${whereClause}
+         ORDER BY ${options.sort} ${options.order.toUpperCase()}, id ${options.order.toUpperCase()}
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, options.limit, (options.page - 1) * options.limit]
+      );
+
+      const total = countResult.rows[0].total;
+      const payload = {
+        data: await attachVariants(result.rows),
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          total_pages: Math.ceil(total / options.limit)
+        }
+      };
+
+      // Cache the result for 5 minutes
+      await cache.setEx(cacheKey, 300, JSON.stringify(payload));
+
+      res.json({
+        source: 'database',
+        ...payload
+      });
+    } catch (error) {
+      console.error('Error fetching products:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get archived products, most recently archived first (admin)
+  router.get('/archived', authenticate, authorize('admin'), validate({ query: productSchemas.archived }), async (req, res) => {
+    const { page, limit } = req.query;
+
+    try {
+      const countResult = await db.query('SELECT COUNT(*)::int AS total FROM products WHERE is_active = false');
+      const total = countResult.rows[0].total;
+
+      const result = await db.query(
+        `SELECT ${PRODUCT_COLUMNS}
+         FROM products
+         WHERE is_active = false
+         ORDER BY updated_at DESC, id DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, (page - 1) * limit]
+      );
+
+      res.json({
+        data: result.rows,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error fetching archived products:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Export the catalog as CSV or JSON (admin)
+  router.get('/export', authenticate, authorize('admin'), validate({ query: productSchemas.export }), async (req, res) => {
+    const { format, include_archived } = req.query;
+
+    try {
+      const result = await db.query(
+        `SELECT ${PRODUCT_FILE_SELECT}
+         FROM products p
+         JOIN categories c ON c.id = p.category_id
+         ${include_archived ? '' : 'WHERE p.is_active = true'}
+         ORDER BY p.sku NULLS LAST, p.id`
+      );
+      const rows = result.rows.map((row) => ({ ...row, price: Number(row.price) }));
+
+      res.attachment(`products-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      if (format === 'json') {
+        return res.json(rows);
+      }
+
+      res.type('text/csv').send(stringifyCsv(rows, {
+        header: true,
+        columns: PRODUCT_FILE_COLUMNS,
+        cast: { boolean: (value) => String(value) }
+      }));
+    } catch (error) {
+      console.error('Error exporting products:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Import products from CSV or JSON, matching existing products by SKU.
+  // Every row is validated before anything is written, all changes run in one
+  // transaction, and ?dry_run=true reports the changes without saving them.
+  router.post('/import', authenticate, authorize('admin'), validate({ query: productSchemas.import }), async (req, res) => {
+    const { dry_run } = req.query;
+
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not parse CSV: ${error.message}` });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Send a CSV file or a JSON array with at least one product' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `An import can contain at most ${MAX_IMPORT_ROWS} products` });
+    }
+
+    // Row numbers are 1-based and count data rows only, not the CSV header
+    const details = [];
+    const importRows = [];
+    const rowsBySku = new Map();
+
+    rows.forEach((row, index) => {
+      const { value, error } = productSchemas.importRow.validate(row, VALIDATION_OPTIONS);
+
+      if (error) {
+        details.push(...error.details.map((detail) => ({
+          row: index + 1,
+          field: formatFieldPath(['rows', index, ...detail.path]),
+          message: detail.message
+        })));
+        return;
+      }
+
+      if (rowsBySku.has(value.sku)) {
+        details.push({
+          row: index + 1,
+          field: `rows[${index}].sku`,
+          message: `sku ${value.sku} is already used on row ${rowsBySku.get(value.sku)}`
+        });
+        return;
+      }
+
+      rowsBySku.set(value.sku, index + 1);
+      importRows.push({ row: index + 1, ...value });
+    });
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Rows name a category by slug, or by name when only one category has it
+      const categoryResult = await client.query('SELECT id, name, slug FROM categories');
+      const categoriesBySlug = new Map(categoryResult.rows.map((category) => [category.slug, category]));
+      const categoriesByName = new Map();
+      for (const category of categoryResult.rows) {
+        const key = category.name.toLowerCase();
+        categoriesByName.set(key, [...(categoriesByName.get(key) || []), category]);
+      }
+
+      const categoryErrors = [];
+      for (const fields of importRows) {
+        const key = fields.category.toLowerCase();
+        const byName = categoriesByName.get(key) || [];
+        const category = categoriesBySlug.get(key) || (byName.length === 1 ? byName[0] : null);
+
+        if (category) {
+          fields.category = category.slug;
+        } else {
+          categoryErrors.push({
+            row: fields.row,
+            field: `rows[${fields.row - 1}].category`,
+            message: byName.length > 1
+              ? `Several categories are named "${fields.category}"; use the category slug`
+              : `Category "${fields.category}" not found`
+          });
+        }
+      }
+
+      if (categoryErrors.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Validation failed', details: categoryErrors });
+      }
+
+      const existingResult = await client.query(
+        `SELECT p.id, ${PRODUCT_FILE_SELECT}
+         FROM products p
+         JOIN categories c ON c.id = p.category_id
+         WHERE p.sku = ANY($1::text[])
+         FOR UPDATE OF p`,
+        [[...rowsBySku.keys()]]
+      );
+      const existing = new Map(existingResult.rows.map((product) => [product.sku, product]));
+
+      const variantResult = await client.query(
+        'SELECT DISTINCT product_id FROM product_variants WHERE product_id = ANY($1::int[]) AND is_active = true',
+        [existingResult.rows.map((product) => product.id)]
+      );
+      const productsWithVariants = new Set(variantResult.rows.map((variant) => variant.product_id));
+
+      const results = [];
+      const changedIds = [];
+      const stockErrors = [];
+
+      for (const { row, ...fields } of importRows) {
+        const product = existing.get(fields.sku);
+
+        if (!product) {
+          await client.query(
+            `INSERT INTO products (sku, name, description, price, category_id, stock, image_url, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+              fields.sku, fields.name, fields.description || null, fields.price,
+              categoriesBySlug.get(fields.category).id,
+              fields.stock === undefined ? 0 : fields.stock,
+              fields.image_url || null,
+              fields.is_active === undefined ? true : fields.is_active
+            ]
+          );
+          results.push({ row, sku: fields.sku, action: 'create' });
+          continue;
+        }
+
+        const changes = diffProductRow(product, fields);
+        if (changes.stock && productsWithVariants.has(product.id)) {
+          stockErrors.push({ row, field: `rows[${row - 1}].stock`, message: VARIANT_STOCK_ERROR });
+          continue;
+        }
+        if (Object.keys(changes).length === 0) {
+          results.push({ row, sku: fields.sku, action: 'unchanged' });
+          continue;
+        }
+
+        const merged = { ...product };
+        for (const field of Object.keys(changes)) {
+          merged[field] = fields[field];
+        }
+
+        await client.query(
+          `UPDATE products
+           SET name = $1, description = $2, price = $3, category_id = $4, stock = $5,
+               image_url = $6, is_active = $7, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $8`,
+          [
+            merged.name, merged.description, merged.price, categoriesBySlug.get(merged.category).id,
+            merged.stock, merged.image_url, merged.is_active, product.id
+          ]
+        );
+        changedIds.push(product.id);
+        results.push({ row, sku: fields.sku, action: 'update', changes });
+      }
+
+      if (stockErrors.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Validation failed', details: stockErrors });
+      }
+
+      const countAction = (action) => results.filter((result) => result.action === action).length;
+      const summary = {
+        total: results.length,
+        created: countAction('create'),
+        updated: countAction('update'),
+        unchanged: countAction('unchanged')
+      };
+
+      if (dry_run) {
+        await client.query('ROLLBACK');
+        return res.json({
+          message: 'Dry run: no changes were saved',
+          data: { dry_run, summary, rows: results }
+        });
+      }
+
+      await client.query('COMMIT');
+
+      // Invalidate the product caches once for the whole import
+      if (summary.created > 0 || summary.updated > 0) {
+        await invalidateProductCache(...changedIds);
+      }
+
+      res.json({
+        message: 'Products imported successfully',
+        data: { dry_run, summary, rows: results }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // A concurrent import created one of the same SKUs first
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A product with one of these SKUs was created concurrently; please retry' });
+      }
+      console.error('Error importing products:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Full-text search over product name, description and category
+  router.get('/search', validate({ query: productSchemas.search }), async (req, res) => {
+    const { limit, in_stock: inStock } = req.query;
+    const tsQuery = toPrefixTsQuery(req.query.q);
+
+    if (!tsQuery) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'q', message: 'q must contain at least one letter or number' }]
+      });
+    }
+
+    const cacheKey = `products:search:${new URLSearchParams({ q: tsQuery, limit, in_stock: inStock })}`;
+
+    try {
+      const cachedData = await cache.get(cacheKey);
+      if (cachedData) {
+        return res.json({
+          source: 'cache',
+          data: JSON.parse(cachedData)
+        });
+      }
+
+      const result = await db.query(
+        `SELECT id, sku, name, description, price, category_id, category, stock, image_url, created_at,
+                ts_rank(search_vector, query) AS rank
+         FROM products, to_tsquery('english', $1) query
+         WHERE is_active = true
+           AND search_vector @@ query
+           ${inStock ? 'AND stock > 0' : ''}
+         ORDER BY rank DESC, name ASC
+         LIMIT $2`,
+        [tsQuery, limit]
+      );
+
+      const products = await attachVariants(result.rows);
+
+      // Search results go stale quickly, cache for 1 minute
+      await cache.setEx(cacheKey, 60, JSON.stringify(products));
+
+      res.json({
+        source: 'database',
+        data: products
+      });
+    } catch (error) {
+      console.error('Error searching products:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get single product by ID
+  router.get('/:id', validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+    const cacheKey = `product:${id}`;
+
+    try {
+      // Check cache
+      const cachedData = await cache.get(cacheKey);
+      if (cachedData) {
+        return res.json({
+          source: 'cache',
+          data: JSON.parse(cachedData)
+        });
+      }
+
+      const result = await db.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1 AND is_active = true`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const [product] = await attachVariants(result.rows);
+
+      // Cache for 10 minutes
+      await cache.setEx(cacheKey, 600, JSON.stringify(product));
+
+      res.json({
+        source: 'database',
+        data: product
+      });
+    } catch (error) {
+      console.error('Error fetching product:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create new product
+  router.post('/', authenticate, authorize('admin'), validate({ body: productSchemas.create }), async (req, res) => {
+    const { sku, name, description, price, category_id, stock, weight, image_url } = req.body;
+
+    try {
+      const result = await db.query(
+        `INSERT INTO products (sku, name, description, price, category_id, stock, weight, image_url)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [sku, name, description, price, category_id, stock, weight, image_url]
+      );
+
+      // Invalidate cache
+      await invalidateProductCache();
+
+      res.status(201).json({
+        message: 'Product created successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Unique violation on products.sku
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'SKU is already in use' });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json(UNKNOWN_CATEGORY_ERROR);
+      }
+      console.error('Error creating product:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update product
+  router.put('/:id', authenticate, authorize('admin'), validate({ params: idParamSchema, body: productSchemas.update }), async (req, res) => {
+    const { id } = req.params;
+    const { sku, name, description, price, category_id, stock, weight, image_url } = req.body;
+
+    try {
+      if (stock !== undefined && await productHasVariants(id)) {
+        return res.status(409).json({ error: VARIANT_STOCK_ERROR });
+      }
+
+      const result = await db.query(
+        `UPDATE products
+         SET name = COALESCE($1, name),
+             description = COALESCE($2, description),
+             price = COALESCE($3, price),
+             category_id = COALESCE($4, category_id),
+             stock = COALESCE($5, stock),
+             image_url = COALESCE($6, image_url),
+             sku = COALESCE($7, sku),
+             weight = COALESCE($8, weight),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9 AND is_active = true
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [name, description, price, category_id, stock, image_url, sku, weight, id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({
+        message: 'Product updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      // Unique violation on products.sku
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'SKU is already in use' });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json(UNKNOWN_CATEGORY_ERROR);
+      }
+      console.error('Error updating product:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete product (soft delete)
+  router.delete('/:id', authenticate, authorize('admin'), validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        'UPDATE products SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({ message: 'Product deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Restore an archived product (admin)
+  router.post('/:id/restore', authenticate, authorize('admin'), validate({ params: idParamSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await db.query(
+        `UPDATE products
+         SET is_active = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND is_active = false
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        const existing = await db.query('SELECT id FROM products WHERE id = $1', [id]);
+        return existing.rows.length === 0
+          ? res.status(404).json({ error: 'Product not found' })
+          : res.status(409).json({ error: 'Product is not archived' });
+      }
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({
+        message: 'Product restored successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      console.error('Error restoring product:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Adjust stock by a relative amount (admin). Applying a delta in SQL keeps
+  // units sold by concurrent orders, which setting an absolute level would lose.
+  router.patch('/:id/stock', authenticate, authorize('admin'), validate({ params: idParamSchema, body: productSchemas.stock }), async (req, res) => {
+    const { id } = req.params;
+    const { adjustment } = req.body;
+
+    try {
+      if (await productHasVariants(id)) {
+        return res.status(409).json({ error: VARIANT_STOCK_ERROR });
+      }
+
+      const result = await db.query(
+        `UPDATE products
+         SET stock = stock + $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND is_active = true AND stock + $1 >= 0
+         RETURNING ${PRODUCT_COLUMNS}`,
+        [adjustment, id]
+      );
+
+      if (result.rows.length === 0) {
+        const existing = await db.query('SELECT stock FROM products WHERE id = $1 AND is_active = true', [id]);
+        return existing.rows.length === 0
+          ? res.status(404).json({ error: 'Product not found' })
+          : res.status(409).json({ error: 'Stock cannot go below zero', stock: existing.rows[0].stock });
+      }
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({
+        message: 'Stock adjusted successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      console.error('Error adjusting stock:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createProductRouter };
@@ -0,0 +1,49 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { returnSchemas } = require('../schemas/returns');
+
+// Routes under /api/orders/:id/returns
+const createReturnRouter = ({ returnService }) => {
+  const router = express.Router();
+  const { listReturns, requestReturn, reviewReturn } = returnService;
+
+  // Get the returns of an order with their refunds (customers only for their own orders)
+  router.get('/:id/returns', authenticate, validate({ params: idParamSchema }), async (req, res) => {
+    try {
+      const result = await listReturns(req.user, req.params.id);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Ask to return units of a delivered order (customers only for their own orders)
+  router.post('/:id/returns', authenticate, validate({ params: idParamSchema, body: returnSchemas.create }), async (req, res) => {
+    try {
+      const result = await requestReturn(req.user, req.params.id, req.body);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error requesting return:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Approve or reject a requested return (admin, staff)
+  router.patch('/:id/returns/:returnId', authenticate, authorize('admin', 'staff'), validate({ params: returnSchemas.params, body: returnSchemas.review }), async (req, res) => {
+    const { id, returnId } = req.params;
+
+    try {
+      const result = await reviewReturn(req.user, id, returnId, req.body);
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Error reviewing return:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createReturnRouter };
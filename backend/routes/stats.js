@@ -0,0 +1,25 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { authenticate, authorize } = require('../middleware/auth');
+const { statsSchemas } = require('../schemas/stats');
+
+// Routes under /api/stats
+const createStatsRouter = ({ statsService }) => {
+  const router = express.Router();
+
+  // Get order statistics, optionally limited to orders placed from/to the given dates
+  router.get('/', authenticate, authorize('admin', 'staff'), validate({ query: statsSchemas.summary }), async (req, res) => {
+    try {
+      const stats = await statsService.getStats(req.query);
+
+      res.json({ data: stats });
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createStatsRouter };
@@ -0,0 +1,190 @@
+const express = require('express');
+const { validate, idParamSchema } = require('../middleware/validate');
+const { authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
+const { variantSchemas } = require('../schemas/products');
+const { VARIANT_COLUMNS } = require('../services/productService');
+
+// Map a unique violation on product_variants to a response message
+const variantConflictMessage = (error) => (error.constraint === 'product_variants_attributes_key'
+  ? 'This product already has a variant with these attributes'
+  : 'SKU is already in use');
+
+// Routes under /api/products/:id/variants
+const createVariantRouter = ({ db, productService }) => {
+  const router = express.Router();
+  const { invalidateProductCache } = productService;
+
+  // Get the variants of a product (inactive ones too for admins with ?include_inactive=true)
+  router.get('/:id/variants', optionalAuthenticate, validate({ params: idParamSchema, query: variantSchemas.list }), async (req, res) => {
+    const { id } = req.params;
+    const { include_inactive } = req.query;
+
+    if (include_inactive && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    try {
+      const productResult = await db.query(
+        `SELECT id FROM products WHERE id = $1 ${include_inactive ? '' : 'AND is_active = true'}`,
+        [id]
+      );
+
+      if (productResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const result = await db.query(
+        `SELECT ${VARIANT_COLUMNS}
+         FROM product_variants
+         WHERE product_id = $1 ${include_inactive ? '' : 'AND is_active = true'}
+         ORDER BY id`,
+        [id]
+      );
+
+      res.json({ data: result.rows });
+    } catch (error) {
+      console.error('Error fetching variants:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a variant (admin). From then on the product's stock is the total of
+  // its active variants' stock.
+  router.post('/:id/variants', authenticate, authorize('admin'), validate({ params: idParamSchema, body: variantSchemas.create }), async (req, res) => {
+    const { id } = req.params;
+    const { sku, attributes, price, stock, is_active } = req.body;
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the product before its variants, the same order orders use
+      const productResult = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [id]);
+      if (productResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const result = await client.query(
+        `INSERT INTO product_variants (product_id, sku, attributes, price, stock, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${VARIANT_COLUMNS}`,
+        [id, sku, attributes, price, stock, is_active === undefined ? true : is_active]
+      );
+
+      await client.query('COMMIT');
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.status(201).json({
+        message: 'Variant created successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        return res.status(409).json({ error: variantConflictMessage(error) });
+      }
+      console.error('Error creating variant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Update a variant (admin). Send "price": null to drop the price override.
+  router.put('/:id/variants/:variantId', authenticate, authorize('admin'), validate({ params: variantSchemas.params, body: variantSchemas.update }), async (req, res) => {
+    const { id, variantId } = req.params;
+    const { sku, attributes, price, stock, is_active } = req.body;
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const productResult = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [id]);
+      if (productResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+
+      // price is only replaced when sent, so null can clear the override
+      const result = await client.query(
+        `UPDATE product_variants
+         SET sku = COALESCE($1, sku),
+             attributes = COALESCE($2, attributes),
+             price = CASE WHEN $3::boolean THEN $4 ELSE price END,
+             stock = COALESCE($5, stock),
+             is_active = COALESCE($6, is_active)
+         WHERE id = $7 AND product_id = $8
+         RETURNING ${VARIANT_COLUMNS}`,
+        [sku, attributes, price !== undefined, price, stock, is_active, variantId, id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+
+      await client.query('COMMIT');
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({
+        message: 'Variant updated successfully',
+        data: result.rows[0]
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        return res.status(409).json({ error: variantConflictMessage(error) });
+      }
+      console.error('Error updating variant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Deactivate a variant (soft delete, admin); ordered variants must stay referenced
+  router.delete('/:id/variants/:variantId', authenticate, authorize('admin'), validate({ params: variantSchemas.params }), async (req, res) => {
+    const { id, variantId } = req.params;
+
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        'UPDATE product_variants SET is_active = false WHERE id = $1 AND product_id = $2 RETURNING id',
+        [variantId, id]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Variant not found' });
+      }
+
+      await client.query('COMMIT');
+
+      // Invalidate cache
+      await invalidateProductCache(id);
+
+      res.json({ message: 'Variant deleted successfully' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error deleting variant:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createVariantRouter };
@@ -0,0 +1,58 @@
+const Joi = require('joi');
+
+const MAX_COUPON_SCOPE_IDS = 100;
+
+// Codes are matched case-insensitively and stored uppercased
+const couponCodeSchema = Joi.string().trim().uppercase().max(50).pattern(/^[A-Z0-9][A-Z0-9_-]*$/)
+  .messages({ 'string.pattern.base': 'code may only contain letters, digits, "_" and "-"' });
+
+const scopeIdsSchema = Joi.array()
+  .items(Joi.number().strict().integer().positive())
+  .unique()
+  .max(MAX_COUPON_SCOPE_IDS);
+
+// Body fields are strict so that, for example, "10" is rejected as a discount
+const couponFields = {
+  code: couponCodeSchema,
+  description: Joi.string().trim().max(1000).allow('', null),
+  discount_type: Joi.string().valid('percentage', 'fixed'),
+  // Percent off for percentage coupons, an amount off for fixed ones
+  discount_value: Joi.number().strict().positive().max(99999999.99).precision(2)
+    .when('discount_type', { is: 'percentage', then: Joi.number().max(100) }),
+  // Applies to the order subtotal before discounts
+  min_order_amount: Joi.number().strict().min(0).max(99999999.99).precision(2),
+  // Limit the discount to these products and categories (with their
+  // subcategories); empty means the whole order
+  product_ids: scopeIdsSchema,
+  category_ids: scopeIdsSchema,
+  usage_limit: Joi.number().strict().integer().positive().allow(null),
+  usage_limit_per_customer: Joi.number().strict().integer().positive().allow(null),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null).when('starts_at', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('starts_at')).messages({
+      'date.greater': 'ends_at must be after starts_at'
+    })
+  }),
+  is_active: Joi.boolean().strict()
+};
+
+const couponSchemas = {
+  create: Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    discount_type: couponFields.discount_type.required(),
+    discount_value: couponFields.discount_value.required(),
+    min_order_amount: couponFields.min_order_amount.default(0),
+    product_ids: couponFields.product_ids.default([]),
+    category_ids: couponFields.category_ids.default([])
+  }),
+  update: Joi.object(couponFields).min(1).messages({
+    'object.min': 'At least one coupon field must be provided'
+  })
+};
+
+module.exports = {
+  couponCodeSchema,
+  couponSchemas
+};
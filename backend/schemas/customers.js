@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const { emailSchema } = require('../middleware/validate');
+const { pageLimitSchema } = require('./products');
+
+const MAX_CUSTOMER_ADDRESSES = 10;
+
+// Postal address; country is an ISO 3166-1 alpha-2 code such as "US"
+const addressSchema = Joi.object({
+  label: Joi.string().trim().max(50).allow('', null),
+  line1: Joi.string().trim().min(1).max(255).required(),
+  line2: Joi.string().trim().max(255).allow('', null),
+  city: Joi.string().trim().min(1).max(100).required(),
+  region: Joi.string().trim().max(100).allow('', null),
+  postal_code: Joi.string().trim().max(20).allow('', null),
+  country: Joi.string().trim().uppercase().pattern(/^[A-Z]{2}$/).required()
+    .messages({ 'string.pattern.base': 'country must be a two-letter country code' })
+});
+
+const customerFields = {
+  name: Joi.string().trim().min(1).max(255),
+  email: emailSchema,
+  phone: Joi.string().trim().max(50).pattern(/^[0-9+().\s-]*$/).allow('', null)
+    .messages({ 'string.pattern.base': 'phone may only contain digits, spaces and + ( ) . -' }),
+  addresses: Joi.array().items(addressSchema).max(MAX_CUSTOMER_ADDRESSES),
+  notes: Joi.string().trim().max(2000).allow('', null)
+};
+
+const customerSchemas = {
+  list: Joi.object({
+    // Matches part of the name or email
+    q: Joi.string().trim().max(200).allow('').default(''),
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitSchema
+  }),
+  create: Joi.object({
+    ...customerFields,
+    name: customerFields.name.required(),
+    email: customerFields.email.required(),
+    addresses: customerFields.addresses.default([])
+  }),
+  update: Joi.object(customerFields).min(1).messages({
+    'object.min': 'At least one customer field must be provided'
+  }),
+  // The customer account to link, or null to unlink
+  account: Joi.object({
+    user_id: Joi.number().strict().integer().positive().allow(null).required()
+  })
+};
+
+module.exports = {
+  addressSchema,
+  customerSchemas
+};
@@ -0,0 +1,86 @@
+const Joi = require('joi');
+const { emailSchema } = require('../middleware/validate');
+const { addressSchema } = require('./customers');
+const { couponCodeSchema } = require('./coupons');
+
+// Allowed order status transitions; cancelling is only possible before shipping
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Addresses can be changed until the order ships
+const ADDRESS_EDITABLE_STATUSES = ['pending', 'processing'];
+
+const MAX_ORDER_LINES = 100;
+
+const orderItemFields = {
+  product_id: Joi.number().strict().integer().positive(),
+  // Required for products that have active variants
+  variant_id: Joi.number().strict().integer().positive().allow(null),
+  quantity: Joi.number().strict().integer().min(1).max(10000)
+};
+
+// Address copied onto an order; name is the recipient and defaults to the
+// customer's name. Labels of saved addresses are dropped.
+const orderAddressSchema = addressSchema.keys({
+  label: Joi.any().strip(),
+  name: Joi.string().trim().max(255).allow('', null)
+});
+
+// Shipping defaults to the customer's first saved address, billing to shipping
+const orderAddressFields = {
+  shipping_address: orderAddressSchema,
+  billing_address: orderAddressSchema
+};
+
+const orderCouponSchema = couponCodeSchema.empty('').allow(null);
+
+const orderItemsSchema = Joi.array().min(1).max(MAX_ORDER_LINES).required().items(Joi.object({
+  product_id: orderItemFields.product_id.required(),
+  variant_id: orderItemFields.variant_id,
+  quantity: orderItemFields.quantity.required()
+}));
+
+const orderSchemas = {
+  create: Joi.object({
+    customer_name: Joi.string().trim().min(1).max(255).required(),
+    customer_email: emailSchema.required(),
+    ...orderAddressFields,
+    coupon_code: orderCouponSchema,
+    items: orderItemsSchema
+  }),
+  // Price preview; only the country and region of the address matter, for tax
+  quote: Joi.object({
+    customer_email: emailSchema,
+    shipping_address: orderAddressFields.shipping_address.fork(['line1', 'city'], (field) => field.optional()),
+    coupon_code: orderCouponSchema,
+    items: orderItemsSchema
+  }),
+  addresses: Joi.object(orderAddressFields).min(1).messages({
+    'object.min': 'shipping_address or billing_address must be provided'
+  }),
+  // Token for the payment method, as issued to the client by the payment provider
+  pay: Joi.object({
+    payment_token: Joi.string().trim().min(1).max(255).required()
+  }),
+  status: Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES).required(),
+    note: Joi.string().trim().max(1000).allow('', null)
+  })
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_STATUSES,
+  ADDRESS_EDITABLE_STATUSES,
+  MAX_ORDER_LINES,
+  orderAddressFields,
+  orderCouponSchema,
+  orderItemFields,
+  orderSchemas
+};
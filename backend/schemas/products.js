@@ -0,0 +1,129 @@
+const Joi = require('joi');
+
+// Product listing options
+const PRODUCT_SORT_FIELDS = ['price', 'name', 'created_at'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Stable product identifier, used to match rows on import. Every product has
+// one; variants may.
+const skuSchema = Joi.string().trim().max(64).pattern(/^[A-Za-z0-9][A-Za-z0-9._-]*$/)
+  .messages({ 'string.pattern.base': 'sku may only contain letters, digits, ".", "_" and "-"' });
+
+// Body fields are strict so that, for example, "5" is rejected as a stock level
+const productFields = {
+  sku: skuSchema,
+  name: Joi.string().trim().min(1).max(255),
+  description: Joi.string().trim().max(5000).allow('', null),
+  price: Joi.number().strict().min(0).max(99999999.99).precision(2),
+  category_id: Joi.number().strict().integer().positive(),
+  stock: Joi.number().strict().integer().min(0),
+  // Shipping weight in kg
+  weight: Joi.number().strict().min(0).max(99999).precision(3).allow(null),
+  image_url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).allow('', null)
+};
+
+const pageLimitSchema = Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE);
+
+const productSchemas = {
+  create: Joi.object({
+    ...productFields,
+    sku: productFields.sku.required(),
+    name: productFields.name.required(),
+    price: productFields.price.required(),
+    category_id: productFields.category_id.required(),
+    stock: productFields.stock.default(0)
+  }),
+  update: Joi.object(productFields).min(1).messages({
+    'object.min': 'At least one product field must be provided'
+  }),
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitSchema,
+    // Category slug; includes the category's subcategories
+    category: Joi.string().trim().lowercase().max(120).allow('').default(''),
+    min_price: Joi.number().min(0),
+    max_price: Joi.number().min(0).when('min_price', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('min_price')).messages({
+        'number.min': 'max_price must be greater than or equal to min_price'
+      })
+    }),
+    in_stock: Joi.boolean().truthy('1').falsy('0').default(false),
+    sort: Joi.string().valid(...PRODUCT_SORT_FIELDS).default('created_at'),
+    // Newest first by default, otherwise ascending
+    order: Joi.string().lowercase().valid('asc', 'desc')
+      .default((parent) => (parent.sort === 'created_at' ? 'desc' : 'asc'))
+  }),
+  search: Joi.object({
+    q: Joi.string().trim().min(1).max(200).required(),
+    limit: pageLimitSchema,
+    in_stock: Joi.boolean().truthy('1').falsy('0').default(false)
+  }),
+  archived: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitSchema
+  }),
+  export: Joi.object({
+    format: Joi.string().lowercase().valid('csv', 'json').default('csv'),
+    include_archived: Joi.boolean().truthy('1').falsy('0').default(false)
+  }),
+  import: Joi.object({
+    dry_run: Joi.boolean().truthy('1').falsy('0').default(false)
+  }),
+  // Spreadsheet cells arrive as text, so unlike the body fields above these
+  // convert "12.50" or "true"; blank stock or is_active cells keep the current value
+  importRow: Joi.object({
+    sku: skuSchema.required(),
+    name: productFields.name.required(),
+    description: productFields.description,
+    price: Joi.number().min(0).max(99999999.99).precision(2).required(),
+    // Category slug, or the name of a category
+    category: Joi.string().trim().min(1).max(120).required(),
+    stock: Joi.number().integer().min(0).empty(''),
+    image_url: productFields.image_url,
+    is_active: Joi.boolean().truthy('1', 'yes').falsy('0', 'no').empty('')
+  }).messages({ 'object.base': 'Each row must be an object' }),
+  stock: Joi.object({
+    adjustment: Joi.number().strict().integer().min(-1000000).max(1000000).invalid(0).required()
+      .messages({ 'any.invalid': 'adjustment must not be zero' })
+  })
+};
+
+const variantFields = {
+  sku: skuSchema.empty('').allow(null),
+  // Option name -> value, e.g. { "size": "44mm", "color": "Black" }
+  attributes: Joi.object()
+    .pattern(Joi.string().trim().min(1).max(50), Joi.string().trim().min(1).max(100))
+    .min(1).max(10),
+  // null uses the product price
+  price: productFields.price.allow(null),
+  stock: productFields.stock,
+  is_active: Joi.boolean().strict()
+};
+
+const variantSchemas = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    variantId: Joi.number().integer().positive().required()
+  }),
+  list: Joi.object({
+    include_inactive: Joi.boolean().truthy('1').falsy('0').default(false)
+  }),
+  create: Joi.object({
+    ...variantFields,
+    attributes: variantFields.attributes.required(),
+    stock: variantFields.stock.default(0)
+  }),
+  update: Joi.object(variantFields).min(1).messages({
+    'object.min': 'At least one variant field must be provided'
+  })
+};
+
+module.exports = {
+  PRODUCT_SORT_FIELDS,
+  pageLimitSchema,
+  productFields,
+  productSchemas,
+  variantSchemas
+};
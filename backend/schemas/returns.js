@@ -0,0 +1,24 @@
+const Joi = require('joi');
+const { MAX_ORDER_LINES, orderItemFields } = require('./orders');
+
+const returnSchemas = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    returnId: Joi.number().integer().positive().required()
+  }),
+  create: Joi.object({
+    reason: Joi.string().trim().min(1).max(2000).required(),
+    items: Joi.array().min(1).max(MAX_ORDER_LINES).unique('order_item_id').required().items(Joi.object({
+      order_item_id: Joi.number().strict().integer().positive().required(),
+      quantity: orderItemFields.quantity.required()
+    })).messages({ 'array.unique': 'Each order item may only be listed once' })
+  }),
+  review: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().trim().max(1000).allow('', null),
+    // Approved units go back into stock unless, for example, they arrived damaged
+    restock: Joi.boolean().strict().default(true)
+  })
+};
+
+module.exports = { returnSchemas };
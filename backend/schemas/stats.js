@@ -0,0 +1,32 @@
+const Joi = require('joi');
+
+const SALES_INTERVALS = ['day', 'week', 'month'];
+
+// Optional reporting period; both ends are inclusive ISO dates, e.g. 2024-01-31
+const dateRangeFields = {
+  from: Joi.date().iso().raw(),
+  to: Joi.date().iso().raw().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().raw().min(Joi.ref('from')).messages({
+      'date.min': 'to must be on or after from'
+    })
+  })
+};
+
+const statsSchemas = {
+  summary: Joi.object({
+    ...dateRangeFields,
+    top_limit: Joi.number().integer().min(1).max(50).default(5),
+    low_stock_threshold: Joi.number().integer().min(1).max(10000).default(10)
+  }),
+  sales: Joi.object({
+    ...dateRangeFields,
+    interval: Joi.string().lowercase().valid(...SALES_INTERVALS).default('day')
+  })
+};
+
+module.exports = {
+  SALES_INTERVALS,
+  dateRangeFields,
+  statsSchemas
+};
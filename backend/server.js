@@ -0,0 +1,64 @@
+const { Pool } = require('pg');
+const redis = require('redis');
+const { createApp } = require('./app');
+const { dbConfig } = require('./db/config');
+const { migrate } = require('./db/migrate');
+
+const PORT = process.env.PORT || 8000;
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+if (!process.env.PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('PAYMENT_WEBHOOK_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Database Configuration
+const pool = new Pool({
+  ...dbConfig,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 2000,
+});
+
+// Redis Configuration
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  socket: {
+    reconnectStrategy: (retries) => Math.min(retries * 50, 500)
+  }
+});
+
+redisClient.on('error', (err) => console.error('Redis Client Error', err));
+redisClient.connect().catch(console.error);
+
+const app = createApp({ db: pool, cache: redisClient });
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM signal received: closing HTTP server');
+  await pool.end();
+  await redisClient.quit();
+  process.exit(0);
+});
+
+// Start server once pending migrations are applied (MIGRATE_ON_START=false
+// skips them, e.g. when migrations run as a separate deployment step)
+const start = async () => {
+  if (process.env.MIGRATE_ON_START !== 'false') {
+    await migrate(pool);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+  });
+};
+
+start().catch((error) => {
+  console.error('Failed to start server:', error.message);
+  process.exit(1);
+});
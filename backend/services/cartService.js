@@ -0,0 +1,172 @@
+const Joi = require('joi');
+const { variantDisplayName } = require('./productService');
+
+// Shopping Cart
+// Carts are Redis hashes of "productId" or "productId:variantId" -> quantity.
+// Signed-in users have one cart per account; guests send a cart id in the
+// X-Cart-Id header, and that cart is merged into the account cart when they log in.
+const CART_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const userCartKey = (userId) => `cart:user:${userId}`;
+const guestCartKey = (cartId) => `cart:guest:${cartId}`;
+const cartLineField = (productId, variantId) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const cartIdSchema = Joi.string().guid({ version: 'uuidv4' });
+
+// Cart storage in Redis, checked against the catalog in the database
+const createCartService = ({ db, cache, productService }) => {
+  const { productHasVariants } = productService;
+
+  // Read the cart lines in the order they were added
+  const readCartLines = async (cartKey) => {
+    const entries = await cache.hGetAll(cartKey);
+    return Object.entries(entries).map(([field, quantity]) => {
+      const [productId, variantId] = field.split(':');
+      return {
+        product_id: Number(productId),
+        variant_id: variantId ? Number(variantId) : null,
+        quantity: Number(quantity)
+      };
+    });
+  };
+
+  // Store a line and push the expiry back, so active carts do not expire
+  const saveCartLine = (cartKey, field, quantity) => cache.multi()
+    .hSet(cartKey, field, String(quantity))
+    .expire(cartKey, CART_TTL_SECONDS)
+    .exec();
+
+  // Build the cart response with current product and variant details. Lines
+  // for archived or short-stocked items stay in the cart but are marked unavailable.
+  const loadCart = async (cart) => {
+    const lines = await readCartLines(cart.key);
+    const productResult = await db.query(
+      `SELECT id, name, price, stock, image_url, is_active
+       FROM products
+       WHERE id = ANY($1::int[])`,
+      [lines.map((line) => line.product_id)]
+    );
+    const variantResult = await db.query(
+      `SELECT id, product_id, attributes, price, stock, is_active
+       FROM product_variants
+       WHERE id = ANY($1::int[])`,
+      [lines.filter((line) => line.variant_id).map((line) => line.variant_id)]
+    );
+    const products = new Map(productResult.rows.map((product) => [product.id, product]));
+    const variants = new Map(variantResult.rows.map((variant) => [variant.id, variant]));
+
+    const items = lines
+      .filter((line) => products.has(line.product_id) && (!line.variant_id || variants.has(line.variant_id)))
+      .map((line) => {
+        const product = products.get(line.product_id);
+        const variant = line.variant_id ? variants.get(line.variant_id) : null;
+        const price = variant && variant.price !== null ? variant.price : product.price;
+        const stock = variant ? variant.stock : product.stock;
+        const isActive = product.is_active && (!variant || variant.is_active);
+
+        return {
+          product_id: line.product_id,
+          variant_id: line.variant_id,
+          variant_attributes: variant ? variant.attributes : null,
+          quantity: line.quantity,
+          name: product.name,
+          price,
+          stock,
+          image_url: product.image_url,
+          line_total: Math.round(price * line.quantity * 100) / 100,
+          available: isActive && stock >= line.quantity
+        };
+      });
+
+    const subtotal = items
+      .filter((item) => item.available)
+      .reduce((sum, item) => sum + item.line_total, 0);
+
+    return {
+      cart_id: cart.id,
+      items,
+      item_count: items.reduce((count, item) => count + item.quantity, 0),
+      subtotal: Math.round(subtotal * 100) / 100
+    };
+  };
+
+  // Check a cart quantity against the product or variant; returns an error response or null
+  const checkCartQuantity = async (productId, variantId, quantity) => {
+    const productResult = await db.query(
+      'SELECT id, name, stock FROM products WHERE id = $1 AND is_active = true',
+      [productId]
+    );
+
+    if (productResult.rows.length === 0) {
+      return { status: 404, body: { error: 'Product not found' } };
+    }
+
+    const product = productResult.rows[0];
+    let name = product.name;
+    let available = product.stock;
+
+    if (variantId) {
+      const variantResult = await db.query(
+        'SELECT id, attributes, stock FROM product_variants WHERE id = $1 AND product_id = $2 AND is_active = true',
+        [variantId, productId]
+      );
+      if (variantResult.rows.length === 0) {
+        return { status: 404, body: { error: 'Variant not found' } };
+      }
+      name = variantDisplayName(product, variantResult.rows[0]);
+      available = variantResult.rows[0].stock;
+    } else if (await productHasVariants(productId)) {
+      return { status: 400, body: { error: 'A variant must be selected for this product' } };
+    }
+
+    if (available < quantity) {
+      return {
+        status: 409,
+        body: {
+          error: 'Insufficient stock',
+          items: [{ product_id: product.id, variant_id: variantId || null, name, requested: quantity, available }]
+        }
+      };
+    }
+
+    return null;
+  };
+
+  // Merge a guest cart into the user's cart after login. A failure here only
+  // leaves the guest cart in place, so it never blocks logging in.
+  const mergeGuestCart = async (cartId, userId) => {
+    if (!cartId || cartIdSchema.validate(cartId).error) return;
+
+    try {
+      const lines = await readCartLines(guestCartKey(cartId));
+      if (lines.length === 0) return;
+
+      const transaction = cache.multi();
+      for (const line of lines) {
+        transaction.hIncrBy(userCartKey(userId), cartLineField(line.product_id, line.variant_id), line.quantity);
+      }
+      await transaction
+        .expire(userCartKey(userId), CART_TTL_SECONDS)
+        .del(guestCartKey(cartId))
+        .exec();
+    } catch (error) {
+      console.error('Error merging guest cart:', error);
+    }
+  };
+
+  return {
+    readCartLines,
+    saveCartLine,
+    loadCart,
+    checkCartQuantity,
+    mergeGuestCart
+  };
+};
+
+module.exports = {
+  userCartKey,
+  guestCartKey,
+  cartLineField,
+  cartIdSchema,
+  createCartService
+};
@@ -0,0 +1,42 @@
+// SQL condition matching products in the category with the given slug or any
+// of its descendants; the slug is passed as the given placeholder
+const categorySubtreeCondition = (placeholder) => `category_id IN (
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE slug = ${placeholder}
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+)`;
+
+// Nest flat category rows under their parents. product_count counts the
+// category's own active products; total_product_count includes descendants.
+const buildCategoryTree = (rows) => {
+  const nodes = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const countProducts = (node) => {
+    node.total_product_count = node.children.reduce(
+      (total, child) => total + countProducts(child),
+      node.product_count
+    );
+    return node.total_product_count;
+  };
+  roots.forEach(countProducts);
+
+  return roots;
+};
+
+module.exports = {
+  categorySubtreeCondition,
+  buildCategoryTree
+};
@@ -0,0 +1,132 @@
+// Coupons
+// A coupon turns into one discount for priceOrder. Placing an order locks the
+// coupon row while checking its limits and counts the use in the same
+// transaction, so concurrent orders cannot redeem it more often than allowed.
+const COUPON_COLUMNS = 'id, code, description, discount_type, discount_value, min_order_amount, product_ids, category_ids, usage_limit, usage_limit_per_customer, used_count, starts_at, ends_at, is_active, created_at, updated_at';
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Coupon problems are reported like validation errors on the coupon_code field
+const couponError = (message) => ({
+  error: {
+    status: 400,
+    body: { error: 'Validation failed', details: [{ field: 'coupon_code', message }] }
+  }
+});
+
+// Check that a coupon can be used on these order lines ({ productId,
+// categoryId, price, quantity }) by this customer, if known. Orders placed by
+// a customer's account pass its userId, and then count its uses by the orders
+// the account placed as well as by the customer. Returns { coupon, discount }
+// or { error: { status, body } }. With lock, the coupon row stays locked until
+// the caller's transaction ends.
+const applyCoupon = async (client, { code, lines, customerId = null, userId = null, lock = false }) => {
+  const result = await client.query(
+    `SELECT ${COUPON_COLUMNS},
+            starts_at > CURRENT_TIMESTAMP AS not_started,
+            ends_at <= CURRENT_TIMESTAMP AS expired
+     FROM coupons
+     WHERE code = $1
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [code]
+  );
+  const coupon = result.rows[0];
+
+  if (!coupon || !coupon.is_active) {
+    return couponError(`Coupon ${code} is not valid`);
+  }
+  if (coupon.not_started) {
+    return couponError(`Coupon ${code} is not valid yet`);
+  }
+  if (coupon.expired) {
+    return couponError(`Coupon ${code} has expired`);
+  }
+  if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+    return couponError(`Coupon ${code} has been fully redeemed`);
+  }
+
+  if ((customerId !== null || userId !== null) && coupon.usage_limit_per_customer !== null) {
+    const usedResult = await client.query(
+      `SELECT COUNT(*)::int AS used
+       FROM coupon_redemptions r
+       JOIN orders o ON o.id = r.order_id
+       WHERE r.coupon_id = $1 AND (r.customer_id = $2 OR o.user_id = $3)`,
+      [coupon.id, customerId, userId]
+    );
+    if (usedResult.rows[0].used >= coupon.usage_limit_per_customer) {
+      return couponError(`Coupon ${code} has already been used the maximum number of times`);
+    }
+  }
+
+  const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.price) * line.quantity, 0);
+  if (subtotalCents < toCents(coupon.min_order_amount)) {
+    return couponError(`Coupon ${code} requires an order of at least $${Number(coupon.min_order_amount).toFixed(2)}`);
+  }
+
+  // Scoped coupons only discount the matching products and the products in
+  // the matching categories or their subcategories
+  let appliesTo;
+  if (coupon.product_ids.length > 0 || coupon.category_ids.length > 0) {
+    const categoryResult = await client.query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM categories WHERE id = ANY($1::int[])
+         UNION
+         SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+       )
+       SELECT id FROM subtree`,
+      [coupon.category_ids]
+    );
+    const productIds = new Set(coupon.product_ids);
+    const categoryIds = new Set(categoryResult.rows.map((row) => row.id));
+    appliesTo = (line) => productIds.has(line.productId) || categoryIds.has(line.categoryId);
+
+    if (!lines.some(appliesTo)) {
+      return couponError(`Coupon ${code} does not apply to any items in this order`);
+    }
+  }
+
+  return {
+    coupon,
+    discount: {
+      label: `Coupon ${coupon.code}`,
+      type: coupon.discount_type,
+      value: Number(coupon.discount_value),
+      appliesTo
+    }
+  };
+};
+
+// Count a use of a coupon checked with applyCoupon(..., { lock: true }) in the
+// same transaction
+const redeemCoupon = async (client, { coupon, orderId, customerId, discountAmount }) => {
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [coupon.id, orderId, customerId, discountAmount]
+  );
+  await client.query(
+    'UPDATE coupons SET used_count = used_count + 1 WHERE id = $1',
+    [coupon.id]
+  );
+};
+
+// Give back the coupon use of a cancelled order, if it had one
+const releaseCoupon = async (client, orderId) => {
+  const result = await client.query(
+    'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+    [orderId]
+  );
+  if (result.rows.length > 0) {
+    await client.query(
+      'UPDATE coupons SET used_count = used_count - 1 WHERE id = $1',
+      [result.rows[0].coupon_id]
+    );
+  }
+};
+
+module.exports = {
+  COUPON_COLUMNS,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,47 @@
+// Customers
+// Every order belongs to a customer, identified by its (lowercased) email.
+// Orders keep the name and email they were placed with; the customer record
+// holds the current details, addresses and phone number.
+const CUSTOMER_COLUMNS = 'id, user_id, name, email, phone, addresses, notes, created_at, updated_at';
+
+// Order totals per customer; cancelled orders do not add to the lifetime value
+const CUSTOMER_SUMMARY_COLUMNS = `
+  COUNT(o.id)::int AS order_count,
+  COALESCE(SUM(o.total_amount) FILTER (WHERE o.status <> 'cancelled'), 0) AS lifetime_value,
+  COALESCE(ROUND(AVG(o.total_amount) FILTER (WHERE o.status <> 'cancelled'), 2), 0) AS average_order_value,
+  MIN(o.created_at) AS first_order_at,
+  MAX(o.created_at) AS last_order_at`;
+
+// Find the customer with the given email, creating it on first order, and
+// return its id. An existing customer keeps its name, so a typo on one order
+// does not rename the customer. Customers are never linked to a user account
+// here: account emails are not verified, so only staff link them.
+const findOrCreateCustomer = async (client, { name, email }) => {
+  const result = await client.query(
+    `INSERT INTO customers (name, email)
+     VALUES ($1, $2)
+     ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+     RETURNING id`,
+    [name, email]
+  );
+  return result.rows[0].id;
+};
+
+// Selects the account linked to the customer of an order o, for canSeeOrder
+const ORDER_CUSTOMER_USER_COLUMN = '(SELECT user_id FROM customers WHERE id = o.customer_id) AS customer_user_id';
+
+// Whether the user may see an order selected with ORDER_CUSTOMER_USER_COLUMN.
+// Customers see the orders they placed and those placed for the customer
+// that staff linked to their account; ordering under an email grants nothing
+// more. Staff see every order.
+const canSeeOrder = (user, order) => user.role !== 'customer'
+  || order.user_id === user.id
+  || order.customer_user_id === user.id;
+
+module.exports = {
+  CUSTOMER_COLUMNS,
+  CUSTOMER_SUMMARY_COLUMNS,
+  ORDER_CUSTOMER_USER_COLUMN,
+  canSeeOrder,
+  findOrCreateCustomer
+};
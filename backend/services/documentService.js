@@ -0,0 +1,330 @@
+const PDFDocument = require('pdfkit');
+const { ORDER_CUSTOMER_USER_COLUMN, canSeeOrder } = require('./customerService');
+
+// Invoices and Packing Slips
+// Printable PDFs of an order, built from the order as it was placed: line
+// prices are those stored in order_items, and the customer's name, email and
+// addresses those copied onto the order. An order gets the next invoice
+// number the first time its invoice is produced and keeps it for every
+// reprint; numbers come from a counter row, so none are skipped.
+
+const PAGE_MARGIN = 50;
+// Lowest y a table row may start at before moving to a new page
+const PAGE_BOTTOM = 760;
+
+const formatInvoiceNumber = (prefix, invoiceNumber) => `${prefix}${String(invoiceNumber).padStart(6, '0')}`;
+
+// Timestamps are stored without a time zone, as wall-clock times of the
+// database session. This selects one as an absolute time instead, so that it
+// does not depend on the time zone of the Node process.
+const absoluteTime = (column) => `(${column} AT TIME ZONE current_setting('TimeZone'))`;
+
+// Address lines of an order address, or just the fallback name for orders
+// placed before addresses were stored
+const addressLines = (address, fallbackName) => {
+  if (!address) {
+    return [fallbackName];
+  }
+  const cityLine = [address.city, address.region, address.postal_code].filter(Boolean).join(', ');
+  return [address.name || fallbackName, address.line1, address.line2, cityLine, address.country].filter(Boolean);
+};
+
+const itemLabel = (item) => (item.variant_attributes
+  ? `${item.product_name} (${Object.values(item.variant_attributes).join(' / ')})`
+  : item.product_name);
+
+// Render a PDF with draw(doc) and resolve to its bytes
+const renderPdf = (title, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// Title on the left, store details on the right
+const drawHeader = (doc, title, store) => {
+  doc.font('Helvetica-Bold').fontSize(22).text(title, PAGE_MARGIN, PAGE_MARGIN);
+
+  const storeLines = [
+    ...store.storeAddress,
+    store.storeEmail,
+    store.storeTaxId && `Tax ID: ${store.storeTaxId}`
+  ].filter(Boolean);
+  doc.font('Helvetica-Bold').fontSize(11).text(store.storeName, 300, PAGE_MARGIN, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(9).text(storeLines.join('\n'), { width: 245, align: 'right' });
+
+  doc.y = Math.max(doc.y, PAGE_MARGIN + 40) + 20;
+};
+
+// Labelled values such as the order number, one per line
+const drawFacts = (doc, facts) => {
+  const top = doc.y;
+  facts.forEach(([label, value], index) => {
+    const y = top + index * 14;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, PAGE_MARGIN, y, { width: 110 });
+    doc.font('Helvetica').text(value, PAGE_MARGIN + 110, y, { width: 200 });
+  });
+  doc.y = top + facts.length * 14 + 16;
+};
+
+// Address blocks side by side
+const drawAddresses = (doc, blocks) => {
+  const top = doc.y;
+  let bottom = top;
+  blocks.forEach(([heading, lines], index) => {
+    const x = PAGE_MARGIN + index * 250;
+    doc.font('Helvetica-Bold').fontSize(10).text(heading, x, top, { width: 230 });
+    doc.font('Helvetica').text(lines.join('\n'), x, doc.y + 2, { width: 230 });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.y = bottom + 20;
+};
+
+// A table of rows under a header row, repeating the header on new pages.
+// columns are [{ header, width, align? }]; rows are arrays of strings.
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    let bottom = top;
+    doc.font(font).fontSize(10);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(cell, x + 4, top + 4, { width: width - 8, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 4;
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(x, doc.y).strokeColor('#cbd5e0').lineWidth(0.5).stroke();
+  };
+
+  drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+  rows.forEach((row) => {
+    if (doc.y > PAGE_BOTTOM) {
+      doc.addPage();
+      drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+    }
+    drawRow(row, 'Helvetica');
+  });
+  doc.y += 10;
+};
+
+// Label and amount rows aligned under the amount column of the items table
+const drawTotals = (doc, totals) => {
+  // Keep the totals together on one page
+  if (doc.y + totals.length * 16 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+  totals.forEach(([label, amount, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, 300, y, { width: 150, align: 'right' });
+    doc.text(amount, 455, y, { width: 86, align: 'right' });
+    doc.y = y + 16;
+  });
+};
+
+const createDocumentService = ({ db, store, currency }) => {
+  const money = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const formatMoney = (value) => money.format(Number(value));
+  // YYYY-MM-DD of the day a time falls on in the store's time zone
+  const dates = new Intl.DateTimeFormat('en-CA', { timeZone: store.timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const formatDate = (value) => dates.format(new Date(value));
+
+  // Load an order with its lines as placed; null if there is none or the user
+  // may not see it (reported as missing rather than leaking that it exists)
+  const findOrder = async (user, orderId) => {
+    const result = await db.query(
+      `SELECT o.id, o.user_id, ${ORDER_CUSTOMER_USER_COLUMN}, o.status, o.subtotal, o.discount_amount, o.coupon_code, o.shipping_amount,
+              o.tax_rate, o.tax_amount, o.total_amount, o.shipping_address, o.billing_address,
+              o.invoice_number, ${absoluteTime('o.invoiced_at')} AS invoiced_at, ${absoluteTime('o.created_at')} AS created_at,
+              o.customer_name, o.customer_email,
+              (SELECT json_build_object('captured_at', ${absoluteTime('pay.captured_at')}, 'refunded_amount', pay.refunded_amount)
+               FROM payments pay
+               WHERE pay.order_id = o.id AND pay.status = 'captured') AS payment,
+              (SELECT json_agg(
+                        json_build_object(
+                          'product_name', p.name,
+                          'variant_attributes', v.attributes,
+                          'sku', COALESCE(v.sku, p.sku),
+                          'quantity', oi.quantity,
+                          'price', oi.price
+                        ) ORDER BY oi.id
+                      )
+               FROM order_items oi
+               JOIN products p ON p.id = oi.product_id
+               LEFT JOIN product_variants v ON v.id = oi.variant_id
+               WHERE oi.order_id = o.id) AS items
+       FROM orders o
+       WHERE o.id = $1`,
+      [orderId]
+    );
+
+    const order = result.rows[0];
+    if (!order || !canSeeOrder(user, order)) {
+      return null;
+    }
+    return order;
+  };
+
+  // Render the invoice of an order (customers only for their own orders) and
+  // return { status, filename, pdf }, or the { status, body } of an error.
+  // Cancelled orders are only invoiced if they were before being cancelled.
+  const invoicePdf = async (user, orderId) => {
+    const order = await findOrder(user, orderId);
+    if (!order) {
+      return { status: 404, body: { error: 'Order not found' } };
+    }
+
+    if (order.invoice_number === null) {
+      const client = await db.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Lock the order so that a concurrent request for it waits and then
+        // finds it numbered (or cancelled)
+        const lockResult = await client.query(
+          'SELECT status, invoice_number FROM orders WHERE id = $1 FOR UPDATE',
+          [order.id]
+        );
+        const { status, invoice_number: invoiceNumber } = lockResult.rows[0];
+        if (invoiceNumber === null && status === 'cancelled') {
+          await client.query('ROLLBACK');
+          return { status: 409, body: { error: 'Cancelled orders are not invoiced' } };
+        }
+
+        // The counter row stays locked until the commit, and a rollback
+        // gives the number back
+        if (invoiceNumber === null) {
+          const counterResult = await client.query(
+            'UPDATE invoice_counters SET last_number = last_number + 1 RETURNING last_number'
+          );
+          await client.query(
+            'UPDATE orders SET invoice_number = $1, invoiced_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [counterResult.rows[0].last_number, order.id]
+          );
+        }
+
+        const numberResult = await client.query(
+          `SELECT invoice_number, ${absoluteTime('invoiced_at')} AS invoiced_at FROM orders WHERE id = $1`,
+          [order.id]
+        );
+        Object.assign(order, numberResult.rows[0]);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    const invoiceNumber = formatInvoiceNumber(store.numberPrefix, order.invoice_number);
+    const pdf = await renderPdf(`Invoice ${invoiceNumber}`, (doc) => {
+      drawHeader(doc, 'INVOICE', store);
+      drawFacts(doc, [
+        ['Invoice number', invoiceNumber],
+        ['Invoice date', formatDate(order.invoiced_at)],
+        ['Order', `#${order.id} of ${formatDate(order.created_at)}`],
+        ['Customer', `${order.customer_name} <${order.customer_email}>`]
+      ]);
+      drawAddresses(doc, [
+        ['Bill to', addressLines(order.billing_address || order.shipping_address, order.customer_name)],
+        ['Ship to', addressLines(order.shipping_address, order.customer_name)]
+      ]);
+      drawTable(
+        doc,
+        [
+          { header: 'Item', width: 245 },
+          { header: 'Qty', width: 60, align: 'right' },
+          { header: 'Unit price', width: 95, align: 'right' },
+          { header: 'Amount', width: 95, align: 'right' }
+        ],
+        order.items.map((item) => [
+          itemLabel(item),
+          String(item.quantity),
+          formatMoney(item.price),
+          formatMoney(Number(item.price) * item.quantity)
+        ])
+      );
+
+      const totals = [['Subtotal', formatMoney(order.subtotal)]];
+      if (Number(order.discount_amount) > 0) {
+        totals.push([
+          order.coupon_code ? `Discount (${order.coupon_code})` : 'Discount',
+          `-${formatMoney(order.discount_amount)}`
+        ]);
+      }
+      totals.push(
+        ['Shipping', formatMoney(order.shipping_amount)],
+        [`Tax (${Number((Number(order.tax_rate) * 100).toFixed(3))}%)`, formatMoney(order.tax_amount)],
+        ['Total', formatMoney(order.total_amount), true]
+      );
+      if (order.payment) {
+        totals.push([`Paid ${formatDate(order.payment.captured_at)}`, formatMoney(order.total_amount)]);
+        if (Number(order.payment.refunded_amount) > 0) {
+          totals.push(['Refunded', `-${formatMoney(order.payment.refunded_amount)}`]);
+        }
+      } else {
+        totals.push(['Amount due', formatMoney(order.total_amount), true]);
+      }
+      drawTotals(doc, totals);
+
+      if (order.status === 'cancelled') {
+        doc.moveDown().font('Helvetica-Bold').text('This order has been cancelled.', PAGE_MARGIN);
+      }
+    });
+
+    return { status: 200, filename: `invoice-${invoiceNumber}.pdf`, pdf };
+  };
+
+  // Render the packing slip of an order to pack with its goods: what to ship
+  // and where, without prices. Returns like invoicePdf.
+  const packingSlipPdf = async (user, orderId) => {
+    const order = await findOrder(user, orderId);
+    if (!order) {
+      return { status: 404, body: { error: 'Order not found' } };
+    }
+    if (order.status === 'cancelled') {
+      return { status: 409, body: { error: 'Cancelled orders are not shipped' } };
+    }
+
+    const pdf = await renderPdf(`Packing slip for order #${order.id}`, (doc) => {
+      drawHeader(doc, 'PACKING SLIP', store);
+      drawFacts(doc, [
+        ['Order', `#${order.id}`],
+        ['Order date', formatDate(order.created_at)]
+      ]);
+      drawAddresses(doc, [
+        ['Ship to', addressLines(order.shipping_address, order.customer_name)]
+      ]);
+      drawTable(
+        doc,
+        [
+          { header: 'SKU', width: 120 },
+          { header: 'Item', width: 305 },
+          { header: 'Qty', width: 70, align: 'right' }
+        ],
+        order.items.map((item) => [item.sku || '', itemLabel(item), String(item.quantity)])
+      );
+      drawTotals(doc, [
+        ['Total units', String(order.items.reduce((sum, item) => sum + item.quantity, 0)), true]
+      ]);
+    });
+
+    return { status: 200, filename: `packing-slip-${order.id}.pdf`, pdf };
+  };
+
+  return { invoicePdf, packingSlipPdf };
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  createDocumentService
+};
@@ -0,0 +1,487 @@
+const crypto = require('crypto');
+const { ORDER_STATUS_TRANSITIONS, ADDRESS_EDITABLE_STATUSES } = require('../schemas/orders');
+const { variantDisplayName } = require('./productService');
+const { findOrCreateCustomer } = require('./customerService');
+const { priceOrder } = require('./pricingService');
+const { applyCoupon, redeemCoupon } = require('./couponService');
+
+// Idempotency keys for order creation
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const idempotencyCacheKey = (userId, key) => `idempotency:${userId}:${key}`;
+
+const hashRequestBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+// Build the result for a stored response, unless the key was used for a different request
+const toReplayResult = (stored, requestHash) => {
+  if (stored.request_hash !== requestHash) {
+    return { status: 422, body: { error: 'Idempotency-Key was already used for a different request' } };
+  }
+
+  return { status: stored.response_status, body: stored.response_body, replayed: true };
+};
+
+const sendOrderResult = (res, result) => {
+  if (result.replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  return res.status(result.status).json(result.body);
+};
+
+const readIdempotencyKey = (req) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey !== undefined && (idempotencyKey.length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    return { error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+  return { idempotencyKey };
+};
+
+// Merge the requested items into one line per product and variant and look up
+// their names, prices, weights and stock. Returns { lines, productIds }, or
+// { error: { status, body } } for unknown products or variants, a missing
+// variant choice or short stock. With lock, the product and variant rows stay
+// locked until the caller's transaction ends.
+const resolveOrderLines = async (client, items, { lock = false } = {}) => {
+  const merged = new Map();
+  for (const { product_id: productId, variant_id: variantId = null, quantity } of items) {
+    const key = `${productId}:${variantId}`;
+    if (merged.has(key)) {
+      merged.get(key).quantity += quantity;
+    } else {
+      merged.set(key, { productId, variantId, quantity });
+    }
+  }
+  const lines = [...merged.values()];
+  const productIds = [...new Set(lines.map((line) => line.productId))];
+
+  // Lock the product rows (in id order, to avoid deadlocks) so concurrent
+  // orders for the same products wait for this one to commit
+  const productResult = await client.query(
+    `SELECT id, name, price, stock, weight, category_id
+     FROM products
+     WHERE id = ANY($1::int[]) AND is_active = true
+     ORDER BY id
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [productIds]
+  );
+  const products = new Map(productResult.rows.map((product) => [product.id, product]));
+
+  const missingIds = productIds.filter((productId) => !products.has(productId));
+  if (missingIds.length > 0) {
+    return { error: { status: 404, body: { error: 'Products not found', product_ids: missingIds } } };
+  }
+
+  // Lock the active variants of these products too (after the products, in
+  // the same order as cancellations restock them)
+  const variantResult = await client.query(
+    `SELECT id, product_id, attributes, price, stock
+     FROM product_variants
+     WHERE product_id = ANY($1::int[]) AND is_active = true
+     ORDER BY id
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [productIds]
+  );
+  const variants = new Map(variantResult.rows.map((variant) => [variant.id, variant]));
+  const productsWithVariants = new Set(variantResult.rows.map((variant) => variant.product_id));
+
+  for (const line of lines) {
+    line.product = products.get(line.productId);
+    line.variant = line.variantId ? variants.get(line.variantId) : null;
+  }
+
+  const missingVariantIds = lines
+    .filter((line) => line.variantId && (!line.variant || line.variant.product_id !== line.productId))
+    .map((line) => line.variantId);
+  if (missingVariantIds.length > 0) {
+    return { error: { status: 404, body: { error: 'Variants not found', variant_ids: missingVariantIds } } };
+  }
+
+  const needsVariant = lines
+    .filter((line) => !line.variantId && productsWithVariants.has(line.productId))
+    .map((line) => line.productId);
+  if (needsVariant.length > 0) {
+    return { error: { status: 400, body: { error: 'A variant must be selected for these products', product_ids: needsVariant } } };
+  }
+
+  // Variants have their own stock, and their own price when one is set
+  for (const line of lines) {
+    line.name = line.variant ? variantDisplayName(line.product, line.variant) : line.product.name;
+    line.available = line.variant ? line.variant.stock : line.product.stock;
+    line.price = line.variant && line.variant.price !== null ? line.variant.price : line.product.price;
+    line.weight = line.product.weight;
+    line.categoryId = line.product.category_id;
+  }
+
+  const shortages = lines
+    .filter((line) => line.available < line.quantity)
+    .map((line) => ({
+      product_id: line.productId,
+      variant_id: line.variantId,
+      name: line.name,
+      requested: line.quantity,
+      available: line.available
+    }));
+  if (shortages.length > 0) {
+    return { error: { status: 409, body: { error: 'Insufficient stock', items: shortages } } };
+  }
+
+  return { lines, productIds };
+};
+
+// Customers order for themselves: the order's email must be their account's.
+// Returns the { status, body } of the error, or null.
+const customerEmailError = (user, customerEmail) => {
+  if (user.role !== 'customer' || customerEmail === user.email) {
+    return null;
+  }
+  return {
+    status: 400,
+    body: {
+      error: 'Validation failed',
+      details: [{ field: 'customer_email', message: 'customer_email must be the email of your account' }]
+    }
+  };
+};
+
+// The first saved address of a customer ({ user_id, address } as selected),
+// if the user may use it: staff may use any customer's, customers only that
+// of the customer linked to their account
+const savedAddressFor = (user, customer) => {
+  if (!customer || (user.role === 'customer' && customer.user_id !== user.id)) {
+    return null;
+  }
+  return customer.address;
+};
+
+// Order placement and listing shared by the order, cart and customer routes
+const createOrderService = ({ db, cache, productService }) => {
+  const { invalidateProductCache } = productService;
+
+  // List orders with their items, newest first, optionally only those of one
+  // user account (placed by it or for the customer linked to it) or one
+  // customer. Names and emails are the customer's current ones;
+  // payment_status is that of the latest payment attempt (null if unpaid).
+  const listOrders = async ({ userId, customerId } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (userId !== undefined) {
+      params.push(userId);
+      conditions.push(`(o.user_id = $${params.length} OR c.user_id = $${params.length})`);
+    }
+    if (customerId !== undefined) {
+      params.push(customerId);
+      conditions.push(`o.customer_id = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT o.id, o.user_id, o.customer_id, c.name AS customer_name, c.email AS customer_email,
+             o.subtotal, o.discount_amount, o.shipping_amount, o.tax_rate, o.tax_amount,
+             o.total_amount, o.coupon_code, o.invoice_number, o.status, o.shipping_address, o.billing_address, o.created_at,
+             (SELECT pay.status FROM payments pay
+              WHERE pay.order_id = o.id
+              ORDER BY pay.created_at DESC, pay.id DESC
+              LIMIT 1) AS payment_status,
+             json_agg(
+               json_build_object(
+                 'id', oi.id,
+                 'product_id', oi.product_id,
+                 'product_name', p.name,
+                 'variant_id', oi.variant_id,
+                 'variant_attributes', v.attributes,
+                 'quantity', oi.quantity,
+                 'price', oi.price
+               )
+             ) as items
+      FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      LEFT JOIN order_items oi ON o.id = oi.order_id
+      LEFT JOIN products p ON oi.product_id = p.id
+      LEFT JOIN product_variants v ON oi.variant_id = v.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY o.id, c.id
+      ORDER BY o.created_at DESC
+    `, params);
+
+    return result.rows.map((order) => ({
+      ...order,
+      allowed_transitions: ORDER_STATUS_TRANSITIONS[order.status],
+      addresses_editable: ADDRESS_EDITABLE_STATUSES.includes(order.status)
+    }));
+  };
+
+  // Price an order for the given user without placing it and return the
+  // { status, body } to respond with. Checks products, stock and the coupon
+  // like placeOrder but locks nothing. The customer with the given email
+  // (for customers, their own) counts towards per-customer coupon limits, and
+  // without a shipping address their saved address is used for tax.
+  const quoteOrder = async (user, { customer_email: requestedEmail, shipping_address, coupon_code, items }) => {
+    const customer_email = requestedEmail || (user.role === 'customer' ? user.email : undefined);
+    const emailError = customerEmailError(user, customer_email);
+    if (emailError) {
+      return emailError;
+    }
+
+    const resolved = await resolveOrderLines(db, items);
+    if (resolved.error) {
+      return resolved.error;
+    }
+
+    let customer = null;
+    if (customer_email) {
+      const customerResult = await db.query(
+        "SELECT id, user_id, (addresses->0) - 'label' AS address FROM customers WHERE email = $1",
+        [customer_email]
+      );
+      customer = customerResult.rows[0] || null;
+    }
+
+    let discounts = [];
+    if (coupon_code) {
+      const applied = await applyCoupon(db, {
+        code: coupon_code,
+        lines: resolved.lines,
+        customerId: customer ? customer.id : null,
+        userId: user.role === 'customer' ? user.id : null
+      });
+      if (applied.error) {
+        return applied.error;
+      }
+      discounts = [applied.discount];
+    }
+
+    const shippingAddress = shipping_address || savedAddressFor(user, customer);
+    const pricing = priceOrder({ lines: resolved.lines, shippingAddress, discounts });
+
+    return { status: 200, body: { data: { ...pricing, coupon_code: coupon_code || null } } };
+  };
+
+  // Place an order for the given user in one transaction and return the
+  // { status, body } to respond with. Shared by POST /api/orders and cart
+  // checkout. With an idempotency key, retries of the same order replay the
+  // original response instead of creating another order.
+  const placeOrder = async (user, orderRequest, idempotencyKey) => {
+    const { customer_name, customer_email, shipping_address, billing_address, coupon_code, items } = orderRequest;
+    const requestHash = idempotencyKey
+      ? hashRequestBody({ customer_name, customer_email, shipping_address, billing_address, coupon_code, items })
+      : null;
+
+    const emailError = customerEmailError(user, customer_email);
+    if (emailError) {
+      return emailError;
+    }
+
+    // Fast path: replay from Redis. The database remains the source of truth,
+    // so a cache failure only means falling through to the checks below.
+    if (idempotencyKey) {
+      try {
+        const cachedResponse = await cache.get(idempotencyCacheKey(user.id, idempotencyKey));
+        if (cachedResponse) {
+          return toReplayResult(JSON.parse(cachedResponse), requestHash);
+        }
+      } catch (error) {
+        console.error('Error reading idempotency cache:', error);
+      }
+    }
+
+    const client = await db.connect();
+    let placed;
+
+    try {
+      await client.query('BEGIN');
+
+      // Claim the key first: a concurrent request with the same key blocks here
+      // until this transaction finishes, then finds the stored response
+      if (idempotencyKey) {
+        const keyResult = await client.query(
+          `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING
+           RETURNING id`,
+          [user.id, idempotencyKey, requestHash]
+        );
+
+        if (keyResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          const storedResult = await db.query(
+            `SELECT request_hash, response_status, response_body
+             FROM idempotency_keys
+             WHERE user_id = $1 AND idempotency_key = $2`,
+            [user.id, idempotencyKey]
+          );
+          return toReplayResult(storedResult.rows[0], requestHash);
+        }
+      }
+
+      const resolved = await resolveOrderLines(client, items, { lock: true });
+      if (resolved.error) {
+        await client.query('ROLLBACK');
+        return resolved.error;
+      }
+      const { lines, productIds } = resolved;
+
+      // Customers order under their own email (checked above)
+      const customerId = await findOrCreateCustomer(client, {
+        name: customer_name,
+        email: customer_email
+      });
+
+      // Without a shipping address, ship to the customer's first saved address
+      let shippingAddress = shipping_address;
+      if (!shippingAddress) {
+        const savedResult = await client.query(
+          "SELECT user_id, (addresses->0) - 'label' AS address FROM customers WHERE id = $1",
+          [customerId]
+        );
+        shippingAddress = savedAddressFor(user, savedResult.rows[0]);
+      }
+      if (!shippingAddress) {
+        await client.query('ROLLBACK');
+        return {
+          status: 400,
+          body: {
+            error: 'Validation failed',
+            details: [{ field: 'shipping_address', message: 'shipping_address is required when the customer has no saved address' }]
+          }
+        };
+      }
+      shippingAddress = { ...shippingAddress, name: shippingAddress.name || customer_name };
+      const billingAddress = billing_address
+        ? { ...billing_address, name: billing_address.name || customer_name }
+        : shippingAddress;
+
+      // Lock the coupon until its use is counted below
+      let applied = null;
+      if (coupon_code) {
+        applied = await applyCoupon(client, {
+          code: coupon_code,
+          lines,
+          customerId,
+          userId: user.role === 'customer' ? user.id : null,
+          lock: true
+        });
+        if (applied.error) {
+          await client.query('ROLLBACK');
+          return applied.error;
+        }
+      }
+
+      // Tax follows the shipping destination
+      const pricing = priceOrder({ lines, shippingAddress, discounts: applied ? [applied.discount] : [] });
+
+      // Create order, linked to the account when a customer places it
+      const orderResult = await client.query(
+        `INSERT INTO orders (user_id, customer_id, customer_name, customer_email, subtotal,
+                             discount_amount, shipping_amount, tax_rate, tax_amount, total_amount,
+                             coupon_code, shipping_address, billing_address, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'pending')
+         RETURNING *`,
+        [
+          user.role === 'customer' ? user.id : null,
+          customerId,
+          customer_name,
+          customer_email,
+          pricing.subtotal,
+          pricing.discount_amount,
+          pricing.shipping_amount,
+          pricing.tax_rate,
+          pricing.tax_amount,
+          pricing.total_amount,
+          applied ? applied.coupon.code : null,
+          JSON.stringify(shippingAddress),
+          JSON.stringify(billingAddress)
+        ]
+      );
+
+      const order = orderResult.rows[0];
+
+      if (applied) {
+        await redeemCoupon(client, {
+          coupon: applied.coupon,
+          orderId: order.id,
+          customerId,
+          discountAmount: pricing.discount_amount
+        });
+      }
+
+      await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by)
+         VALUES ($1, NULL, 'pending', $2)`,
+        [order.id, user.id]
+      );
+
+      // Create order items and update stock. Variant stock changes flow back
+      // into the product stock through a trigger.
+      for (const line of lines) {
+        await client.query(
+          `INSERT INTO order_items (order_id, product_id, variant_id, quantity, price)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [order.id, line.productId, line.variantId, line.quantity, line.price]
+        );
+
+        if (line.variant) {
+          await client.query(
+            'UPDATE product_variants SET stock = stock - $1 WHERE id = $2',
+            [line.quantity, line.variantId]
+          );
+        } else {
+          await client.query(
+            'UPDATE products SET stock = stock - $1 WHERE id = $2',
+            [line.quantity, line.productId]
+          );
+        }
+      }
+
+      const responseBody = {
+        message: 'Order created successfully',
+        data: order
+      };
+
+      // Failed attempts roll back the key too, so only successes are replayed
+      if (idempotencyKey) {
+        await client.query(
+          `UPDATE idempotency_keys
+           SET response_status = 201, response_body = $1
+           WHERE user_id = $2 AND idempotency_key = $3`,
+          [JSON.stringify(responseBody), user.id, idempotencyKey]
+        );
+      }
+
+      await client.query('COMMIT');
+      placed = { responseBody, productIds };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The order is placed: from here on, failures must not turn into an error
+    // response, or a retry without the key would place it again
+    await invalidateProductCache(...placed.productIds);
+
+    // Retries are replayed from the stored key even without the cache entry
+    if (idempotencyKey) {
+      try {
+        await cache.setEx(
+          idempotencyCacheKey(user.id, idempotencyKey),
+          IDEMPOTENCY_TTL_SECONDS,
+          JSON.stringify({ request_hash: requestHash, response_status: 201, response_body: placed.responseBody })
+        );
+      } catch (error) {
+        console.error('Error writing idempotency cache:', error);
+      }
+    }
+
+    return { status: 201, body: placed.responseBody };
+  };
+
+  return { listOrders, quoteOrder, placeOrder };
+};
+
+module.exports = {
+  sendOrderResult,
+  readIdempotencyKey,
+  createOrderService
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Payment Providers
+// A provider moves the money for orders. Amounts are in dollars. Every
+// provider has a name and implements:
+//   authorize({ amount, currency, orderId, paymentToken })
+//     -> { providerPaymentId, status: 'authorized' | 'failed', failureReason? }
+//   capture({ providerPaymentId, amount }) -> { status: 'pending' | 'captured' }
+//   voidAuthorization({ providerPaymentId }) -> { status: 'voided' }
+//   refund({ providerPaymentId, amount, refundId }) -> { providerRefundId, status: 'pending' | 'refunded' }
+//   verifyWebhook(rawBody, headers) -> { event: { id, type, providerPaymentId,
+//     refundId, providerRefundId, amount, failureReason, payload } } or { error }
+// Captures and refunds are only final once the provider confirms them with a
+// payment.captured or refund.succeeded webhook event. refundId is our own
+// reference for a refund, which its events carry back.
+
+// Webhook signatures are sent as "Payment-Signature: t=<unix time>,v1=<hex>",
+// an HMAC-SHA256 of "<unix time>.<raw body>" with the webhook secret
+const WEBHOOK_SIGNATURE_HEADER = 'payment-signature';
+
+const computeSignature = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+const signWebhook = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`
+);
+
+// Check a signature header against the raw body; returns an error message or null
+const verifyWebhookSignature = (secret, toleranceSeconds, rawBody, header) => {
+  if (!header) {
+    return 'Missing webhook signature';
+  }
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+    return 'Malformed webhook signature';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return 'Webhook signature has expired';
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid webhook signature';
+  }
+  return null;
+};
+
+// Payment token the mock provider declines; any other token is approved
+const MOCK_DECLINED_TOKEN = 'tok_declined';
+
+// Provider for local development that moves no money. It confirms captures
+// and refunds like a real provider would, by sending signed webhook events to
+// deliverWebhook(rawBody, headers) just after the call returns.
+const createMockPaymentProvider = ({ webhookSecret, webhookTolerance, deliverWebhook }) => {
+  const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+  const sendEvent = (type, data) => {
+    const rawBody = JSON.stringify({ id: newId('evt'), type, created: Math.floor(Date.now() / 1000), data });
+    const headers = { [WEBHOOK_SIGNATURE_HEADER]: signWebhook(webhookSecret, rawBody) };
+
+    setTimeout(() => {
+      Promise.resolve()
+        .then(() => deliverWebhook(rawBody, headers))
+        .catch((error) => console.error('Error delivering mock payment webhook:', error));
+    }, 0);
+  };
+
+  return {
+    name: 'mock',
+
+    authorize: async ({ paymentToken }) => (paymentToken === MOCK_DECLINED_TOKEN
+      ? { providerPaymentId: newId('pay'), status: 'failed', failureReason: 'Card declined' }
+      : { providerPaymentId: newId('pay'), status: 'authorized' }),
+
+    capture: async ({ providerPaymentId, amount }) => {
+      sendEvent('payment.captured', { payment_id: providerPaymentId, amount });
+      return { status: 'pending' };
+    },
+
+    voidAuthorization: async () => ({ status: 'voided' }),
+
+    refund: async ({ providerPaymentId, amount, refundId }) => {
+      const providerRefundId = newId('re');
+      sendEvent('refund.succeeded', {
+        payment_id: providerPaymentId,
+        refund_id: providerRefundId,
+        reference: refundId,
+        amount
+      });
+      return { providerRefundId, status: 'pending' };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      const error = verifyWebhookSignature(webhookSecret, webhookTolerance, rawBody, headers[WEBHOOK_SIGNATURE_HEADER]);
+      if (error) {
+        return { error };
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch (parseError) {
+        return { error: 'Webhook body is not valid JSON' };
+      }
+      if (!payload.id || !payload.type || !payload.data) {
+        return { error: 'Webhook body is not a payment event' };
+      }
+
+      return {
+        event: {
+          id: payload.id,
+          type: payload.type,
+          providerPaymentId: payload.data.payment_id,
+          refundId: payload.data.reference,
+          providerRefundId: payload.data.refund_id,
+          amount: payload.data.amount,
+          failureReason: payload.data.failure_reason,
+          payload
+        }
+      };
+    }
+  };
+};
+
+const PAYMENT_PROVIDERS = {
+  mock: createMockPaymentProvider
+};
+
+// Create the provider selected by the payments configuration
+const createPaymentProvider = ({ provider, webhookSecret, webhookTolerance }, { deliverWebhook }) => {
+  const createProvider = PAYMENT_PROVIDERS[provider];
+  if (!createProvider) {
+    throw new Error(`Unknown payment provider "${provider}"`);
+  }
+  return createProvider({ webhookSecret, webhookTolerance, deliverWebhook });
+};
+
+module.exports = {
+  WEBHOOK_SIGNATURE_HEADER,
+  MOCK_DECLINED_TOKEN,
+  signWebhook,
+  verifyWebhookSignature,
+  createMockPaymentProvider,
+  createPaymentProvider
+};
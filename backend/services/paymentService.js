@@ -0,0 +1,412 @@
+const { ORDER_CUSTOMER_USER_COLUMN, canSeeOrder } = require('./customerService');
+
+// Payments
+// Paying for an order authorizes the order total with the payment provider and
+// then asks it to capture the money. The capture is confirmed by a signed
+// webhook event, which moves the order from pending to processing. Refunds
+// of captured payments are confirmed the same way. Cancelled orders give the
+// money back: captured payments are refunded and authorizations voided.
+const PAYMENT_COLUMNS = 'id, order_id, provider, provider_payment_id, status, amount, refunded_amount, currency, failure_reason, authorized_at, captured_at, created_at, updated_at';
+const REFUND_COLUMNS = 'id, payment_id, return_id, provider_refund_id, status, amount, failure_reason, refunded_at, created_at, updated_at';
+
+const createPaymentService = ({ db, provider, currency }) => {
+  const updatePayment = async (paymentId, fields) => {
+    const columns = Object.keys(fields);
+    const result = await db.query(
+      `UPDATE payments
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1}
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [...Object.values(fields), paymentId]
+    );
+    return result.rows[0];
+  };
+
+  // Move a payment from one status to another if it is still in the first, so
+  // that of concurrent requests only one acts on it. Returns the payment, or
+  // undefined if it was no longer in that status.
+  const claimPayment = async (paymentId, fromStatus, toStatus) => {
+    const result = await db.query(
+      `UPDATE payments SET status = $3 WHERE id = $1 AND status = $2 RETURNING ${PAYMENT_COLUMNS}`,
+      [paymentId, fromStatus, toStatus]
+    );
+    return result.rows[0];
+  };
+
+  // Release an authorization that will not be captured. The payment is put
+  // back to authorized if the provider cannot be reached.
+  const voidPayment = async (paymentId) => {
+    const payment = await claimPayment(paymentId, 'authorized', 'voided');
+    if (!payment) {
+      return;
+    }
+    try {
+      await provider.voidAuthorization({ providerPaymentId: payment.provider_payment_id });
+    } catch (error) {
+      await claimPayment(paymentId, 'voided', 'authorized');
+      throw error;
+    }
+  };
+
+  // Cancelling an order leaves a payment in flight to the request paying for
+  // it, which voids the authorization once it has one. Returns whether the
+  // order was cancelled.
+  const voidIfCancelled = async (payment) => {
+    const orderResult = await db.query('SELECT status FROM orders WHERE id = $1', [payment.order_id]);
+    if (orderResult.rows[0].status !== 'cancelled') {
+      return false;
+    }
+    try {
+      await voidPayment(payment.id);
+    } catch (error) {
+      console.error(`Error voiding payment ${payment.id} of a cancelled order:`, error);
+    }
+    return true;
+  };
+
+  // Pay for a pending order (customers only for their own orders) and return
+  // the { status, body } to respond with. A payment that was authorized but
+  // could not be captured is captured again instead of authorizing another.
+  const payOrder = async (user, orderId, paymentToken) => {
+    const orderResult = await db.query(
+      `SELECT o.id, o.user_id, ${ORDER_CUSTOMER_USER_COLUMN}, o.status, o.total_amount
+       FROM orders o
+       WHERE o.id = $1`,
+      [orderId]
+    );
+
+    const order = orderResult.rows[0];
+    if (!order || !canSeeOrder(user, order)) {
+      return { status: 404, body: { error: 'Order not found' } };
+    }
+    if (order.status !== 'pending') {
+      return { status: 409, body: { error: `Orders that are ${order.status} cannot be paid` } };
+    }
+
+    const activeResult = await db.query(
+      `SELECT ${PAYMENT_COLUMNS}
+       FROM payments
+       WHERE order_id = $1 AND status <> 'failed'`,
+      [order.id]
+    );
+    let payment = activeResult.rows[0];
+    if (payment && payment.status !== 'authorized') {
+      return { status: 409, body: { error: 'Order already has a payment' } };
+    }
+
+    if (!payment) {
+      // Record the attempt before contacting the provider; the unique index on
+      // active payments turns a concurrent second attempt into a conflict
+      try {
+        const insertResult = await db.query(
+          `INSERT INTO payments (order_id, provider, amount, currency)
+           VALUES ($1, $2, $3, $4)
+           RETURNING ${PAYMENT_COLUMNS}`,
+          [order.id, provider.name, order.total_amount, currency]
+        );
+        payment = insertResult.rows[0];
+      } catch (error) {
+        if (error.code === '23505') {
+          return { status: 409, body: { error: 'Order already has a payment' } };
+        }
+        throw error;
+      }
+
+      let authorization;
+      try {
+        authorization = await provider.authorize({
+          amount: Number(order.total_amount),
+          currency,
+          orderId: order.id,
+          paymentToken
+        });
+      } catch (error) {
+        console.error('Error authorizing payment:', error);
+        await updatePayment(payment.id, { status: 'failed', failure_reason: 'Payment provider error' });
+        return { status: 502, body: { error: 'Payment provider is unavailable, please try again' } };
+      }
+
+      if (authorization.status === 'failed') {
+        payment = await updatePayment(payment.id, {
+          provider_payment_id: authorization.providerPaymentId,
+          status: 'failed',
+          failure_reason: authorization.failureReason || 'Payment declined'
+        });
+        return { status: 402, body: { error: `Payment failed: ${payment.failure_reason}`, data: payment } };
+      }
+
+      payment = await updatePayment(payment.id, {
+        provider_payment_id: authorization.providerPaymentId,
+        status: 'authorized',
+        authorized_at: new Date()
+      });
+    }
+
+    if (await voidIfCancelled(payment)) {
+      return { status: 409, body: { error: 'Order was cancelled while it was being paid' } };
+    }
+
+    // Claim the authorization so that concurrent attempts capture it once
+    const authorized = payment;
+    payment = await claimPayment(authorized.id, 'authorized', 'capturing');
+    if (!payment) {
+      return { status: 409, body: { error: 'Order already has a payment' } };
+    }
+
+    // The payment goes back to authorized when this fails, so paying again
+    // retries the capture, and cancelling the order voids the authorization
+    try {
+      await provider.capture({ providerPaymentId: payment.provider_payment_id, amount: Number(payment.amount) });
+    } catch (error) {
+      console.error('Error capturing payment:', error);
+      payment = (await claimPayment(payment.id, 'capturing', 'authorized')) || authorized;
+      if (await voidIfCancelled(payment)) {
+        return { status: 409, body: { error: 'Order was cancelled while it was being paid' } };
+      }
+      return {
+        status: 502,
+        body: { error: 'Payment was authorized but could not be captured, please try again', data: payment }
+      };
+    }
+
+    return {
+      status: 201,
+      body: {
+        message: 'Payment authorized; the order moves to processing once it is captured',
+        data: payment
+      }
+    };
+  };
+
+  // Refund up to amount of the captured payment of an order, for a return if
+  // given. Returns the refund, or null when the order has no captured payment
+  // with money left to refund (the refund is then up to staff). The refund
+  // stays pending until the provider confirms it.
+  const refundPayment = async ({ orderId, returnId = null, amount }) => {
+    const client = await db.connect();
+    let payment;
+    let refund;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the payment so concurrent refunds cannot exceed what was paid
+      const paymentResult = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM payments
+         WHERE order_id = $1 AND status = 'captured'
+         FOR UPDATE`,
+        [orderId]
+      );
+      payment = paymentResult.rows[0];
+      if (!payment) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const refundedResult = await client.query(
+        "SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE payment_id = $1 AND status <> 'failed'",
+        [payment.id]
+      );
+      const remainingCents = Math.round(Number(payment.amount) * 100) - Math.round(Number(refundedResult.rows[0].refunded) * 100);
+      const refundCents = Math.min(Math.round(Number(amount) * 100), remainingCents);
+      if (refundCents <= 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const refundResult = await client.query(
+        `INSERT INTO refunds (payment_id, return_id, amount)
+         VALUES ($1, $2, $3)
+         RETURNING ${REFUND_COLUMNS}`,
+        [payment.id, returnId, refundCents / 100]
+      );
+      refund = refundResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    try {
+      const result = await provider.refund({
+        providerPaymentId: payment.provider_payment_id,
+        amount: Number(refund.amount),
+        refundId: refund.id
+      });
+      // Only the reference is stored here; the status changes with the webhook
+      const updateResult = await db.query(
+        `UPDATE refunds SET provider_refund_id = $1 WHERE id = $2 RETURNING ${REFUND_COLUMNS}`,
+        [result.providerRefundId, refund.id]
+      );
+      return updateResult.rows[0];
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      const failedResult = await db.query(
+        `UPDATE refunds
+         SET status = 'failed', failure_reason = 'Payment provider error'
+         WHERE id = $1
+         RETURNING ${REFUND_COLUMNS}`,
+        [refund.id]
+      );
+      return failedResult.rows[0];
+    }
+  };
+
+  // Give back the money of a cancelled order: refund what was captured, or
+  // void an authorization that was not. Returns the refund if one was started,
+  // otherwise null. Payments still being authorized or captured are left to
+  // payOrder, which voids them, and to the webhook, which refunds a capture
+  // that lands after this.
+  const releaseOrderPayment = async (orderId) => {
+    const paymentResult = await db.query(
+      `SELECT ${PAYMENT_COLUMNS}
+       FROM payments
+       WHERE order_id = $1 AND status IN ('authorized', 'captured')`,
+      [orderId]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      return null;
+    }
+
+    if (payment.status === 'captured') {
+      return refundPayment({ orderId, amount: payment.amount });
+    }
+
+    await voidPayment(payment.id);
+    return null;
+  };
+
+  // Process a webhook from the payment provider and return the { status, body }
+  // to respond with. Events are recorded so that redeliveries are ignored.
+  const handleWebhook = async (rawBody, headers) => {
+    const { event, error } = provider.verifyWebhook(rawBody, headers);
+    if (error) {
+      return { status: 400, body: { error } };
+    }
+
+    const client = await db.connect();
+    // Captured payment of an order cancelled in the meantime
+    let lateCapture = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const eventResult = await client.query(
+        `INSERT INTO payment_events (provider, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING id`,
+        [provider.name, event.id, event.type, JSON.stringify(event.payload)]
+      );
+      if (eventResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { status: 200, body: { received: true, duplicate: true } };
+      }
+
+      // Lock the payment so concurrent events for it apply one after the other
+      const paymentResult = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM payments
+         WHERE provider = $1 AND provider_payment_id = $2
+         FOR UPDATE`,
+        [provider.name, event.providerPaymentId]
+      );
+      const payment = paymentResult.rows[0];
+
+      if (!payment) {
+        // Acknowledge anyway: redelivering an event for an unknown payment cannot help
+        console.error(`Payment webhook ${event.id} refers to unknown payment ${event.providerPaymentId}`);
+        await client.query('COMMIT');
+        return { status: 200, body: { received: true } };
+      }
+
+      await client.query('UPDATE payment_events SET payment_id = $1 WHERE id = $2', [payment.id, eventResult.rows[0].id]);
+
+      if (event.type === 'payment.captured' && payment.status !== 'captured') {
+        await client.query(
+          "UPDATE payments SET status = 'captured', captured_at = CURRENT_TIMESTAMP WHERE id = $1",
+          [payment.id]
+        );
+
+        // A paid order is ready to be prepared. Orders cancelled in the
+        // meantime stay cancelled and get their money back.
+        const orderResult = await client.query(
+          'SELECT status FROM orders WHERE id = $1 FOR UPDATE',
+          [payment.order_id]
+        );
+        if (orderResult.rows[0].status === 'cancelled') {
+          lateCapture = payment;
+        } else if (orderResult.rows[0].status === 'pending') {
+          await client.query(
+            "UPDATE orders SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [payment.order_id]
+          );
+          await client.query(
+            `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+             VALUES ($1, 'pending', 'processing', NULL, 'Payment captured')`,
+            [payment.order_id]
+          );
+        }
+      } else if (event.type === 'payment.failed' && !['captured', 'voided'].includes(payment.status)) {
+        await client.query(
+          "UPDATE payments SET status = 'failed', failure_reason = $1 WHERE id = $2",
+          [event.failureReason || 'Payment failed', payment.id]
+        );
+      } else if (event.type === 'refund.succeeded') {
+        const refundResult = await client.query(
+          `UPDATE refunds
+           SET status = 'succeeded', refunded_at = CURRENT_TIMESTAMP,
+               provider_refund_id = COALESCE(provider_refund_id, $1)
+           WHERE id = $2 AND payment_id = $3 AND status = 'pending'
+           RETURNING amount`,
+          [event.providerRefundId, event.refundId, payment.id]
+        );
+        if (refundResult.rows.length > 0) {
+          await client.query(
+            'UPDATE payments SET refunded_amount = refunded_amount + $1 WHERE id = $2',
+            [refundResult.rows[0].amount, payment.id]
+          );
+        }
+      } else if (event.type === 'refund.failed') {
+        await client.query(
+          `UPDATE refunds
+           SET status = 'failed', failure_reason = $1
+           WHERE id = $2 AND payment_id = $3 AND status = 'pending'`,
+          [event.failureReason || 'Refund failed', event.refundId, payment.id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The event is processed; a failed refund is left to staff rather than
+    // having the provider redeliver an event that would be ignored
+    if (lateCapture) {
+      try {
+        await refundPayment({ orderId: lateCapture.order_id, amount: lateCapture.amount });
+      } catch (refundError) {
+        console.error(`Error refunding payment ${lateCapture.id} of a cancelled order:`, refundError);
+      }
+    }
+
+    return { status: 200, body: { received: true } };
+  };
+
+  return { payOrder, refundPayment, releaseOrderPayment, handleWebhook };
+};
+
+module.exports = {
+  PAYMENT_COLUMNS,
+  REFUND_COLUMNS,
+  createPaymentService
+};
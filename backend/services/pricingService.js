@@ -0,0 +1,101 @@
+const { TAX_RATES, SHIPPING } = require('../config');
+
+// Order Pricing
+// Amounts are worked out in whole cents so that totals add up exactly, and
+// returned in dollars. Discounts apply before tax; shipping is not taxed.
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const toAmount = (cents) => cents / 100;
+
+// Tax rate for a destination: the country-region rate, else the country rate, else 0
+const taxRateFor = (address) => {
+  if (!address || !address.country) return 0;
+
+  const country = address.country.toUpperCase();
+  const region = address.region ? address.region.trim().toUpperCase() : '';
+  const regionalRate = region ? TAX_RATES[`${country}-${region}`] : undefined;
+  return regionalRate ?? TAX_RATES[country] ?? 0;
+};
+
+// Shipping cost in cents for the discounted subtotal and total weight (kg)
+const shippingCentsFor = (discountedSubtotalCents, weight) => {
+  const { method, flatRate, baseRate, perKgRate, freeShippingThreshold } = SHIPPING;
+
+  if (freeShippingThreshold !== null && discountedSubtotalCents >= toCents(freeShippingThreshold)) {
+    return 0;
+  }
+  if (method === 'weight') {
+    return toCents(baseRate) + Math.round(toCents(perKgRate) * weight);
+  }
+  return toCents(flatRate);
+};
+
+// Price order lines of { productId, variantId, categoryId, name, quantity, price, weight }.
+// Each discount is { label, type: 'percentage' | 'fixed', value, appliesTo? } where
+// appliesTo(line) limits it to some lines; a discount never exceeds the subtotal
+// of the lines it applies to, and all discounts together never exceed the subtotal.
+const priceOrder = ({ lines, shippingAddress = null, discounts = [] }) => {
+  const pricedLines = lines.map((line) => ({
+    product_id: line.productId,
+    variant_id: line.variantId,
+    name: line.name,
+    quantity: line.quantity,
+    unit_price: toAmount(toCents(line.price)),
+    line_total: toAmount(toCents(line.price) * line.quantity)
+  }));
+
+  const lineCents = lines.map((line) => toCents(line.price) * line.quantity);
+  const subtotalCents = lineCents.reduce((sum, cents) => sum + cents, 0);
+  const weight = lines.reduce((sum, line) => sum + Number(line.weight || 0) * line.quantity, 0);
+
+  let discountCents = 0;
+  const appliedDiscounts = [];
+  for (const discount of discounts) {
+    const eligibleCents = lines.reduce(
+      (sum, line, index) => (!discount.appliesTo || discount.appliesTo(line) ? sum + lineCents[index] : sum),
+      0
+    );
+    const requestedCents = discount.type === 'percentage'
+      ? Math.round(eligibleCents * discount.value / 100)
+      : toCents(discount.value);
+    const amountCents = Math.min(requestedCents, eligibleCents, subtotalCents - discountCents);
+
+    discountCents += amountCents;
+    appliedDiscounts.push({ label: discount.label, amount: toAmount(amountCents) });
+  }
+
+  const discountedSubtotalCents = subtotalCents - discountCents;
+  const shippingCents = shippingCentsFor(discountedSubtotalCents, weight);
+  const taxRate = taxRateFor(shippingAddress);
+  const taxCents = Math.round(discountedSubtotalCents * taxRate);
+
+  return {
+    lines: pricedLines,
+    subtotal: toAmount(subtotalCents),
+    discounts: appliedDiscounts,
+    discount_amount: toAmount(discountCents),
+    shipping_amount: toAmount(shippingCents),
+    tax_rate: taxRate,
+    tax_amount: toAmount(taxCents),
+    total_amount: toAmount(discountedSubtotalCents + shippingCents + taxCents)
+  };
+};
+
+// Refund for returning units ({ price, quantity }) of a priced order: what was
+// paid for them after the order's discounts (shared in proportion to their
+// price), plus their tax. Shipping is not refunded.
+const refundAmountFor = (order, returnedLines) => {
+  const subtotalCents = toCents(order.subtotal);
+  if (subtotalCents === 0) return 0;
+
+  const returnedCents = returnedLines.reduce((sum, line) => sum + toCents(line.price) * line.quantity, 0);
+  const discountedCents = Math.round(returnedCents * (subtotalCents - toCents(order.discount_amount)) / subtotalCents);
+  const taxCents = Math.round(discountedCents * Number(order.tax_rate));
+  return toAmount(discountedCents + taxCents);
+};
+
+module.exports = {
+  priceOrder,
+  refundAmountFor,
+  taxRateFor
+};
@@ -0,0 +1,90 @@
+// Columns returned for a product (excludes the internal search vector)
+const PRODUCT_COLUMNS = 'id, sku, name, description, price, category_id, category, stock, weight, image_url, is_active, created_at, updated_at';
+
+// Build a cache key that is stable for each distinct listing query
+const productListCacheKey = (query) => {
+  const params = new URLSearchParams({
+    page: query.page,
+    limit: query.limit,
+    category: query.category,
+    min_price: query.min_price === undefined ? '' : query.min_price,
+    max_price: query.max_price === undefined ? '' : query.max_price,
+    in_stock: query.in_stock,
+    sort: query.sort,
+    order: query.order,
+  });
+  return `products:list:${params.toString()}`;
+};
+
+// Product Variants
+const VARIANT_COLUMNS = 'id, product_id, sku, attributes, price, stock, is_active, created_at, updated_at';
+
+// e.g. "Smartwatch (44mm / Black)"
+const variantDisplayName = (product, variant) =>
+  `${product.name} (${Object.values(variant.attributes).join(' / ')})`;
+
+const VARIANT_STOCK_ERROR = 'Stock of a product with variants is managed per variant';
+
+// Product data access shared by the product, variant, order and cart routes
+const createProductService = ({ db, cache }) => {
+  // Invalidate every cached product listing plus any given single products.
+  // Called after the change is committed, so a Redis failure is only logged:
+  // the change stands, and cached entries expire on their own.
+  const invalidateProductCache = async (...productIds) => {
+    try {
+      const keys = [];
+      for await (const key of cache.scanIterator({ MATCH: 'products:*', COUNT: 100 })) {
+        keys.push(key);
+      }
+      for (const productId of productIds) {
+        keys.push(`product:${productId}`);
+      }
+      if (keys.length > 0) {
+        await cache.del(keys);
+      }
+    } catch (error) {
+      console.error('Error invalidating product cache:', error);
+    }
+  };
+
+  // Add each product's active variants as product.variants (empty for simple products)
+  const attachVariants = async (products) => {
+    if (products.length === 0) return products;
+
+    const result = await db.query(
+      `SELECT ${VARIANT_COLUMNS}
+       FROM product_variants
+       WHERE product_id = ANY($1::int[]) AND is_active = true
+       ORDER BY id`,
+      [products.map((product) => product.id)]
+    );
+
+    return products.map((product) => ({
+      ...product,
+      variants: result.rows.filter((variant) => variant.product_id === product.id)
+    }));
+  };
+
+  const productHasVariants = async (productId, client = db) => {
+    const result = await client.query(
+      'SELECT EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1 AND is_active = true) AS has_variants',
+      [productId]
+    );
+    return result.rows[0].has_variants;
+  };
+
+  return {
+    invalidateProductCache,
+    attachVariants,
+    productHasVariants
+  };
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  VARIANT_COLUMNS,
+  VARIANT_STOCK_ERROR,
+  productListCacheKey,
+  variantDisplayName,
+  createProductService
+};
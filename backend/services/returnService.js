@@ -0,0 +1,291 @@
+const { refundAmountFor } = require('./pricingService');
+const { ORDER_CUSTOMER_USER_COLUMN, canSeeOrder } = require('./customerService');
+
+// Returns
+// Customers ask to return units of delivered order lines; staff approve or
+// reject the request. Approving puts the units back in stock (unless they
+// cannot be resold) and refunds what was paid for them through the payment
+// provider when the order was paid online.
+const createReturnService = ({ db, productService, paymentService }) => {
+  const { invalidateProductCache } = productService;
+  const { refundPayment } = paymentService;
+
+  // Returns of an order with their lines and refund, newest first
+  const findReturns = async (orderId, returnId) => {
+    const params = [orderId];
+    if (returnId !== undefined) params.push(returnId);
+
+    const result = await db.query(
+      `SELECT r.id, r.order_id, r.status, r.reason, r.review_note, r.restocked, r.refund_amount,
+              r.requested_by, requester.name AS requested_by_name,
+              r.reviewed_by, reviewer.name AS reviewed_by_name, r.reviewed_at, r.created_at,
+              (SELECT json_agg(
+                        json_build_object(
+                          'order_item_id', ri.order_item_id,
+                          'product_id', oi.product_id,
+                          'product_name', p.name,
+                          'variant_id', oi.variant_id,
+                          'variant_attributes', v.attributes,
+                          'quantity', ri.quantity,
+                          'price', oi.price
+                        ) ORDER BY ri.id
+                      )
+               FROM return_items ri
+               JOIN order_items oi ON oi.id = ri.order_item_id
+               JOIN products p ON p.id = oi.product_id
+               LEFT JOIN product_variants v ON v.id = oi.variant_id
+               WHERE ri.return_id = r.id) AS items,
+              (SELECT json_build_object(
+                        'id', rf.id,
+                        'status', rf.status,
+                        'amount', rf.amount,
+                        'failure_reason', rf.failure_reason,
+                        'refunded_at', rf.refunded_at
+                      )
+               FROM refunds rf
+               WHERE rf.return_id = r.id) AS refund
+       FROM returns r
+       LEFT JOIN users requester ON requester.id = r.requested_by
+       LEFT JOIN users reviewer ON reviewer.id = r.reviewed_by
+       WHERE r.order_id = $1 ${returnId !== undefined ? 'AND r.id = $2' : ''}
+       ORDER BY r.created_at DESC, r.id DESC`,
+      params
+    );
+    return result.rows;
+  };
+
+  // Load an order the user may see, optionally locking it; null if there is none
+  const findOrder = async (client, user, orderId, { lock = false } = {}) => {
+    const result = await client.query(
+      `SELECT o.id, o.user_id, ${ORDER_CUSTOMER_USER_COLUMN}, o.status, o.subtotal, o.discount_amount,
+              o.shipping_amount, o.tax_rate, o.total_amount
+       FROM orders o
+       WHERE o.id = $1
+       ${lock ? 'FOR UPDATE' : ''}`,
+      [orderId]
+    );
+
+    // Report other customers' orders as missing rather than leaking that they exist
+    const order = result.rows[0];
+    if (!order || !canSeeOrder(user, order)) {
+      return null;
+    }
+    return order;
+  };
+
+  // List the returns of an order (customers only for their own orders)
+  const listReturns = async (user, orderId) => {
+    const order = await findOrder(db, user, orderId);
+    if (!order) {
+      return { status: 404, body: { error: 'Order not found' } };
+    }
+
+    return { status: 200, body: { data: await findReturns(orderId) } };
+  };
+
+  // Ask to return units of the lines of a delivered order (customers only for
+  // their own orders). Units already in a return that was not rejected cannot
+  // be returned again.
+  const requestReturn = async (user, orderId, { reason, items }) => {
+    const client = await db.connect();
+    let returnId;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the order so concurrent requests see each other's units
+      const order = await findOrder(client, user, orderId, { lock: true });
+      if (!order) {
+        await client.query('ROLLBACK');
+        return { status: 404, body: { error: 'Order not found' } };
+      }
+      if (order.status !== 'delivered') {
+        await client.query('ROLLBACK');
+        return { status: 409, body: { error: `Only delivered orders can be returned; this order is ${order.status}` } };
+      }
+
+      const lineResult = await client.query(
+        `SELECT oi.id, oi.quantity,
+                COALESCE(SUM(ri.quantity) FILTER (WHERE r.status <> 'rejected'), 0)::int AS returned
+         FROM order_items oi
+         LEFT JOIN return_items ri ON ri.order_item_id = oi.id
+         LEFT JOIN returns r ON r.id = ri.return_id
+         WHERE oi.order_id = $1
+         GROUP BY oi.id`,
+        [orderId]
+      );
+      const lines = new Map(lineResult.rows.map((line) => [line.id, line]));
+
+      const details = [];
+      items.forEach((item, index) => {
+        const line = lines.get(item.order_item_id);
+        if (!line) {
+          details.push({ field: `items[${index}].order_item_id`, message: 'Item is not part of this order' });
+        } else if (item.quantity > line.quantity - line.returned) {
+          details.push({
+            field: `items[${index}].quantity`,
+            message: line.quantity === line.returned
+              ? 'All units of this item are already being returned'
+              : `Only ${line.quantity - line.returned} of this item can be returned`
+          });
+        }
+      });
+      if (details.length > 0) {
+        await client.query('ROLLBACK');
+        return { status: 400, body: { error: 'Validation failed', details } };
+      }
+
+      const returnResult = await client.query(
+        `INSERT INTO returns (order_id, reason, requested_by)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [orderId, reason, user.id]
+      );
+      returnId = returnResult.rows[0].id;
+
+      for (const item of items) {
+        await client.query(
+          'INSERT INTO return_items (return_id, order_item_id, quantity) VALUES ($1, $2, $3)',
+          [returnId, item.order_item_id, item.quantity]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const [created] = await findReturns(orderId, returnId);
+    return { status: 201, body: { message: 'Return requested successfully', data: created } };
+  };
+
+  // Approve or reject a requested return (admin, staff). Approving restocks
+  // the units if asked and works out the refund, which is never more than
+  // what was paid for the order's goods minus earlier refunds.
+  const reviewReturn = async (user, orderId, returnId, { status, note, restock }) => {
+    const client = await db.connect();
+    let refundAmount = 0;
+    let restockedProductIds = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const order = await findOrder(client, user, orderId, { lock: true });
+      const returnResult = order
+        ? await client.query(
+          'SELECT status FROM returns WHERE id = $1 AND order_id = $2 FOR UPDATE',
+          [returnId, orderId]
+        )
+        : { rows: [] };
+
+      if (returnResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { status: 404, body: { error: 'Return not found' } };
+      }
+      if (returnResult.rows[0].status !== 'requested') {
+        await client.query('ROLLBACK');
+        return { status: 409, body: { error: `Return is already ${returnResult.rows[0].status}` } };
+      }
+
+      if (status === 'approved') {
+        const itemResult = await client.query(
+          `SELECT ri.quantity, oi.price
+           FROM return_items ri
+           JOIN order_items oi ON oi.id = ri.order_item_id
+           WHERE ri.return_id = $1`,
+          [returnId]
+        );
+        const refundedResult = await client.query(
+          "SELECT COALESCE(SUM(refund_amount), 0) AS refunded FROM returns WHERE order_id = $1 AND status = 'approved'",
+          [orderId]
+        );
+        const refundableCents = Math.round(
+          (Number(order.total_amount) - Number(order.shipping_amount) - Number(refundedResult.rows[0].refunded)) * 100
+        );
+        refundAmount = Math.max(Math.min(Math.round(refundAmountFor(order, itemResult.rows) * 100), refundableCents), 0) / 100;
+
+        // Variant stock flows back into the product through a trigger
+        if (restock) {
+          const productRestock = await client.query(
+            `UPDATE products p
+             SET stock = p.stock + ri.quantity
+             FROM (
+               SELECT oi.product_id, SUM(ri.quantity)::int AS quantity
+               FROM return_items ri
+               JOIN order_items oi ON oi.id = ri.order_item_id
+               WHERE ri.return_id = $1 AND oi.variant_id IS NULL
+               GROUP BY oi.product_id
+             ) ri
+             WHERE p.id = ri.product_id
+             RETURNING p.id AS product_id`,
+            [returnId]
+          );
+          const variantRestock = await client.query(
+            `UPDATE product_variants v
+             SET stock = v.stock + ri.quantity
+             FROM (
+               SELECT oi.variant_id, SUM(ri.quantity)::int AS quantity
+               FROM return_items ri
+               JOIN order_items oi ON oi.id = ri.order_item_id
+               WHERE ri.return_id = $1 AND oi.variant_id IS NOT NULL
+               GROUP BY oi.variant_id
+             ) ri
+             WHERE v.id = ri.variant_id
+             RETURNING v.product_id`,
+            [returnId]
+          );
+          restockedProductIds = [...productRestock.rows, ...variantRestock.rows].map((row) => row.product_id);
+        }
+      }
+
+      await client.query(
+        `UPDATE returns
+         SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP,
+             restocked = $4, refund_amount = $5
+         WHERE id = $6`,
+        [
+          status,
+          note || null,
+          user.id,
+          status === 'approved' && restock,
+          status === 'approved' ? refundAmount : null,
+          returnId
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (restockedProductIds.length > 0) {
+      await invalidateProductCache(...restockedProductIds);
+    }
+
+    // The return stays approved if the refund cannot be started; staff can
+    // see that it has no refund and pay it back another way
+    if (refundAmount > 0) {
+      try {
+        await refundPayment({ orderId, returnId, amount: refundAmount });
+      } catch (error) {
+        console.error('Error refunding return:', error);
+      }
+    }
+
+    const [reviewed] = await findReturns(orderId, returnId);
+    return {
+      status: 200,
+      body: { message: `Return ${status} successfully`, data: reviewed }
+    };
+  };
+
+  return { listReturns, requestReturn, reviewReturn };
+};
+
+module.exports = { createReturnService };
@@ -0,0 +1,243 @@
+const { ORDER_STATUSES } = require('../schemas/orders');
+
+// Append the from/to conditions on orders.created_at for a date range to
+// conditions and params. Dates cover whole days, so "to" includes that day.
+const addOrderDateConditions = ({ from, to }, conditions, params, alias = 'o') => {
+  if (from !== undefined) {
+    params.push(from);
+    conditions.push(`${alias}.created_at >= $${params.length}::date`);
+  }
+  if (to !== undefined) {
+    params.push(to);
+    conditions.push(`${alias}.created_at < $${params.length}::date + 1`);
+  }
+};
+
+// Buckets a sales series covers when no start date is given, and the most it may cover
+const SALES_SERIES_LIMITS = {
+  day: { defaultBuckets: 30, maxBuckets: 366 },
+  week: { defaultBuckets: 12, maxBuckets: 260 },
+  month: { defaultBuckets: 12, maxBuckets: 120 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+// First day of the bucket a date falls in (weeks start on Monday, as in date_trunc)
+const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const countBuckets = (from, to, interval) => {
+  const first = bucketStart(from, interval);
+  const last = bucketStart(to, interval);
+  if (interval === 'month') {
+    return (last.getUTCFullYear() - first.getUTCFullYear()) * 12 + last.getUTCMonth() - first.getUTCMonth() + 1;
+  }
+  return Math.round((last - first) / (interval === 'week' ? 7 * DAY_MS : DAY_MS)) + 1;
+};
+
+// Fill in the dates a sales series was not given: "to" defaults to today and
+// "from" to the start of the default number of buckets before it. Returns
+// { from, to } as ISO dates, or { error } when the range has too many buckets.
+const resolveSalesRange = ({ interval, from, to }) => {
+  const { defaultBuckets, maxBuckets } = SALES_SERIES_LIMITS[interval];
+  const toDate = to === undefined ? new Date() : new Date(to);
+  let fromDate;
+
+  if (from !== undefined) {
+    fromDate = new Date(from);
+  } else {
+    fromDate = bucketStart(toDate, interval);
+    if (interval === 'month') {
+      fromDate.setUTCMonth(fromDate.getUTCMonth() - (defaultBuckets - 1));
+    } else {
+      fromDate.setUTCDate(fromDate.getUTCDate() - (defaultBuckets - 1) * (interval === 'week' ? 7 : 1));
+    }
+  }
+
+  if (fromDate > toDate) {
+    return { error: 'from must be on or before to' };
+  }
+  if (countBuckets(fromDate, toDate, interval) > maxBuckets) {
+    return { error: `A ${interval} series covers at most ${maxBuckets} ${interval}s` };
+  }
+  return { from: toIsoDate(fromDate), to: toIsoDate(toDate) };
+};
+
+const toWhereClause = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+// What an order o brought in: its total (after discounts, with shipping and
+// tax) less what has been refunded of its payment. Orders not paid online
+// have their approved returns refunded by staff, so those refunds count.
+const ORDER_NET_REVENUE = `(o.total_amount - COALESCE(
+  (SELECT SUM(pay.refunded_amount) FROM payments pay WHERE pay.order_id = o.id AND pay.status = 'captured'),
+  (SELECT SUM(r.refund_amount) FROM returns r WHERE r.order_id = o.id AND r.status = 'approved'),
+  0))`;
+
+// The lines of the orders o matching where, with { product_id, quantity,
+// revenue } net of approved returns. Line revenue is after the order's
+// discounts, shared in proportion to price as for refunds, and leaves out
+// shipping and tax.
+const soldLinesQuery = (where) => `
+  SELECT oi.product_id,
+         oi.quantity - COALESCE(returned.quantity, 0) AS quantity,
+         ROUND((oi.quantity - COALESCE(returned.quantity, 0)) * oi.price
+               * CASE WHEN o.subtotal > 0 THEN (o.subtotal - o.discount_amount) / o.subtotal ELSE 0 END, 2) AS revenue
+  FROM order_items oi
+  JOIN orders o ON o.id = oi.order_id
+  LEFT JOIN (
+    SELECT ri.order_item_id, SUM(ri.quantity)::int AS quantity
+    FROM return_items ri
+    JOIN returns r ON r.id = ri.return_id
+    WHERE r.status = 'approved'
+    GROUP BY ri.order_item_id
+  ) returned ON returned.order_item_id = oi.id
+  ${where}`;
+
+// Order statistics for the dashboard. Revenue only counts orders that were
+// not cancelled, less refunds; catalog and stock figures are current and
+// ignore the range.
+const createStatsService = ({ db }) => {
+  const getStats = async ({ from, to, top_limit: topLimit, low_stock_threshold: lowStockThreshold }) => {
+    const orderConditions = [];
+    const orderParams = [];
+    addOrderDateConditions({ from, to }, orderConditions, orderParams);
+    const orderWhere = toWhereClause(orderConditions);
+
+    const revenueConditions = [...orderConditions, "o.status <> 'cancelled'"];
+    const revenueWhere = toWhereClause(revenueConditions);
+
+    const [summary, statusCounts, topProducts, categoryRevenue, stock] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*)::int AS total_orders,
+                COALESCE(SUM(${ORDER_NET_REVENUE}) FILTER (WHERE o.status <> 'cancelled'), 0) AS total_revenue,
+                COALESCE(ROUND(AVG(${ORDER_NET_REVENUE}) FILTER (WHERE o.status <> 'cancelled'), 2), 0) AS average_order_value
+         FROM orders o
+         ${orderWhere}`,
+        orderParams
+      ),
+      db.query(
+        `SELECT o.status, COUNT(*)::int AS count
+         FROM orders o
+         ${orderWhere}
+         GROUP BY o.status`,
+        orderParams
+      ),
+      db.query(
+        `SELECT p.id AS product_id, p.name, p.sku,
+                SUM(sold.quantity)::int AS units_sold,
+                SUM(sold.revenue) AS revenue
+         FROM (${soldLinesQuery(revenueWhere)}) sold
+         JOIN products p ON p.id = sold.product_id
+         GROUP BY p.id
+         HAVING SUM(sold.quantity) > 0
+         ORDER BY units_sold DESC, revenue DESC, p.id
+         LIMIT $${orderParams.length + 1}`,
+        [...orderParams, topLimit]
+      ),
+      db.query(
+        `SELECT c.id AS category_id, c.parent_id, c.name, c.slug,
+                SUM(sold.quantity)::int AS units_sold,
+                SUM(sold.revenue) AS revenue
+         FROM (${soldLinesQuery(revenueWhere)}) sold
+         JOIN products p ON p.id = sold.product_id
+         JOIN categories c ON c.id = p.category_id
+         GROUP BY c.id
+         ORDER BY revenue DESC, c.name`,
+        orderParams
+      ),
+      db.query(
+        `SELECT
+           (SELECT COUNT(*)::int FROM products WHERE is_active = true) AS total_products,
+           (SELECT COUNT(*)::int FROM products
+            WHERE is_active = true AND stock > 0 AND stock < $1) AS low_stock_products,
+           (SELECT COUNT(*)::int FROM products
+            WHERE is_active = true AND stock = 0) AS out_of_stock_products,
+           (SELECT COUNT(*)::int FROM product_variants v JOIN products p ON p.id = v.product_id
+            WHERE v.is_active = true AND p.is_active = true AND v.stock > 0 AND v.stock < $1) AS low_stock_variants,
+           (SELECT COUNT(*)::int FROM product_variants v JOIN products p ON p.id = v.product_id
+            WHERE v.is_active = true AND p.is_active = true AND v.stock = 0) AS out_of_stock_variants`,
+        [lowStockThreshold]
+      )
+    ]);
+
+    // Every status is listed, including those without orders in the range
+    const ordersByStatus = Object.fromEntries(ORDER_STATUSES.map((status) => [status, 0]));
+    for (const row of statusCounts.rows) {
+      ordersByStatus[row.status] = row.count;
+    }
+
+    const stockRow = stock.rows[0];
+
+    return {
+      range: { from: from || null, to: to || null },
+      total_orders: summary.rows[0].total_orders,
+      total_products: stockRow.total_products,
+      total_revenue: summary.rows[0].total_revenue,
+      average_order_value: summary.rows[0].average_order_value,
+      pending_orders: ordersByStatus.pending,
+      orders_by_status: ordersByStatus,
+      top_products: topProducts.rows,
+      revenue_by_category: categoryRevenue.rows,
+      low_stock: {
+        threshold: lowStockThreshold,
+        products: stockRow.low_stock_products,
+        out_of_stock_products: stockRow.out_of_stock_products,
+        variants: stockRow.low_stock_variants,
+        out_of_stock_variants: stockRow.out_of_stock_variants
+      }
+    };
+  };
+
+  // Revenue and order counts per day, week or month between two ISO dates,
+  // including buckets without orders. Revenue leaves out cancelled orders and
+  // refunds.
+  const getSales = async ({ interval, from, to }) => {
+    const result = await db.query(
+      `WITH buckets AS (
+         SELECT generate_series(
+           date_trunc($1, $2::date::timestamp),
+           date_trunc($1, $3::date::timestamp),
+           ('1 ' || $1)::interval
+         ) AS bucket
+       )
+       SELECT to_char(b.bucket, 'YYYY-MM-DD') AS period_start,
+              COUNT(o.id)::int AS orders,
+              (COUNT(o.id) FILTER (WHERE o.status = 'cancelled'))::int AS cancelled_orders,
+              COALESCE(SUM(${ORDER_NET_REVENUE}) FILTER (WHERE o.status <> 'cancelled'), 0) AS revenue
+       FROM buckets b
+       LEFT JOIN orders o
+         ON date_trunc($1, o.created_at) = b.bucket
+        AND o.created_at >= $2::date
+        AND o.created_at < $3::date + 1
+       GROUP BY b.bucket
+       ORDER BY b.bucket`,
+      [interval, from, to]
+    );
+
+    const buckets = result.rows;
+    const totals = {
+      orders: buckets.reduce((sum, bucket) => sum + bucket.orders, 0),
+      cancelled_orders: buckets.reduce((sum, bucket) => sum + bucket.cancelled_orders, 0),
+      revenue: buckets.reduce((sum, bucket) => sum + Number(bucket.revenue), 0).toFixed(2)
+    };
+
+    return { interval, from, to, buckets, totals };
+  };
+
+  return { getStats, getSales };
+};
+
+module.exports = {
+  addOrderDateConditions,
+  resolveSalesRange,
+  createStatsService
+};
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const { USERS, bearer, createFakeDb, createFakeCache, createTestApp } = require('./helpers');
+
+describe('app', () => {
+  test('reports healthy when the database answers', async () => {
+    const { app } = createTestApp();
+
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'healthy', database: 'connected', redis: 'connected' });
+  });
+
+  test('reports unhealthy with 503 when the database fails', async () => {
+    const db = createFakeDb([[/SELECT 1/, () => { throw new Error('connection refused'); }]]);
+    const { app } = createTestApp({ db, cache: createFakeCache({ failing: true }) });
+
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(503);
+    expect(response.body).toEqual({ status: 'unhealthy', error: 'connection refused' });
+  });
+
+  test('answers unknown routes with 404', async () => {
+    const { app } = createTestApp();
+
+    const response = await request(app).get('/api/nothing-here');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Route not found' });
+  });
+
+  test('rejects malformed JSON bodies with 400', async () => {
+    const { app } = createTestApp();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Request body is not valid JSON' });
+  });
+
+  describe('authentication', () => {
+    test('requires a token', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app).get('/api/orders');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Authentication required' });
+    });
+
+    test('rejects tokens that do not verify', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app).get('/api/orders').set('Authorization', 'Bearer not-a-token');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Invalid or expired token' });
+    });
+
+    test('rejects tokens of accounts that no longer exist', async () => {
+      const { app } = createTestApp();
+      const deleted = { id: 99, name: 'Gone', email: 'gone@example.com', role: 'admin' };
+
+      const response = await request(app).get('/api/orders').set('Authorization', bearer(deleted));
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'User no longer exists' });
+    });
+
+    test('uses the current role rather than the one in the token', async () => {
+      const { app } = createTestApp();
+      const demoted = { ...USERS.customer, role: 'admin' };
+
+      const response = await request(app).get('/api/customers').set('Authorization', bearer(demoted));
+
+      expect(response.status).toBe(403);
+    });
+
+    test('keeps customers out of staff routes', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app).get('/api/customers').set('Authorization', bearer(USERS.customer));
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Insufficient permissions' });
+    });
+  });
+
+  describe('validation', () => {
+    test('reports every invalid field', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ customer_email: 'not-an-email', items: [{ product_id: 'x', quantity: 0 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.details.map((detail) => detail.field)).toEqual(
+        expect.arrayContaining(['customer_name', 'customer_email', 'items[0].product_id', 'items[0].quantity'])
+      );
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { JWT_SECRET } = require('../config');
+const { createFakeDb, createTestApp } = require('./helpers');
+
+describe('auth', () => {
+  test('registers a customer account and returns a token for it', async () => {
+    const db = createFakeDb([
+      [/INSERT INTO users/, ([name, email]) => ({ rows: [{ id: 9, name, email, role: 'customer', created_at: '2026-01-01T00:00:00.000Z' }] })]
+    ]);
+    const { app } = createTestApp({ db });
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'New Customer', email: 'New@Example.com', password: 'correct horse' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.user).toMatchObject({ id: 9, email: 'new@example.com', role: 'customer' });
+    expect(jwt.verify(response.body.data.token, JWT_SECRET)).toMatchObject({ sub: '9', role: 'customer' });
+    expect(db.find(/INSERT INTO users/)[0].params[2]).not.toBe('correct horse');
+  });
+
+  test('reports an email that is already registered with 409', async () => {
+    const db = createFakeDb([
+      [/INSERT INTO users/, () => { throw Object.assign(new Error('duplicate key'), { code: '23505' }); }]
+    ]);
+    const { app } = createTestApp({ db });
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'New Customer', email: 'cleo@example.com', password: 'correct horse' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('logs in with the right password only', async () => {
+    const passwordHash = await bcrypt.hash('correct horse', 4);
+    const db = createFakeDb([
+      [/FROM users WHERE email = \$1/, { rows: [{ id: 3, name: 'Cleo Customer', email: 'cleo@example.com', role: 'customer', password_hash: passwordHash }] }]
+    ]);
+    const { app } = createTestApp({ db });
+    const login = (password) => request(app).post('/api/auth/login').send({ email: 'cleo@example.com', password });
+
+    const accepted = await login('correct horse');
+    const rejected = await login('wrong horse');
+
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.user).not.toHaveProperty('password_hash');
+    expect(rejected.status).toBe(401);
+    expect(rejected.body).toEqual({ error: 'Invalid email or password' });
+  });
+});
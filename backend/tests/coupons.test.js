@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { USERS, bearer, createFakeDb, createTestApp } = require('./helpers');
+
+const newCoupon = { code: 'spring10', discount_type: 'percentage', discount_value: 10 };
+
+describe('coupons', () => {
+  describe('POST /api/coupons', () => {
+    test('creates the coupon with its code uppercased', async () => {
+      const db = createFakeDb([
+        [/INSERT INTO coupons/, (params) => ({ rows: [{ id: 1, code: params[0], discount_type: params[2] }] })]
+      ]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', bearer(USERS.admin))
+        .send(newCoupon);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ id: 1, code: 'SPRING10', discount_type: 'percentage' });
+    });
+
+    test('reports a duplicate code with 409', async () => {
+      const db = createFakeDb([
+        [/INSERT INTO coupons/, () => { throw Object.assign(new Error('duplicate key'), { code: '23505' }); }]
+      ]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', bearer(USERS.admin))
+        .send(newCoupon);
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'A coupon with this code already exists' });
+    });
+
+    test('reports scoped products that do not exist', async () => {
+      const db = createFakeDb([[/SELECT id FROM products/, { rows: [{ id: 1 }] }]]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', bearer(USERS.admin))
+        .send({ ...newCoupon, product_ids: [1, 8, 9] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'product_ids', message: 'Unknown products: 8, 9' }]);
+      expect(db.find(/INSERT INTO coupons/)).toHaveLength(0);
+    });
+
+    test('rejects percentages above 100', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', bearer(USERS.admin))
+        .send({ ...newCoupon, discount_value: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('discount_value');
+    });
+
+    test('is for admins only', async () => {
+      const { app } = createTestApp();
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', bearer(USERS.staff))
+        .send(newCoupon);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  test('lets staff look coupons up', async () => {
+    const db = createFakeDb([[/FROM coupons c/, { rows: [{ id: 1, code: 'SPRING10', total_discount: '12.50' }] }]]);
+    const { app } = createTestApp({ db });
+
+    const response = await request(app).get('/api/coupons').set('Authorization', bearer(USERS.staff));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([{ id: 1, code: 'SPRING10', total_discount: '12.50' }]);
+  });
+});
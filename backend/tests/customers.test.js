@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { USERS, bearer, createFakeDb, createTestApp } = require('./helpers');
+
+describe('customers', () => {
+  describe('PUT /api/customers/:id/account', () => {
+    // Customer 7 of USERS.customer's email, not linked to any account yet
+    const createCustomerDb = () => createFakeDb([
+      [/^UPDATE customers SET user_id = \$1 WHERE id = \$2/, ([userId, id]) => ({
+        rows: id === 7 ? [{ id, user_id: userId, name: 'Cleo Customer', email: 'cleo@example.com' }] : []
+      })]
+    ]);
+
+    const link = (app, customerId, userId, user = USERS.staff) => request(app)
+      .put(`/api/customers/${customerId}/account`)
+      .set('Authorization', bearer(user))
+      .send({ user_id: userId });
+
+    test('links a customer to a customer account', async () => {
+      const { app, db } = createTestApp({ db: createCustomerDb() });
+
+      const response = await link(app, 7, USERS.customer.id);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: 7, user_id: USERS.customer.id });
+      expect(db.find(/^UPDATE customers SET user_id/)[0].params).toEqual([USERS.customer.id, 7]);
+    });
+
+    test('unlinks a customer with a null user_id', async () => {
+      const { app } = createTestApp({ db: createCustomerDb() });
+
+      const response = await link(app, 7, null);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ message: 'Customer unlinked from its account', data: { user_id: null } });
+    });
+
+    test('only links customer accounts', async () => {
+      const { app, db } = createTestApp({ db: createCustomerDb() });
+
+      const response = await link(app, 7, USERS.staff.id);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ field: 'user_id', message: 'user_id must be the id of a customer account' }]);
+      expect(db.find(/^UPDATE customers/)).toHaveLength(0);
+    });
+
+    test('refuses an account already linked to another customer', async () => {
+      const db = createCustomerDb().on(/^UPDATE customers SET user_id/, () => {
+        throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+      });
+      const { app } = createTestApp({ db });
+
+      const response = await link(app, 7, USERS.customer.id);
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'This account is already linked to another customer' });
+    });
+
+    test('answers 404 for unknown customers', async () => {
+      const { app } = createTestApp({ db: createCustomerDb() });
+
+      expect((await link(app, 8, USERS.customer.id)).status).toBe(404);
+    });
+
+    test('is not open to customers, who could otherwise claim anyone', async () => {
+      const { app, db } = createTestApp({ db: createCustomerDb() });
+
+      const response = await link(app, 7, USERS.customer.id, USERS.customer);
+
+      expect(response.status).toBe(403);
+      expect(db.find(/^UPDATE customers/)).toHaveLength(0);
+    });
+  });
+});
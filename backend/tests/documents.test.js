@@ -0,0 +1,94 @@
+const PDFDocument = require('pdfkit');
+const { Pool } = require('pg');
+const { migrate } = require('../db/migrate');
+const { createDocumentService } = require('../services/documentService');
+const { USERS } = require('./helpers');
+
+// Runs invoicing against a real PostgreSQL database. TEST_DATABASE_URL must
+// point at a scratch database: its public schema is dropped before the tests.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+const STORE = {
+  numberPrefix: 'INV-',
+  timeZone: 'America/Los_Angeles',
+  storeName: 'Test Store',
+  storeAddress: ['1 Market St'],
+  storeEmail: 'orders@example.com',
+  storeTaxId: ''
+};
+
+describeWithDatabase('documents', () => {
+  let pool;
+  let documentService;
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    await migrate(pool, { log: () => {} });
+    documentService = createDocumentService({ db: pool, store: STORE, currency: 'USD' });
+  });
+
+  // Orders 1-4 are delivered and order 5 cancelled. They were placed at 02:30
+  // UTC on March 2nd, still March 1st in Los Angeles, by a customer who has
+  // since changed their name and email.
+  beforeEach(async () => {
+    await pool.query('TRUNCATE categories, products, customers, orders RESTART IDENTITY CASCADE');
+    await pool.query('UPDATE invoice_counters SET last_number = 0');
+    await pool.query(`
+      INSERT INTO categories (id, name, slug) VALUES (1, 'Accessories', 'accessories');
+      INSERT INTO products (id, sku, name, price, category_id, stock) VALUES (1, 'KEYBOARD', 'Keyboard', 100, 1, 10);
+      INSERT INTO customers (id, name, email) VALUES (1, 'Cleo Renamed', 'cleo.new@example.com');
+      INSERT INTO orders (id, customer_id, customer_name, customer_email, subtotal, shipping_amount,
+                          tax_rate, tax_amount, total_amount, status, created_at)
+      SELECT id, 1, 'Cleo Customer', 'cleo@example.com', 100, 0, 0, 0, 100,
+             CASE WHEN id = 5 THEN 'cancelled' ELSE 'delivered' END,
+             TIMESTAMPTZ '2026-03-02 02:30:00+00' AT TIME ZONE current_setting('TimeZone')
+      FROM generate_series(1, 5) AS id;
+      INSERT INTO order_items (order_id, product_id, quantity, price)
+      SELECT id, 1, 1, 100 FROM generate_series(1, 5) AS id;
+    `);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => pool.end());
+
+  // Render the invoice of an order and collect the text printed on it
+  const renderInvoice = async (orderId) => {
+    const text = jest.spyOn(PDFDocument.prototype, 'text');
+    const result = await documentService.invoicePdf(USERS.admin, orderId);
+    const printed = text.mock.calls.map(([value]) => String(value));
+    text.mockRestore();
+    return { ...result, printed };
+  };
+
+  test('numbers invoices in order and keeps the number for reprints', async () => {
+    expect((await renderInvoice(2)).filename).toBe('invoice-INV-000001.pdf');
+    expect((await renderInvoice(1)).filename).toBe('invoice-INV-000002.pdf');
+    expect((await renderInvoice(2)).filename).toBe('invoice-INV-000001.pdf');
+
+    const counter = await pool.query('SELECT last_number FROM invoice_counters');
+    expect(counter.rows[0].last_number).toBe(2);
+  });
+
+  test('does not use up a number on cancelled orders', async () => {
+    expect((await renderInvoice(5)).status).toBe(409);
+    expect((await renderInvoice(1)).filename).toBe('invoice-INV-000001.pdf');
+  });
+
+  test('gives concurrent invoices consecutive numbers', async () => {
+    await Promise.all([1, 2, 3, 4].map((orderId) => renderInvoice(orderId)));
+
+    const numbers = await pool.query('SELECT invoice_number FROM orders WHERE invoice_number IS NOT NULL ORDER BY invoice_number');
+    expect(numbers.rows.map((row) => row.invoice_number)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('prints the customer as they ordered and dates in the store time zone', async () => {
+    const { status, printed } = await renderInvoice(1);
+
+    expect(status).toBe(200);
+    expect(printed).toContain('Cleo Customer <cleo@example.com>');
+    expect(printed.join('\n')).not.toMatch(/Cleo Renamed|cleo\.new@example\.com/);
+    expect(printed).toContain('#1 of 2026-03-01');
+  });
+});
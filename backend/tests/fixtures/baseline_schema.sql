@@ -1,15 +1,5 @@
--- Database initialization script for E-commerce application
-
--- Create database (run this separately if needed)
--- CREATE DATABASE ecommerce;
-
--- Connect to the database
-\c ecommerce;
-
--- Drop existing tables if they exist
-DROP TABLE IF EXISTS order_items CASCADE;
-DROP TABLE IF EXISTS orders CASCADE;
-DROP TABLE IF EXISTS products CASCADE;
+-- Schema and sample data of the original init.sql, the state of databases
+-- deployed before versioned migrations existed
 
 -- Create products table
 CREATE TABLE products (
@@ -106,13 +96,3 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
 
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
--- Grant permissions (adjust as needed for your environment)
--- GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO your_user;
--- GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO your_user;
-
--- Display summary
-SELECT 'Database initialized successfully!' as status;
-SELECT COUNT(*) as total_products FROM products;
-SELECT COUNT(*) as total_orders FROM orders;
-SELECT COUNT(*) as total_order_items FROM order_items;
\ No newline at end of file
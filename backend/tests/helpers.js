@@ -0,0 +1,129 @@
+const { createApp } = require('../app');
+const { issueToken } = require('../middleware/auth');
+
+// Test Fakes
+// Stand-ins for PostgreSQL, Redis and the payment provider, so that the app
+// built by createApp can be driven with supertest without any services.
+
+const normalizeSql = (text) => text.replace(/\s+/g, ' ').trim();
+
+// A pg Pool stand-in. Each query is answered by the first handler whose
+// pattern matches its SQL (whitespace collapsed): either a result such as
+// { rows: [...] } or a function of (params, sql) returning one, or throwing to
+// simulate a database error. Unmatched queries return no rows. Every query is
+// recorded in db.queries, and clients from db.connect() share the handlers.
+const createFakeDb = (handlers = []) => {
+  const routes = [...handlers];
+  const queries = [];
+
+  const query = async (text, params = []) => {
+    const sql = normalizeSql(text);
+    queries.push({ sql, params });
+
+    const route = routes.find(([pattern]) => pattern.test(sql));
+    const result = route
+      ? (typeof route[1] === 'function' ? await route[1](params, sql) : route[1])
+      : null;
+    const rows = (result && result.rows) || [];
+    return { rowCount: rows.length, ...result, rows };
+  };
+
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    // Answer queries matching pattern, ahead of the handlers given so far
+    on(pattern, respond) {
+      routes.unshift([pattern, respond]);
+      return this;
+    },
+    // Recorded queries whose SQL matches pattern
+    find(pattern) {
+      return queries.filter(({ sql }) => pattern.test(sql));
+    }
+  };
+};
+
+// An in-memory Redis client with the commands the product and order code
+// uses. With failing set, every command rejects, as when Redis is unreachable.
+const createFakeCache = ({ failing = false } = {}) => {
+  const entries = new Map();
+  const command = (run) => async (...args) => {
+    if (failing) {
+      throw new Error('Redis is unavailable');
+    }
+    return run(...args);
+  };
+
+  return {
+    entries,
+    isReady: !failing,
+    get: command(async (key) => (entries.has(key) ? entries.get(key) : null)),
+    setEx: command(async (key, seconds, value) => {
+      entries.set(key, value);
+    }),
+    del: command(async (keys) => {
+      [].concat(keys).forEach((key) => entries.delete(key));
+    }),
+    scanIterator: ({ MATCH } = {}) => ({
+      async* [Symbol.asyncIterator]() {
+        if (failing) {
+          throw new Error('Redis is unavailable');
+        }
+        const pattern = new RegExp(`^${(MATCH || '*').split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        for (const key of [...entries.keys()].filter((entry) => pattern.test(entry))) {
+          yield key;
+        }
+      }
+    })
+  };
+};
+
+// A payment provider that approves every payment and records its calls.
+// Pass overrides to replace methods, e.g. a capture that throws.
+const createFakePaymentProvider = (overrides = {}) => {
+  const calls = [];
+  const record = (method, result) => async (args) => {
+    calls.push({ method, args });
+    return typeof result === 'function' ? result(args) : result;
+  };
+
+  return {
+    name: 'fake',
+    calls,
+    authorize: record('authorize', { providerPaymentId: 'pay_fake_1', status: 'authorized' }),
+    capture: record('capture', { status: 'pending' }),
+    voidAuthorization: record('voidAuthorization', { status: 'voided' }),
+    refund: record('refund', ({ refundId }) => ({ providerRefundId: `re_fake_${refundId}`, status: 'pending' })),
+    verifyWebhook: () => ({ error: 'Webhooks are not supported by the fake provider' }),
+    ...overrides
+  };
+};
+
+const USERS = {
+  admin: { id: 1, name: 'Ada Admin', email: 'admin@example.com', role: 'admin' },
+  staff: { id: 2, name: 'Sam Staff', email: 'staff@example.com', role: 'staff' },
+  customer: { id: 3, name: 'Cleo Customer', email: 'cleo@example.com', role: 'customer' },
+  otherCustomer: { id: 4, name: 'Otto Other', email: 'otto@example.com', role: 'customer' }
+};
+
+// Authorization header value for one of USERS
+const bearer = (user) => `Bearer ${issueToken(user)}`;
+
+// createApp around fresh fakes; returns the app with its fakes. The database
+// knows the accounts in USERS.
+const createTestApp = ({ db = createFakeDb(), cache = createFakeCache(), paymentProvider = createFakePaymentProvider() } = {}) => {
+  db.on(/FROM users WHERE id = \$1/, ([id]) => ({
+    rows: Object.values(USERS).filter((user) => user.id === Number(id))
+  }));
+  return { app: createApp({ db, cache, paymentProvider }), db, cache, paymentProvider };
+};
+
+module.exports = {
+  USERS,
+  bearer,
+  createFakeDb,
+  createFakeCache,
+  createFakePaymentProvider,
+  createTestApp
+};
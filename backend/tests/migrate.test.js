@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { migrate, migrationStatus } = require('../db/migrate');
+
+// Runs the migrations against a real PostgreSQL database. TEST_DATABASE_URL
+// must point at a scratch database: its public schema is dropped before each test.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+const BASELINE_SCHEMA = fs.readFileSync(path.join(__dirname, 'fixtures', 'baseline_schema.sql'), 'utf8');
+
+describeWithDatabase('migrate', () => {
+  let pool;
+  const log = () => {};
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  });
+
+  afterAll(() => pool.end());
+
+  beforeEach(async () => {
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+  });
+
+  const appliedCount = async () => (await migrationStatus(pool)).filter((migration) => migration.applied_at).length;
+
+  test('creates the schema on an empty database and reverts it', async () => {
+    const applied = await migrate(pool, { log });
+
+    expect(applied[0]).toBe('001_initial_schema');
+    expect(await appliedCount()).toBe(applied.length);
+
+    await migrate(pool, { direction: 'down', steps: applied.length, log });
+    const tables = await pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'");
+    expect(tables.rows.map((row) => row.table_name)).toEqual(['schema_migrations']);
+  });
+
+  test('upgrades a database created with the original init.sql without losing data', async () => {
+    await pool.query(BASELINE_SCHEMA);
+
+    const applied = await migrate(pool, { log });
+    expect(applied[0]).toBe('001_initial_schema');
+    expect(await appliedCount()).toBe(applied.length);
+
+    // Free-text categories became categories, one per distinct name
+    const categories = await pool.query('SELECT name, slug, parent_id FROM categories ORDER BY slug');
+    expect(categories.rows).toEqual([
+      { name: 'Accessories', slug: 'accessories', parent_id: null },
+      { name: 'Electronics', slug: 'electronics', parent_id: null },
+      { name: 'Storage', slug: 'storage', parent_id: null },
+      { name: 'Wearables', slug: 'wearables', parent_id: null }
+    ]);
+    const products = await pool.query(
+      `SELECT p.name, p.category, c.name AS category_name
+       FROM products p JOIN categories c ON c.id = p.category_id
+       ORDER BY p.id`
+    );
+    expect(products.rows).toHaveLength(15);
+    products.rows.forEach((product) => expect(product.category).toBe(product.category_name));
+    expect(products.rows[7]).toMatchObject({ name: 'External SSD 1TB', category: 'Storage' });
+
+    // Every product got a SKU, so the catalog can be exported and imported back
+    const skus = await pool.query('SELECT sku FROM products ORDER BY id');
+    expect(skus.rows[0].sku).toBe('PRODUCT-1');
+    expect(new Set(skus.rows.map((row) => row.sku)).size).toBe(15);
+
+    // Search works on the existing products
+    const search = await pool.query(
+      "SELECT name FROM products WHERE search_vector @@ plainto_tsquery('english', 'mouse')"
+    );
+    expect(search.rows).toEqual([{ name: 'Wireless Mouse' }]);
+
+    // Orders keep their items and totals and are linked to customers
+    const orders = await pool.query(
+      `SELECT o.id, o.total_amount, o.subtotal, c.email,
+              (SELECT COUNT(*)::int FROM order_items oi WHERE oi.order_id = o.id) AS item_count
+       FROM orders o JOIN customers c ON c.id = o.customer_id
+       ORDER BY o.id`
+    );
+    expect(orders.rows).toEqual([
+      { id: 1, total_amount: '1329.98', subtotal: '1329.98', email: 'john.doe@example.com', item_count: 2 },
+      { id: 2, total_amount: '529.97', subtotal: '529.97', email: 'jane.smith@example.com', item_count: 5 },
+      { id: 3, total_amount: '89.99', subtotal: '89.99', email: 'bob.johnson@example.com', item_count: 1 },
+      { id: 4, total_amount: '449.99', subtotal: '449.99', email: 'alice.williams@example.com', item_count: 1 }
+    ]);
+
+    // New products can be added to the upgraded catalog
+    await pool.query(
+      `INSERT INTO products (sku, name, price, category_id, stock)
+       SELECT 'NEW-1', 'New Product', 9.99, id, 3 FROM categories WHERE slug = 'storage'`
+    );
+    const added = await pool.query("SELECT category FROM products WHERE sku = 'NEW-1'");
+    expect(added.rows[0].category).toBe('Storage');
+  });
+});
@@ -0,0 +1,470 @@
+const request = require('supertest');
+const { USERS, bearer, createFakeDb, createFakeCache, createTestApp } = require('./helpers');
+
+const MOUSE = { id: 1, name: 'Wireless Mouse', price: '29.99', stock: 10, weight: '0.2', category_id: 1 };
+const MONITOR = { id: 2, name: '4K Monitor', price: '449.99', stock: 1, weight: '6.5', category_id: 1 };
+
+const CALIFORNIA = { line1: '1 Main St', city: 'San Francisco', region: 'CA', postal_code: '94105', country: 'US' };
+
+// A database with the products above, no variants and no coupons, where new
+// customers get id 7 and new orders id 42
+const createOrderDb = () => createFakeDb([
+  [/FROM products WHERE id = ANY/, ([ids]) => ({
+    rows: [MOUSE, MONITOR].filter((product) => ids.includes(product.id))
+  })],
+  [/INSERT INTO customers/, { rows: [{ id: 7 }] }],
+  [/INSERT INTO idempotency_keys/, { rows: [{ id: 1 }] }],
+  [/INSERT INTO orders/, (params) => ({
+    rows: [{ id: 42, user_id: params[0], customer_id: params[1], total_amount: String(params[9]), status: 'pending' }]
+  })]
+]);
+
+const orderRequest = {
+  customer_name: 'Cleo Customer',
+  customer_email: 'cleo@example.com',
+  shipping_address: CALIFORNIA,
+  items: [{ product_id: 1, quantity: 2 }]
+};
+
+describe('orders', () => {
+  describe('POST /api/orders/quote', () => {
+    test('prices the order with shipping and the destination tax', async () => {
+      const { app } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ shipping_address: { country: 'US', region: 'CA' }, items: [{ product_id: 1, quantity: 2 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        subtotal: 59.98,
+        discount_amount: 0,
+        shipping_amount: 5.99,
+        tax_rate: 0.0725,
+        tax_amount: 4.35,
+        total_amount: 70.32,
+        coupon_code: null
+      });
+    });
+
+    test("uses the saved address of the customer's own record for tax", async () => {
+      const db = createOrderDb().on(/FROM customers WHERE email = \$1/, ([email]) => ({
+        rows: email === USERS.customer.email ? [{ id: 7, user_id: USERS.customer.id, address: CALIFORNIA }] : []
+      }));
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ items: [{ product_id: 1, quantity: 2 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tax_rate).toBe(0.0725);
+    });
+
+    test("does not let customers quote with someone else's email", async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ customer_email: USERS.otherCustomer.email, items: [{ product_id: 1, quantity: 2 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'customer_email', message: 'customer_email must be the email of your account' }
+      ]);
+      expect(db.find(/FROM customers/)).toHaveLength(0);
+    });
+
+    test('ignores saved addresses of customer records not linked to the customer', async () => {
+      const db = createOrderDb().on(/FROM customers WHERE email = \$1/, {
+        rows: [{ id: 7, user_id: USERS.otherCustomer.id, address: CALIFORNIA }]
+      });
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ items: [{ product_id: 1, quantity: 2 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tax_rate).toBe(0);
+    });
+
+    test('reports unknown products with 404', async () => {
+      const { app } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ items: [{ product_id: 1, quantity: 1 }, { product_id: 99, quantity: 1 }] });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Products not found', product_ids: [99] });
+    });
+  });
+
+  describe('POST /api/orders', () => {
+    test('places the order, takes the stock and records its history', async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send(orderRequest);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: 42, user_id: USERS.customer.id, customer_id: 7 });
+      expect(db.find(/UPDATE products SET stock = stock - \$1/)[0].params).toEqual([2, 1]);
+      expect(db.find(/INSERT INTO order_status_history/)[0].params).toEqual([42, USERS.customer.id]);
+      expect(db.find(/^COMMIT$/)).toHaveLength(1);
+    });
+
+    test('does not link the customer to the account that ordered', async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send(orderRequest);
+
+      const [customerInsert] = db.find(/INSERT INTO customers/);
+      expect(customerInsert.sql).not.toContain('user_id');
+      expect(customerInsert.params).toEqual(['Cleo Customer', 'cleo@example.com']);
+    });
+
+    test('still reports a placed order when Redis fails after the commit', async () => {
+      const { app, db } = createTestApp({ db: createOrderDb(), cache: createFakeCache({ failing: true }) });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send(orderRequest);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe(42);
+      expect(db.find(/^ROLLBACK$/)).toHaveLength(0);
+    });
+
+    test('rejects orders for more than is in stock and rolls back', async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ ...orderRequest, items: [{ product_id: 2, quantity: 3 }] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.items).toEqual([
+        { product_id: 2, variant_id: null, name: '4K Monitor', requested: 3, available: 1 }
+      ]);
+      expect(db.find(/INSERT INTO orders/)).toHaveLength(0);
+      expect(db.find(/^ROLLBACK$/)).toHaveLength(1);
+    });
+
+    test("does not let customers order under someone else's email", async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ ...orderRequest, customer_email: USERS.otherCustomer.email });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('customer_email');
+      expect(db.find(/INSERT INTO orders/)).toHaveLength(0);
+    });
+
+    test('ships to the saved address of the customer for staff', async () => {
+      const db = createOrderDb().on(/SELECT user_id, \(addresses->0\)/, {
+        rows: [{ user_id: USERS.customer.id, address: CALIFORNIA }]
+      });
+      const { app } = createTestApp({ db });
+
+      const { shipping_address: omitted, ...withoutAddress } = orderRequest;
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.staff))
+        .send(withoutAddress);
+
+      expect(response.status).toBe(201);
+      const [insert] = db.find(/INSERT INTO orders/);
+      expect(JSON.parse(insert.params[11])).toEqual({ ...CALIFORNIA, name: 'Cleo Customer' });
+    });
+
+    test('does not ship customers to addresses of a customer record linked to someone else', async () => {
+      const db = createOrderDb().on(/SELECT user_id, \(addresses->0\)/, {
+        rows: [{ user_id: USERS.otherCustomer.id, address: CALIFORNIA }]
+      });
+      const { app } = createTestApp({ db });
+
+      const { shipping_address: omitted, ...withoutAddress } = orderRequest;
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send(withoutAddress);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('shipping_address');
+    });
+
+    test('requires a shipping address when the customer has none saved', async () => {
+      const db = createOrderDb().on(/SELECT user_id, \(addresses->0\)/, { rows: [{ user_id: null, address: null }] });
+      const { app } = createTestApp({ db });
+
+      const { shipping_address: omitted, ...withoutAddress } = orderRequest;
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.staff))
+        .send(withoutAddress);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe('shipping_address');
+    });
+
+    test('replays a retried order from the cache instead of placing it again', async () => {
+      const { app, db } = createTestApp({ db: createOrderDb() });
+      const placeOrder = () => request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .set('Idempotency-Key', 'order-1')
+        .send(orderRequest);
+
+      const first = await placeOrder();
+      const retry = await placeOrder();
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(db.find(/INSERT INTO orders/)).toHaveLength(1);
+    });
+
+    test('replays a retried order from the database when Redis is down', async () => {
+      const db = createOrderDb();
+      const { app } = createTestApp({ db, cache: createFakeCache({ failing: true }) });
+      const placeOrder = () => request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .set('Idempotency-Key', 'order-1')
+        .send(orderRequest);
+
+      const first = await placeOrder();
+      expect(first.status).toBe(201);
+
+      // The key is now taken; the stored response is what the first request saved
+      const [stored] = db.find(/UPDATE idempotency_keys/);
+      const [claimed] = db.find(/INSERT INTO idempotency_keys/);
+      db.on(/INSERT INTO idempotency_keys/, { rows: [] });
+      db.on(/FROM idempotency_keys/, {
+        rows: [{ request_hash: claimed.params[2], response_status: 201, response_body: JSON.parse(stored.params[0]) }]
+      });
+      const retry = await placeOrder();
+
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(db.find(/INSERT INTO orders/)).toHaveLength(1);
+    });
+
+    test('rejects a reused Idempotency-Key with a different request', async () => {
+      const { app } = createTestApp({ db: createOrderDb() });
+      const placeOrder = (body) => request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .set('Idempotency-Key', 'order-1')
+        .send(body);
+
+      await placeOrder(orderRequest);
+      const response = await placeOrder({ ...orderRequest, items: [{ product_id: 1, quantity: 1 }] });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('coupons', () => {
+    const ONCE_PER_CUSTOMER = {
+      id: 3, code: 'WELCOME', discount_type: 'fixed', discount_value: '5.00', min_order_amount: '0',
+      product_ids: [], category_ids: [], usage_limit: null, usage_limit_per_customer: 1, used_count: 4,
+      is_active: true, not_started: false, expired: false
+    };
+
+    test("counts a customer's uses by their account as well as their customer record", async () => {
+      const db = createOrderDb()
+        .on(/FROM coupons WHERE code = \$1/, { rows: [ONCE_PER_CUSTOMER] })
+        .on(/FROM coupon_redemptions r JOIN orders o/, { rows: [{ used: 1 }] });
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ ...orderRequest, coupon_code: 'welcome' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { field: 'coupon_code', message: 'Coupon WELCOME has already been used the maximum number of times' }
+      ]);
+      expect(db.find(/FROM coupon_redemptions r JOIN orders o/)[0].params).toEqual([3, 7, USERS.customer.id]);
+    });
+
+    test('counts by the customer record alone for orders placed by staff', async () => {
+      const db = createOrderDb()
+        .on(/FROM coupons WHERE code = \$1/, { rows: [ONCE_PER_CUSTOMER] })
+        .on(/FROM coupon_redemptions r JOIN orders o/, { rows: [{ used: 0 }] });
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ ...orderRequest, coupon_code: 'WELCOME' });
+
+      expect(response.status).toBe(201);
+      expect(db.find(/FROM coupon_redemptions r JOIN orders o/)[0].params).toEqual([3, 7, null]);
+      expect(db.find(/INSERT INTO coupon_redemptions/)[0].params).toEqual([3, 42, 7, 5]);
+    });
+
+    test('counts by the account when quoting for a customer without a record yet', async () => {
+      const db = createOrderDb()
+        .on(/FROM coupons WHERE code = \$1/, { rows: [ONCE_PER_CUSTOMER] })
+        .on(/FROM coupon_redemptions r JOIN orders o/, { rows: [{ used: 1 }] });
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders/quote')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ coupon_code: 'WELCOME', items: [{ product_id: 1, quantity: 1 }] });
+
+      expect(response.status).toBe(400);
+      expect(db.find(/FROM coupon_redemptions r JOIN orders o/)[0].params).toEqual([3, null, USERS.customer.id]);
+    });
+  });
+
+  describe('PATCH /api/orders/:id/status', () => {
+    const createStatusDb = (status) => createFakeDb([
+      [/SELECT status FROM orders WHERE id = \$1 FOR UPDATE/, { rows: [{ status }] }],
+      [/UPDATE orders SET status/, ([newStatus, id]) => ({ rows: [{ id, status: newStatus }] })],
+      [/UPDATE products p SET stock/, { rows: [{ product_id: 1, variant_id: null, quantity: 2 }] }]
+    ]);
+
+    test('refuses transitions that are not allowed', async () => {
+      const { app, db } = createTestApp({ db: createStatusDb('shipped') });
+
+      const response = await request(app)
+        .patch('/api/orders/5/status')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({
+        error: 'Cannot change order status from shipped to cancelled',
+        allowed_transitions: ['delivered']
+      });
+      expect(db.find(/UPDATE orders SET status/)).toHaveLength(0);
+    });
+
+    test('restocks the ordered units when cancelling', async () => {
+      const { app, db } = createTestApp({ db: createStatusDb('pending') });
+
+      const response = await request(app)
+        .patch('/api/orders/5/status')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ status: 'cancelled', note: 'Customer changed their mind' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.restocked_items).toEqual([{ product_id: 1, variant_id: null, quantity: 2 }]);
+      expect(response.body.data.allowed_transitions).toEqual([]);
+      expect(db.find(/INSERT INTO order_status_history/)[0].params)
+        .toEqual([5, 'pending', 'cancelled', USERS.staff.id, 'Customer changed their mind']);
+    });
+
+    test('still reports the cancellation when Redis fails after the commit', async () => {
+      const { app } = createTestApp({ db: createStatusDb('pending'), cache: createFakeCache({ failing: true }) });
+
+      const response = await request(app)
+        .patch('/api/orders/5/status')
+        .set('Authorization', bearer(USERS.staff))
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+    });
+
+    test('is not open to customers', async () => {
+      const { app } = createTestApp({ db: createStatusDb('pending') });
+
+      const response = await request(app)
+        .patch('/api/orders/5/status')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/orders', () => {
+    test('lists customers the orders they placed and those placed for them', async () => {
+      const { app, db } = createTestApp();
+
+      const response = await request(app).get('/api/orders').set('Authorization', bearer(USERS.customer));
+
+      expect(response.status).toBe(200);
+      const [listQuery] = db.find(/FROM orders o/);
+      expect(listQuery.sql).toContain('WHERE (o.user_id = $1 OR c.user_id = $1)');
+      expect(listQuery.params).toEqual([USERS.customer.id]);
+    });
+  });
+
+  describe('GET /api/orders/:id/history', () => {
+    test('shows customers orders placed by staff for their customer record', async () => {
+      const db = createFakeDb([
+        [/FROM orders o WHERE o.id = \$1/, { rows: [{ user_id: null, customer_user_id: USERS.customer.id }] }],
+        [/FROM order_status_history/, { rows: [{ id: 1, from_status: null, to_status: 'pending' }] }]
+      ]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .get('/api/orders/5/history')
+        .set('Authorization', bearer(USERS.customer));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    test("reports other customers' orders as missing", async () => {
+      const db = createFakeDb([
+        [/FROM orders o WHERE o.id = \$1/, { rows: [{ user_id: USERS.otherCustomer.id, customer_user_id: USERS.otherCustomer.id }] }]
+      ]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .get('/api/orders/5/history')
+        .set('Authorization', bearer(USERS.customer));
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Order not found' });
+    });
+  });
+
+  describe('POST /api/cart/checkout', () => {
+    test('still reports a placed order when the cart cannot be emptied', async () => {
+      // Two mice in the cart, and Redis fails once the order is placed
+      const cache = createFakeCache();
+      cache.hGetAll = async () => ({ 1: '2' });
+      cache.del = async () => {
+        throw new Error('Redis is unavailable');
+      };
+      const { app, db } = createTestApp({ db: createOrderDb(), cache });
+
+      const response = await request(app)
+        .post('/api/cart/checkout')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ shipping_address: CALIFORNIA });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe(42);
+      expect(db.find(/UPDATE products SET stock = stock - \$1/)[0].params).toEqual([2, 1]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const { Pool } = require('pg');
+const { migrate } = require('../db/migrate');
+const { createApp } = require('../app');
+const { USERS, bearer, createFakeCache, createFakePaymentProvider } = require('./helpers');
+
+// Runs order ownership end to end against a real PostgreSQL database.
+// TEST_DATABASE_URL must point at a scratch database: its public schema is
+// dropped before the tests.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+const VICTIM_ADDRESS = { line1: '5 Private Ln', city: 'Portland', region: 'OR', postal_code: '97201', country: 'US' };
+const OTHER_ADDRESS = { line1: '1 Main St', city: 'San Francisco', region: 'CA', postal_code: '94105', country: 'US' };
+
+describeWithDatabase('order ownership', () => {
+  let pool;
+  let app;
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    await migrate(pool, { log: () => {} });
+    await pool.query(
+      "INSERT INTO users (id, name, email, password_hash, role) VALUES ($1, $2, $3, 'not-a-real-hash', 'staff')",
+      [USERS.staff.id, USERS.staff.name, USERS.staff.email]
+    );
+    await pool.query(`
+      SELECT setval('users_id_seq', 100);
+      INSERT INTO categories (id, name, slug) VALUES (1, 'Accessories', 'accessories');
+      INSERT INTO products (id, sku, name, price, category_id, stock) VALUES (1, 'MOUSE', 'Mouse', 30, 1, 10);
+    `);
+    app = createApp({ db: pool, cache: createFakeCache(), paymentProvider: createFakePaymentProvider() });
+  });
+
+  afterAll(() => pool.end());
+
+  test('an account registered with someone else\'s email cannot reach their orders', async () => {
+    // Staff take a phone order for the victim, who has a saved address
+    const staffOrder = await request(app)
+      .post('/api/orders')
+      .set('Authorization', bearer(USERS.staff))
+      .send({
+        customer_name: 'Vera Victim',
+        customer_email: 'vera@example.com',
+        shipping_address: VICTIM_ADDRESS,
+        items: [{ product_id: 1, quantity: 1 }]
+      });
+    expect(staffOrder.status).toBe(201);
+    const victimOrderId = staffOrder.body.data.id;
+    await pool.query(
+      "UPDATE customers SET addresses = $1 WHERE email = 'vera@example.com'",
+      [JSON.stringify([{ label: 'Home', ...VICTIM_ADDRESS }])]
+    );
+
+    // Someone else registers with the victim's email and orders under it
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Mallory', email: 'vera@example.com', password: 'correct horse' });
+    expect(registered.status).toBe(201);
+    const auth = `Bearer ${registered.body.data.token}`;
+
+    const toSavedAddress = await request(app)
+      .post('/api/orders')
+      .set('Authorization', auth)
+      .send({ customer_name: 'Mallory', customer_email: 'vera@example.com', items: [{ product_id: 1, quantity: 1 }] });
+    expect(toSavedAddress.status).toBe(400);
+    expect(toSavedAddress.body.details[0].field).toBe('shipping_address');
+
+    const ownOrder = await request(app)
+      .post('/api/orders')
+      .set('Authorization', auth)
+      .send({
+        customer_name: 'Mallory',
+        customer_email: 'vera@example.com',
+        shipping_address: OTHER_ADDRESS,
+        items: [{ product_id: 1, quantity: 1 }]
+      });
+    expect(ownOrder.status).toBe(201);
+
+    const customer = await pool.query("SELECT user_id FROM customers WHERE email = 'vera@example.com'");
+    expect(customer.rows[0].user_id).toBeNull();
+
+    const list = await request(app).get('/api/orders').set('Authorization', auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((order) => order.id)).toEqual([ownOrder.body.data.id]);
+
+    const history = await request(app).get(`/api/orders/${victimOrderId}/history`).set('Authorization', auth);
+    expect(history.status).toBe(404);
+
+    const invoice = await request(app).get(`/api/orders/${victimOrderId}/invoice.pdf`).set('Authorization', auth);
+    expect(invoice.status).toBe(404);
+
+    const addresses = await request(app)
+      .patch(`/api/orders/${victimOrderId}/addresses`)
+      .set('Authorization', auth)
+      .send({ shipping_address: OTHER_ADDRESS });
+    expect(addresses.status).toBe(404);
+    const victimOrder = await pool.query('SELECT shipping_address FROM orders WHERE id = $1', [victimOrderId]);
+    expect(victimOrder.rows[0].shipping_address).toMatchObject(VICTIM_ADDRESS);
+  });
+
+  test('staff can link the customer to its real owner, who then sees its orders', async () => {
+    const owner = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Vera Victim', email: 'vera.real@example.com', password: 'correct horse' });
+    const customer = await pool.query("SELECT id FROM customers WHERE email = 'vera@example.com'");
+
+    const linked = await request(app)
+      .put(`/api/customers/${customer.rows[0].id}/account`)
+      .set('Authorization', bearer(USERS.staff))
+      .send({ user_id: owner.body.data.user.id });
+    expect(linked.status).toBe(200);
+
+    const list = await request(app).get('/api/orders').set('Authorization', `Bearer ${owner.body.data.token}`);
+    // The staff order and the one placed under the customer's email
+    expect(list.body.data).toHaveLength(2);
+  });
+});
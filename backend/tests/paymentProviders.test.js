@@ -0,0 +1,97 @@
+const {
+  WEBHOOK_SIGNATURE_HEADER,
+  signWebhook,
+  verifyWebhookSignature,
+  createMockPaymentProvider
+} = require('../services/paymentProviders');
+
+const SECRET = 'whsec_test';
+const TOLERANCE = 300;
+
+const now = () => Math.floor(Date.now() / 1000);
+const eventBody = (fields = {}) => JSON.stringify({
+  id: 'evt_1',
+  type: 'payment.captured',
+  data: { payment_id: 'pay_1', amount: 70.32 },
+  ...fields
+});
+
+describe('verifyWebhookSignature', () => {
+  test('accepts a signature of the exact body', () => {
+    const rawBody = eventBody();
+
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, rawBody, signWebhook(SECRET, rawBody))).toBeNull();
+  });
+
+  test('rejects a body changed after signing', () => {
+    const header = signWebhook(SECRET, eventBody());
+
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, eventBody({ data: { payment_id: 'pay_1', amount: 1 } }), header))
+      .toBe('Invalid webhook signature');
+  });
+
+  test('rejects a signature made with another secret', () => {
+    const rawBody = eventBody();
+
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, rawBody, signWebhook('whsec_other', rawBody)))
+      .toBe('Invalid webhook signature');
+  });
+
+  test('rejects signatures older than the tolerance', () => {
+    const rawBody = eventBody();
+    const header = signWebhook(SECRET, rawBody, now() - TOLERANCE - 60);
+
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, rawBody, header)).toBe('Webhook signature has expired');
+  });
+
+  test('rejects signatures from too far in the future', () => {
+    const rawBody = eventBody();
+    const header = signWebhook(SECRET, rawBody, now() + TOLERANCE + 60);
+
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, rawBody, header)).toBe('Webhook signature has expired');
+  });
+
+  test('rejects a missing header', () => {
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, eventBody(), undefined)).toBe('Missing webhook signature');
+  });
+
+  test.each([
+    ['no timestamp', 'v1=abc'],
+    ['a timestamp that is not a number', `t=soon,v1=${'a'.repeat(64)}`],
+    ['a signature that is not hex', `t=${now()},v1=not-hex`]
+  ])('rejects a header with %s', (name, header) => {
+    expect(verifyWebhookSignature(SECRET, TOLERANCE, eventBody(), header)).toBe('Malformed webhook signature');
+  });
+});
+
+describe('mock provider verifyWebhook', () => {
+  const provider = createMockPaymentProvider({ webhookSecret: SECRET, webhookTolerance: TOLERANCE, deliverWebhook: () => {} });
+  const signed = (rawBody) => ({ [WEBHOOK_SIGNATURE_HEADER]: signWebhook(SECRET, rawBody) });
+
+  test('parses a signed event', () => {
+    const rawBody = eventBody();
+
+    expect(provider.verifyWebhook(rawBody, signed(rawBody)).event).toMatchObject({
+      id: 'evt_1',
+      type: 'payment.captured',
+      providerPaymentId: 'pay_1',
+      amount: 70.32
+    });
+  });
+
+  test('passes on event types it does not know', () => {
+    const rawBody = eventBody({ type: 'payment.disputed' });
+
+    expect(provider.verifyWebhook(rawBody, signed(rawBody)).event.type).toBe('payment.disputed');
+  });
+
+  test('rejects signed bodies that are not events', () => {
+    const rawBody = JSON.stringify({ hello: 'world' });
+
+    expect(provider.verifyWebhook(rawBody, signed(rawBody))).toEqual({ error: 'Webhook body is not a payment event' });
+  });
+
+  test('reports signature errors', () => {
+    expect(provider.verifyWebhook(eventBody(), {})).toEqual({ error: 'Missing webhook signature' });
+  });
+});
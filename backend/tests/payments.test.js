@@ -0,0 +1,346 @@
+const request = require('supertest');
+const { WEBHOOK_SIGNATURE_HEADER, signWebhook, createMockPaymentProvider } = require('../services/paymentProviders');
+const { USERS, bearer, createFakeDb, createFakePaymentProvider, createTestApp } = require('./helpers');
+
+const SECRET = 'whsec_test';
+
+// Order 5 of USERS.customer for 70.32, with its payment (if any) kept in
+// memory so that updates show up in later queries
+const createPaymentDb = ({ orderStatus = 'pending', paymentStatus = null } = {}) => {
+  const state = {
+    order: { id: 5, user_id: USERS.customer.id, customer_user_id: null, status: orderStatus, total_amount: '70.32' },
+    payment: paymentStatus && {
+      id: 11,
+      order_id: 5,
+      provider: 'fake',
+      provider_payment_id: 'pay_fake_1',
+      status: paymentStatus,
+      amount: '70.32',
+      refunded_amount: '0.00',
+      currency: 'USD'
+    },
+    eventIds: new Set()
+  };
+  const paymentWith = (statuses) => (
+    state.payment && statuses.includes(state.payment.status) ? [state.payment] : []
+  );
+
+  const db = createFakeDb([
+    [/FROM orders o WHERE o.id = \$1/, () => ({ rows: [state.order] })],
+    [/SELECT status FROM orders WHERE id = \$1/, () => ({ rows: [{ status: state.order.status }] })],
+    [/^UPDATE orders SET status = \$1/, ([status, id]) => {
+      state.order.status = status;
+      return { rows: [{ ...state.order, id }] };
+    }],
+    [/^UPDATE orders SET status = 'processing'/, () => {
+      state.order.status = 'processing';
+    }],
+    [/INSERT INTO payments/, ([orderId, provider, amount, currency]) => {
+      state.payment = { id: 11, order_id: orderId, provider, provider_payment_id: null, status: 'pending', amount, refunded_amount: '0.00', currency };
+      return { rows: [state.payment] };
+    }],
+    [/FROM payments WHERE order_id = \$1 AND status <> 'failed'/, () => ({
+      rows: paymentWith(['pending', 'authorized', 'capturing', 'captured', 'voided'])
+    })],
+    [/FROM payments WHERE order_id = \$1 AND status IN \('authorized', 'captured'\)/, () => ({
+      rows: paymentWith(['authorized', 'captured'])
+    })],
+    [/FROM payments WHERE order_id = \$1 AND status = 'captured'/, () => ({ rows: paymentWith(['captured']) })],
+    [/FROM payments WHERE provider = \$1 AND provider_payment_id = \$2/, ([, providerPaymentId]) => ({
+      rows: state.payment && state.payment.provider_payment_id === providerPaymentId ? [state.payment] : []
+    })],
+    [/^UPDATE payments SET status = 'captured'/, () => {
+      state.payment.status = 'captured';
+    }],
+    [/^UPDATE payments SET status = \$3 WHERE id = \$1 AND status = \$2/, ([, fromStatus, toStatus]) => {
+      if (!state.payment || state.payment.status !== fromStatus) {
+        return { rows: [] };
+      }
+      state.payment.status = toStatus;
+      return { rows: [state.payment] };
+    }],
+    [/^UPDATE payments SET .* RETURNING/, (params, sql) => {
+      const columns = sql.match(/SET (.+) WHERE/)[1].split(', ').map((assignment) => assignment.split(' = ')[0]);
+      columns.forEach((column, index) => {
+        state.payment[column] = params[index];
+      });
+      return { rows: [state.payment] };
+    }],
+    [/INSERT INTO payment_events/, ([, eventId]) => {
+      if (state.eventIds.has(eventId)) {
+        return { rows: [] };
+      }
+      state.eventIds.add(eventId);
+      return { rows: [{ id: state.eventIds.size }] };
+    }],
+    [/SELECT COALESCE\(SUM\(amount\), 0\) AS refunded FROM refunds/, { rows: [{ refunded: '0.00' }] }],
+    [/INSERT INTO refunds/, ([paymentId, returnId, amount]) => ({
+      rows: [{ id: 21, payment_id: paymentId, return_id: returnId, amount: amount.toFixed(2), status: 'pending' }]
+    })],
+    [/^UPDATE refunds SET provider_refund_id/, ([providerRefundId, id]) => ({
+      rows: [{ id, payment_id: 11, return_id: null, provider_refund_id: providerRefundId, amount: '70.32', status: 'pending' }]
+    })]
+  ]);
+
+  return { db, state };
+};
+
+// A fake provider that checks webhook signatures like the mock provider
+const createWebhookProvider = (overrides = {}) => createFakePaymentProvider({
+  verifyWebhook: createMockPaymentProvider({ webhookSecret: SECRET, webhookTolerance: 300, deliverWebhook: () => {} }).verifyWebhook,
+  ...overrides
+});
+
+const captureEvent = (id = 'evt_1') => JSON.stringify({
+  id,
+  type: 'payment.captured',
+  data: { payment_id: 'pay_fake_1', amount: 70.32 }
+});
+
+const postWebhook = (app, rawBody, signature = signWebhook(SECRET, rawBody)) => request(app)
+  .post('/api/payments/webhook')
+  .set('Content-Type', 'application/json')
+  .set(WEBHOOK_SIGNATURE_HEADER, signature)
+  .send(rawBody);
+
+const methodsCalled = (provider) => provider.calls.map((call) => call.method);
+
+describe('payments', () => {
+  describe('POST /api/orders/:id/payments', () => {
+    test('keeps the payment authorized when the capture fails and captures it on the next attempt', async () => {
+      const { db, state } = createPaymentDb();
+      let captureFails = true;
+      const paymentProvider = createFakePaymentProvider();
+      const { capture } = paymentProvider;
+      paymentProvider.capture = async (args) => {
+        if (captureFails) {
+          paymentProvider.calls.push({ method: 'capture', args });
+          throw new Error('connect ETIMEDOUT');
+        }
+        return capture(args);
+      };
+      const { app } = createTestApp({ db, paymentProvider });
+
+      const failed = await request(app)
+        .post('/api/orders/5/payments')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ payment_token: 'tok_visa' });
+
+      expect(failed.status).toBe(502);
+      expect(failed.body.data).toMatchObject({ id: 11, status: 'authorized', provider_payment_id: 'pay_fake_1' });
+      expect(state.payment.status).toBe('authorized');
+
+      captureFails = false;
+      const retried = await request(app)
+        .post('/api/orders/5/payments')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ payment_token: 'tok_visa' });
+
+      expect(retried.status).toBe(201);
+      expect(retried.body.data).toMatchObject({ id: 11, status: 'capturing' });
+      expect(methodsCalled(paymentProvider)).toEqual(['authorize', 'capture', 'capture']);
+      expect(db.find(/INSERT INTO payments/)).toHaveLength(1);
+    });
+
+    test('captures an authorization once when it is paid for twice at the same time', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app, paymentProvider } = createTestApp({ db });
+      const pay = () => request(app)
+        .post('/api/orders/5/payments')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ payment_token: 'tok_visa' });
+
+      const responses = await Promise.all([pay(), pay()]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([201, 409]);
+      expect(methodsCalled(paymentProvider)).toEqual(['capture']);
+      expect(state.payment.status).toBe('capturing');
+    });
+
+    test('refuses to pay again once the payment is captured', async () => {
+      const { db } = createPaymentDb({ paymentStatus: 'captured' });
+      const { app, paymentProvider } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/orders/5/payments')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ payment_token: 'tok_visa' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Order already has a payment' });
+      expect(paymentProvider.calls).toEqual([]);
+    });
+  });
+
+  describe('cancelling a paid order', () => {
+    const cancel = (app) => request(app)
+      .patch('/api/orders/5/status')
+      .set('Authorization', bearer(USERS.staff))
+      .send({ status: 'cancelled' });
+
+    test('refunds a captured payment in full', async () => {
+      const { db } = createPaymentDb({ orderStatus: 'processing', paymentStatus: 'captured' });
+      const { app, paymentProvider } = createTestApp({ db });
+
+      const response = await cancel(app);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toMatchObject({ id: 21, amount: '70.32', status: 'pending' });
+      expect(paymentProvider.calls).toEqual([
+        { method: 'refund', args: { providerPaymentId: 'pay_fake_1', amount: 70.32, refundId: 21 } }
+      ]);
+    });
+
+    test('voids an authorization that was never captured', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app, paymentProvider } = createTestApp({ db });
+
+      const response = await cancel(app);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toBeNull();
+      expect(methodsCalled(paymentProvider)).toEqual(['voidAuthorization']);
+      expect(state.payment.status).toBe('voided');
+    });
+
+    test('still cancels when the provider cannot be reached', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'authorized' });
+      const paymentProvider = createFakePaymentProvider({
+        voidAuthorization: async () => { throw new Error('connect ETIMEDOUT'); }
+      });
+      const { app } = createTestApp({ db, paymentProvider });
+
+      const response = await cancel(app);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(response.body.refund).toBeNull();
+      expect(state.payment.status).toBe('authorized');
+    });
+
+    test('voids an authorization that completes after the order was cancelled', async () => {
+      const { db, state } = createPaymentDb();
+      const paymentProvider = createFakePaymentProvider();
+      const { authorize } = paymentProvider;
+      let cancelled;
+      // Staff cancel the order while the provider is authorizing the payment
+      paymentProvider.authorize = async (args) => {
+        cancelled = await cancel(app);
+        return authorize(args);
+      };
+      const { app } = createTestApp({ db, paymentProvider });
+
+      const response = await request(app)
+        .post('/api/orders/5/payments')
+        .set('Authorization', bearer(USERS.customer))
+        .send({ payment_token: 'tok_visa' });
+
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.refund).toBeNull();
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Order was cancelled while it was being paid' });
+      expect(methodsCalled(paymentProvider)).toEqual(['authorize', 'voidAuthorization']);
+      expect(state.payment.status).toBe('voided');
+    });
+
+    test('leaves a payment being captured to the webhook, which refunds it', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'capturing' });
+      const { app, paymentProvider } = createTestApp({ db });
+
+      const response = await cancel(app);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toBeNull();
+      expect(paymentProvider.calls).toEqual([]);
+      expect(state.payment.status).toBe('capturing');
+    });
+
+    test('leaves unpaid orders alone', async () => {
+      const { db } = createPaymentDb();
+      const { app, paymentProvider } = createTestApp({ db });
+
+      const response = await cancel(app);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toBeNull();
+      expect(paymentProvider.calls).toEqual([]);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    test('moves the order to processing when the capture is confirmed', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app } = createTestApp({ db, paymentProvider: createWebhookProvider() });
+
+      const response = await postWebhook(app, captureEvent());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ received: true });
+      expect(state.payment.status).toBe('captured');
+      expect(state.order.status).toBe('processing');
+    });
+
+    test('refunds a capture that arrives after the order was cancelled', async () => {
+      const { db, state } = createPaymentDb({ orderStatus: 'cancelled', paymentStatus: 'voided' });
+      const paymentProvider = createWebhookProvider();
+      const { app } = createTestApp({ db, paymentProvider });
+
+      const response = await postWebhook(app, captureEvent());
+
+      expect(response.status).toBe(200);
+      expect(state.order.status).toBe('cancelled');
+      expect(state.payment.status).toBe('captured');
+      expect(paymentProvider.calls).toEqual([
+        { method: 'refund', args: { providerPaymentId: 'pay_fake_1', amount: 70.32, refundId: 21 } }
+      ]);
+    });
+
+    test('acknowledges a redelivered event without applying it again', async () => {
+      const { db } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app } = createTestApp({ db, paymentProvider: createWebhookProvider() });
+
+      await postWebhook(app, captureEvent());
+      const response = await postWebhook(app, captureEvent());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ received: true, duplicate: true });
+      expect(db.find(/UPDATE payments SET status = 'captured'/)).toHaveLength(1);
+    });
+
+    test('acknowledges event types it does not act on', async () => {
+      const { db, state } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app } = createTestApp({ db, paymentProvider: createWebhookProvider() });
+      const rawBody = JSON.stringify({ id: 'evt_2', type: 'payment.disputed', data: { payment_id: 'pay_fake_1' } });
+
+      const response = await postWebhook(app, rawBody);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ received: true });
+      expect(state.payment.status).toBe('authorized');
+      expect(state.order.status).toBe('pending');
+    });
+
+    test('rejects a body changed after signing', async () => {
+      const { db } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app } = createTestApp({ db, paymentProvider: createWebhookProvider() });
+
+      const response = await postWebhook(app, captureEvent(), signWebhook(SECRET, captureEvent('evt_other')));
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid webhook signature' });
+      expect(db.find(/INSERT INTO payment_events/)).toHaveLength(0);
+    });
+
+    test('rejects a replayed event whose signature has expired', async () => {
+      const { db } = createPaymentDb({ paymentStatus: 'authorized' });
+      const { app } = createTestApp({ db, paymentProvider: createWebhookProvider() });
+      const rawBody = captureEvent();
+
+      const response = await postWebhook(app, rawBody, signWebhook(SECRET, rawBody, Math.floor(Date.now() / 1000) - 3600));
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Webhook signature has expired' });
+      expect(db.find(/INSERT INTO payment_events/)).toHaveLength(0);
+    });
+  });
+});
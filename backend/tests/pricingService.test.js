@@ -0,0 +1,135 @@
+const { priceOrder, refundAmountFor, taxRateFor } = require('../services/pricingService');
+
+// Defaults from config.js: flat $5.99 shipping, free from a $100 discounted
+// subtotal, and US-CA taxed at 7.25%
+const CALIFORNIA = { country: 'US', region: 'CA' };
+
+const line = (price, quantity, extra = {}) => ({
+  productId: 1, variantId: null, categoryId: 1, name: 'Item', price, quantity, weight: 0, ...extra
+});
+
+describe('pricingService', () => {
+  describe('priceOrder', () => {
+    test.each([
+      {
+        name: 'rounds line totals and tax to whole cents',
+        lines: [line('19.99', 3)],
+        shippingAddress: CALIFORNIA,
+        // 59.97 * 7.25% = 4.3478...
+        expected: { subtotal: 59.97, discount_amount: 0, shipping_amount: 5.99, tax_amount: 4.35, total_amount: 70.31 }
+      },
+      {
+        name: 'rounds half a cent of tax up',
+        lines: [line('2.00', 1)],
+        shippingAddress: { country: 'US', region: 'TX' },
+        // 2.00 * 6.25% = 0.125
+        expected: { subtotal: 2, tax_amount: 0.13, total_amount: 8.12 }
+      },
+      {
+        name: 'charges shipping just below the free shipping threshold',
+        lines: [line('99.99', 1)],
+        shippingAddress: null,
+        expected: { subtotal: 99.99, shipping_amount: 5.99, tax_rate: 0, tax_amount: 0, total_amount: 105.98 }
+      },
+      {
+        name: 'ships free from the free shipping threshold',
+        lines: [line('50.00', 2)],
+        shippingAddress: null,
+        expected: { subtotal: 100, shipping_amount: 0, total_amount: 100 }
+      },
+      {
+        name: 'charges shipping when a discount takes the subtotal below the threshold',
+        lines: [line('60.00', 2)],
+        discounts: [{ label: 'SAVE30', type: 'fixed', value: 30 }],
+        shippingAddress: null,
+        expected: { subtotal: 120, discount_amount: 30, shipping_amount: 5.99, total_amount: 95.99 }
+      },
+      {
+        name: 'taxes the subtotal after a percentage discount, not the shipping',
+        lines: [line('40.00', 2)],
+        discounts: [{ label: 'TEN', type: 'percentage', value: 10 }],
+        shippingAddress: CALIFORNIA,
+        // (80 - 8) * 7.25% = 5.22
+        expected: { subtotal: 80, discount_amount: 8, shipping_amount: 5.99, tax_amount: 5.22, total_amount: 83.21 }
+      },
+      {
+        name: 'limits a scoped discount to the lines it applies to',
+        lines: [line('30.00', 1, { productId: 1 }), line('70.00', 1, { productId: 2 })],
+        discounts: [{ label: 'MICE', type: 'fixed', value: 50, appliesTo: (orderLine) => orderLine.productId === 1 }],
+        shippingAddress: null,
+        expected: { subtotal: 100, discount_amount: 30, shipping_amount: 5.99, total_amount: 75.99 }
+      },
+      {
+        name: 'never discounts more than the subtotal',
+        lines: [line('15.00', 1)],
+        discounts: [
+          { label: 'BIG', type: 'fixed', value: 10 },
+          { label: 'BIGGER', type: 'fixed', value: 10 }
+        ],
+        shippingAddress: CALIFORNIA,
+        expected: { discount_amount: 15, tax_amount: 0, total_amount: 5.99 }
+      }
+    ])('$name', ({ lines, discounts = [], shippingAddress, expected }) => {
+      expect(priceOrder({ lines, discounts, shippingAddress })).toMatchObject(expected);
+    });
+
+    test('lists each discount with the amount it took off', () => {
+      const pricing = priceOrder({
+        lines: [line('15.00', 1)],
+        discounts: [
+          { label: 'BIG', type: 'fixed', value: 10 },
+          { label: 'BIGGER', type: 'fixed', value: 10 }
+        ]
+      });
+
+      expect(pricing.discounts).toEqual([{ label: 'BIG', amount: 10 }, { label: 'BIGGER', amount: 5 }]);
+    });
+  });
+
+  describe('taxRateFor', () => {
+    test.each([
+      [CALIFORNIA, 0.0725],
+      [{ country: 'us', region: ' ca ' }, 0.0725],
+      [{ country: 'GB', region: 'London' }, 0.2],
+      [{ country: 'US', region: 'OR' }, 0],
+      [{ country: 'JP' }, 0],
+      [null, 0]
+    ])('%j is taxed at %d', (address, rate) => {
+      expect(taxRateFor(address)).toBe(rate);
+    });
+  });
+
+  describe('refundAmountFor', () => {
+    // 2 x 40.00 + 1 x 20.00 with 10% off and 7.25% tax
+    const order = { subtotal: '100.00', discount_amount: '10.00', tax_rate: '0.0725' };
+
+    test.each([
+      { name: 'refunds a whole line after its share of the discount, with tax', returned: [{ price: '40.00', quantity: 2 }], expected: 77.22 },
+      { name: 'refunds part of a line proportionally', returned: [{ price: '40.00', quantity: 1 }], expected: 38.61 },
+      { name: 'refunds several lines together', returned: [{ price: '40.00', quantity: 1 }, { price: '20.00', quantity: 1 }], expected: 57.92 },
+      { name: 'refunds everything but shipping for the whole order', returned: [{ price: '40.00', quantity: 2 }, { price: '20.00', quantity: 1 }], expected: 96.53 },
+      { name: 'refunds nothing for nothing', returned: [], expected: 0 }
+    ])('$name', ({ returned, expected }) => {
+      expect(refundAmountFor(order, returned)).toBe(expected);
+    });
+
+    test('refunds nothing for free orders', () => {
+      expect(refundAmountFor({ subtotal: '0.00', discount_amount: '0.00', tax_rate: '0' }, [{ price: '0.00', quantity: 1 }])).toBe(0);
+    });
+
+    test('refunds units returned one at a time like units returned together', () => {
+      const oneByOne = [1, 2, 3].map(() => refundAmountFor(
+        { subtotal: '30.00', discount_amount: '10.00', tax_rate: '0.0725' },
+        [{ price: '10.00', quantity: 1 }]
+      ));
+      const atOnce = refundAmountFor(
+        { subtotal: '30.00', discount_amount: '10.00', tax_rate: '0.0725' },
+        [{ price: '10.00', quantity: 3 }]
+      );
+
+      // 10.00 less a third of the discount is 6.67, plus 0.48 tax
+      expect(oneByOne).toEqual([7.15, 7.15, 7.15]);
+      expect(atOnce).toBe(21.45);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const request = require('supertest');
+const { USERS, bearer, createFakeDb, createTestApp } = require('./helpers');
+
+const newProduct = { sku: 'ACC-CABLE-USBC', name: 'USB-C Cable', price: 9.99, category_id: 1, stock: 5 };
+
+describe('products', () => {
+  describe('POST /api/products', () => {
+    test('creates a product with its SKU', async () => {
+      const db = createFakeDb([
+        [/INSERT INTO products/, ([sku, name]) => ({ rows: [{ id: 16, sku, name }] })]
+      ]);
+      const { app } = createTestApp({ db });
+
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', bearer(USERS.admin))
+        .send(newProduct);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ id: 16, sku: 'ACC-CABLE-USBC', name: 'USB-C Cable' });
+    });
+
+    test('requires a SKU, so that exports can be imported back', async () => {
+      const { app, db } = createTestApp();
+
+      const { sku: omitted, ...withoutSku } = newProduct;
+      for (const body of [withoutSku, { ...newProduct, sku: '' }, { ...newProduct, sku: null }]) {
+        const response = await request(app)
+          .post('/api/products')
+          .set('Authorization', bearer(USERS.admin))
+          .send(body);
+
+        expect(response.status).toBe(400);
+        expect(response.body.details.map((detail) => detail.field)).toEqual(['sku']);
+      }
+      expect(db.find(/INSERT INTO products/)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const { Pool } = require('pg');
+const { migrate } = require('../db/migrate');
+const { createApp } = require('../app');
+const { USERS, bearer, createFakeDb, createFakeCache, createFakePaymentProvider, createTestApp } = require('./helpers');
+
+describe('returns', () => {
+  // Return 3 of order 1 (delivered, paid 307.00) asks for one $100 keyboard back
+  const createReviewDb = () => createFakeDb([
+    [/FROM orders o WHERE o.id = \$1 FOR UPDATE/, {
+      rows: [{ id: 1, user_id: USERS.customer.id, status: 'delivered', subtotal: '300.00', discount_amount: '30.00', shipping_amount: '10.00', tax_rate: '0.1000', total_amount: '307.00' }]
+    }],
+    [/SELECT status FROM returns WHERE id = \$1 AND order_id = \$2 FOR UPDATE/, { rows: [{ status: 'requested' }] }],
+    [/SELECT ri.quantity, oi.price FROM return_items/, { rows: [{ quantity: 1, price: '100.00' }] }],
+    [/SELECT COALESCE\(SUM\(refund_amount\), 0\) AS refunded FROM returns/, { rows: [{ refunded: '0' }] }],
+    [/^UPDATE products p SET stock/, { rows: [{ product_id: 1 }] }],
+    [/FROM payments WHERE order_id = \$1 AND status = 'captured'/, {
+      rows: [{ id: 1, order_id: 1, provider_payment_id: 'pay_fake_1', status: 'captured', amount: '307.00' }]
+    }],
+    [/SELECT COALESCE\(SUM\(amount\), 0\) AS refunded FROM refunds/, { rows: [{ refunded: '0' }] }],
+    [/INSERT INTO refunds/, ([paymentId, returnId, amount]) => ({ rows: [{ id: 5, payment_id: paymentId, return_id: returnId, amount }] })],
+    [/FROM returns r/, { rows: [{ id: 3, order_id: 1, status: 'approved', restocked: true, refund_amount: '99.00' }] }]
+  ]);
+
+  test('still approves and refunds when Redis fails after the commit', async () => {
+    const { app, db, paymentProvider } = createTestApp({ db: createReviewDb(), cache: createFakeCache({ failing: true }) });
+
+    const response = await request(app)
+      .patch('/api/orders/1/returns/3')
+      .set('Authorization', bearer(USERS.staff))
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'approved', refund_amount: '99.00' });
+    expect(db.find(/^UPDATE returns SET status/)[0].params).toEqual(['approved', null, USERS.staff.id, true, 99, 3]);
+    expect(paymentProvider.calls).toEqual([
+      { method: 'refund', args: { providerPaymentId: 'pay_fake_1', amount: 99, refundId: 5 } }
+    ]);
+  });
+});
+
+// Runs returns against a real PostgreSQL database, so that restocking goes
+// through the variant stock trigger. TEST_DATABASE_URL must point at a scratch
+// database: its public schema is dropped before the tests.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('returns in PostgreSQL', () => {
+  let pool;
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    await migrate(pool, { log: () => {} });
+  });
+
+  // Order 1 (delivered, paid 307.00): two $100 keyboards and two $50 shirts in
+  // size M, with 10% off, 10% tax and $10 shipping. Each keyboard refunds 99.00
+  // and each shirt 49.50. Order 2 (delivered, paid 25.00): three $10 cables
+  // with $10 off, no tax and $5 shipping, so a cable is worth 6.666...
+  beforeEach(async () => {
+    await pool.query('TRUNCATE users, categories, products, customers, orders RESTART IDENTITY CASCADE');
+    const users = Object.values(USERS);
+    await pool.query(
+      `INSERT INTO users (id, name, email, password_hash, role)
+       SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::text[])`,
+      [users.map((user) => user.id), users.map((user) => user.name), users.map((user) => user.email),
+        users.map(() => 'not-a-real-hash'), users.map((user) => user.role)]
+    );
+    await pool.query(`
+      INSERT INTO categories (id, name, slug) VALUES (1, 'Accessories', 'accessories');
+      INSERT INTO products (id, sku, name, price, category_id, stock) VALUES
+        (1, 'KEYBOARD', 'Keyboard', 100, 1, 10),
+        (2, 'SHIRT', 'Shirt', 50, 1, 0),
+        (3, 'CABLE', 'Cable', 10, 1, 10);
+      INSERT INTO product_variants (id, product_id, sku, attributes, stock) VALUES
+        (1, 2, 'SHIRT-M', '{"size": "M"}', 3),
+        (2, 2, 'SHIRT-L', '{"size": "L"}', 2);
+      INSERT INTO customers (id, user_id, name, email) VALUES (1, 3, 'Cleo Customer', 'cleo@example.com');
+      INSERT INTO orders (id, user_id, customer_id, customer_name, customer_email, subtotal, discount_amount,
+                          shipping_amount, tax_rate, tax_amount, total_amount, status) VALUES
+        (1, 3, 1, 'Cleo Customer', 'cleo@example.com', 300, 30, 10, 0.1, 27, 307, 'delivered'),
+        (2, 3, 1, 'Cleo Customer', 'cleo@example.com', 30, 10, 5, 0, 0, 25, 'delivered');
+      INSERT INTO order_items (id, order_id, product_id, variant_id, quantity, price) VALUES
+        (1, 1, 1, NULL, 2, 100),
+        (2, 1, 2, 1, 2, 50),
+        (3, 2, 3, NULL, 3, 10);
+      INSERT INTO payments (id, order_id, provider, provider_payment_id, status, amount, currency) VALUES
+        (1, 1, 'fake', 'pay_fake_1', 'captured', 307, 'USD'),
+        (2, 2, 'fake', 'pay_fake_2', 'captured', 25, 'USD');
+    `);
+  });
+
+  afterAll(() => pool.end());
+
+  const stockOf = async (table, id) => {
+    const result = await pool.query(`SELECT stock FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0].stock;
+  };
+
+  const requestReturn = (app, orderId, items) => request(app)
+    .post(`/api/orders/${orderId}/returns`)
+    .set('Authorization', bearer(USERS.customer))
+    .send({ reason: 'Not what I expected', items });
+
+  const reviewReturn = (app, orderId, returnId, body = { status: 'approved' }) => request(app)
+    .patch(`/api/orders/${orderId}/returns/${returnId}`)
+    .set('Authorization', bearer(USERS.staff))
+    .send(body);
+
+  // Request a return and approve it; returns the approval response
+  const returnAndApprove = async (app, orderId, items, review) => {
+    const requested = await requestReturn(app, orderId, items);
+    expect(requested.status).toBe(201);
+    return reviewReturn(app, orderId, requested.body.data.id, review);
+  };
+
+  const createReturnApp = ({ cache = createFakeCache() } = {}) => {
+    const paymentProvider = createFakePaymentProvider();
+    return { app: createApp({ db: pool, cache, paymentProvider }), paymentProvider };
+  };
+
+  test('approving restocks the units and refunds them with their discount and tax', async () => {
+    const { app, paymentProvider } = createReturnApp();
+
+    const response = await returnAndApprove(app, 1, [{ order_item_id: 1, quantity: 1 }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      status: 'approved',
+      restocked: true,
+      refund_amount: '99.00',
+      reviewed_by: USERS.staff.id,
+      refund: { status: 'pending', amount: 99 }
+    });
+    expect(await stockOf('products', 1)).toBe(11);
+    expect(paymentProvider.calls).toEqual([
+      { method: 'refund', args: { providerPaymentId: 'pay_fake_1', amount: 99, refundId: response.body.data.refund.id } }
+    ]);
+  });
+
+  test('restocks variants, and their product through the stock trigger', async () => {
+    const { app } = createReturnApp();
+    expect(await stockOf('products', 2)).toBe(5);
+
+    const response = await returnAndApprove(app, 1, [{ order_item_id: 2, quantity: 2 }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.refund_amount).toBe('99.00');
+    expect(await stockOf('product_variants', 1)).toBe(5);
+    expect(await stockOf('product_variants', 2)).toBe(2);
+    expect(await stockOf('products', 2)).toBe(7);
+  });
+
+  test('refunds without restocking when restock is false', async () => {
+    const { app } = createReturnApp();
+
+    const response = await returnAndApprove(
+      app, 1, [{ order_item_id: 1, quantity: 1 }, { order_item_id: 2, quantity: 1 }],
+      { status: 'approved', restock: false, note: 'Arrived damaged' }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ restocked: false, refund_amount: '148.50', review_note: 'Arrived damaged' });
+    expect(await stockOf('products', 1)).toBe(10);
+    expect(await stockOf('product_variants', 1)).toBe(3);
+  });
+
+  test('lets a line be returned in parts until all of its units are', async () => {
+    const { app } = createReturnApp();
+
+    expect((await returnAndApprove(app, 1, [{ order_item_id: 1, quantity: 1 }])).status).toBe(200);
+    const tooMany = await requestReturn(app, 1, [{ order_item_id: 1, quantity: 2 }]);
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.details).toEqual([{ field: 'items[0].quantity', message: 'Only 1 of this item can be returned' }]);
+
+    expect((await returnAndApprove(app, 1, [{ order_item_id: 1, quantity: 1 }])).status).toBe(200);
+    const none = await requestReturn(app, 1, [{ order_item_id: 1, quantity: 1 }]);
+    expect(none.status).toBe(400);
+    expect(none.body.details).toEqual([{ field: 'items[0].quantity', message: 'All units of this item are already being returned' }]);
+
+    expect(await stockOf('products', 1)).toBe(12);
+  });
+
+  test('frees the units of a rejected return and leaves stock alone', async () => {
+    const { app, paymentProvider } = createReturnApp();
+
+    const rejected = await returnAndApprove(app, 1, [{ order_item_id: 1, quantity: 2 }], { status: 'rejected' });
+
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data).toMatchObject({ status: 'rejected', restocked: false, refund_amount: null, refund: null });
+    expect(await stockOf('products', 1)).toBe(10);
+    expect(paymentProvider.calls).toEqual([]);
+    expect((await requestReturn(app, 1, [{ order_item_id: 1, quantity: 2 }])).status).toBe(201);
+  });
+
+  test('caps repeated refunds on a line at what was paid for its goods', async () => {
+    const { app } = createReturnApp();
+
+    const refunds = [];
+    for (let i = 0; i < 3; i += 1) {
+      const response = await returnAndApprove(app, 2, [{ order_item_id: 3, quantity: 1 }]);
+      expect(response.status).toBe(200);
+      refunds.push(response.body.data.refund_amount);
+    }
+
+    // Each cable rounds up to 6.67, but the three only cost 20.00 after the discount
+    expect(refunds).toEqual(['6.67', '6.67', '6.66']);
+    const refunded = await pool.query('SELECT SUM(amount) AS total FROM refunds WHERE payment_id = 2');
+    expect(refunded.rows[0].total).toBe('20.00');
+    expect(await stockOf('products', 3)).toBe(13);
+  });
+
+  test('refuses to review a return twice', async () => {
+    const { app, paymentProvider } = createReturnApp();
+    const approved = await returnAndApprove(app, 1, [{ order_item_id: 1, quantity: 1 }]);
+
+    const response = await reviewReturn(app, 1, approved.body.data.id);
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Return is already approved' });
+    expect(await stockOf('products', 1)).toBe(11);
+    expect(paymentProvider.calls).toHaveLength(1);
+  });
+
+  test('still approves and refunds when Redis fails after the commit', async () => {
+    const { app, paymentProvider } = createReturnApp({ cache: createFakeCache({ failing: true }) });
+
+    const response = await returnAndApprove(app, 1, [{ order_item_id: 2, quantity: 1 }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'approved', refund_amount: '49.50' });
+    expect(await stockOf('product_variants', 1)).toBe(4);
+    expect(paymentProvider.calls.map((call) => call.method)).toEqual(['refund']);
+  });
+});
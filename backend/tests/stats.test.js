@@ -0,0 +1,99 @@
+const { Pool } = require('pg');
+const { migrate } = require('../db/migrate');
+const { createStatsService } = require('../services/statsService');
+
+// Runs the statistics queries against a real PostgreSQL database.
+// TEST_DATABASE_URL must point at a scratch database: its public schema is
+// dropped before the tests.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('stats', () => {
+  let pool;
+  let statsService;
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    await migrate(pool, { log: () => {} });
+    statsService = createStatsService({ db: pool });
+
+    // Order 1: a $100 keyboard and two $50 mice with 10% off and 10% tax, paid,
+    // with one mouse returned and refunded. Order 2: a keyboard, cancelled.
+    await pool.query(`
+      INSERT INTO categories (id, name, slug) VALUES (1, 'Accessories', 'accessories');
+      INSERT INTO products (id, sku, name, price, category_id, stock) VALUES
+        (1, 'KEYBOARD', 'Keyboard', 100, 1, 10),
+        (2, 'MOUSE', 'Mouse', 50, 1, 10);
+      INSERT INTO customers (id, name, email) VALUES (1, 'Cleo Customer', 'cleo@example.com');
+      INSERT INTO orders (id, customer_id, customer_name, customer_email, subtotal, discount_amount,
+                          shipping_amount, tax_rate, tax_amount, total_amount, status, created_at) VALUES
+        (1, 1, 'Cleo Customer', 'cleo@example.com', 200, 20, 0, 0.1, 18, 198, 'delivered', '2026-03-02 10:00'),
+        (2, 1, 'Cleo Customer', 'cleo@example.com', 100, 0, 0, 0.1, 10, 110, 'cancelled', '2026-03-03 10:00');
+      INSERT INTO order_items (id, order_id, product_id, quantity, price) VALUES
+        (1, 1, 1, 1, 100),
+        (2, 1, 2, 2, 50),
+        (3, 2, 1, 1, 100);
+      INSERT INTO payments (id, order_id, provider, status, amount, refunded_amount, currency) VALUES
+        (1, 1, 'mock', 'captured', 198, 49.50, 'USD');
+      INSERT INTO returns (id, order_id, status, reason, refund_amount) VALUES
+        (1, 1, 'approved', 'Too many mice', 49.50);
+      INSERT INTO return_items (return_id, order_item_id, quantity) VALUES (1, 2, 1);
+      INSERT INTO refunds (payment_id, return_id, status, amount) VALUES (1, 1, 'succeeded', 49.50);
+    `);
+  });
+
+  afterAll(() => pool.end());
+
+  test('counts revenue as order totals less refunds, without cancelled orders', async () => {
+    const stats = await statsService.getStats({ top_limit: 5, low_stock_threshold: 5 });
+
+    expect(stats.total_orders).toBe(2);
+    expect(stats.total_revenue).toBe('148.50');
+    expect(stats.average_order_value).toBe('148.50');
+  });
+
+  test('counts product sales after discounts and returns', async () => {
+    const stats = await statsService.getStats({ top_limit: 5, low_stock_threshold: 5 });
+
+    expect(stats.top_products).toEqual([
+      { product_id: 1, name: 'Keyboard', sku: 'KEYBOARD', units_sold: 1, revenue: '90.00' },
+      { product_id: 2, name: 'Mouse', sku: 'MOUSE', units_sold: 1, revenue: '45.00' }
+    ]);
+    expect(stats.revenue_by_category).toEqual([
+      { category_id: 1, parent_id: null, name: 'Accessories', slug: 'accessories', units_sold: 2, revenue: '135.00' }
+    ]);
+  });
+
+  test('reports sales net of refunds per bucket', async () => {
+    const sales = await statsService.getSales({ interval: 'day', from: '2026-03-02', to: '2026-03-03' });
+
+    expect(sales.buckets).toEqual([
+      { period_start: '2026-03-02', orders: 1, cancelled_orders: 0, revenue: '148.50' },
+      { period_start: '2026-03-03', orders: 1, cancelled_orders: 1, revenue: '0' }
+    ]);
+    expect(sales.totals.revenue).toBe('148.50');
+  });
+
+  test('counts refunds of returns on orders not paid online', async () => {
+    // Order 3: two $50 mice with 10% tax, paid at the counter, with one mouse
+    // returned and refunded by staff
+    await pool.query(`
+      INSERT INTO orders (id, customer_id, customer_name, customer_email, subtotal, discount_amount,
+                          shipping_amount, tax_rate, tax_amount, total_amount, status, created_at) VALUES
+        (3, 1, 'Cleo Customer', 'cleo@example.com', 100, 0, 0, 0.1, 10, 110, 'delivered', '2026-03-04 10:00');
+      INSERT INTO order_items (id, order_id, product_id, quantity, price) VALUES (4, 3, 2, 2, 50);
+      INSERT INTO returns (id, order_id, status, reason, refund_amount) VALUES (2, 3, 'approved', 'Too many mice', 55);
+      INSERT INTO return_items (return_id, order_item_id, quantity) VALUES (2, 4, 1);
+    `);
+
+    try {
+      const stats = await statsService.getStats({ from: '2026-03-04', to: '2026-03-04', top_limit: 5, low_stock_threshold: 5 });
+      expect(stats.total_revenue).toBe('55.00');
+
+      const sales = await statsService.getSales({ interval: 'day', from: '2026-03-04', to: '2026-03-04' });
+      expect(sales.totals.revenue).toBe('55.00');
+    } finally {
+      await pool.query('DELETE FROM orders WHERE id = 3');
+    }
+  });
+});
@@ -1,29 +1,156 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './App.css';
 import ProductList from './components/ProductList';
 import OrderList from './components/OrderList';
 import CreateOrder from './components/CreateOrder';
 import Dashboard from './components/Dashboard';
+import Login from './components/Login';
+import CartDrawer from './components/CartDrawer';
+import ProductManager from './components/ProductManager';
+import CustomerList from './components/CustomerList';
+import {
+  apiFetch,
+  getAuthToken,
+  setAuthToken,
+  onUnauthorized,
+  generateIdempotencyKey,
+} from './api';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+const DEFAULT_PRODUCT_QUERY = {
+  page: 1,
+  limit: 12,
+  category: '',
+  min_price: '',
+  max_price: '',
+  in_stock: false,
+  sort: 'created_at',
+  order: 'desc',
+};
+
+// Attempts made when placing an order fails with a network error
+const MAX_ORDER_ATTEMPTS = 3;
+
+// Collect per-field messages from a validation error response
+const toFieldErrors = (errorData) => {
+  const fieldErrors = {};
+  (errorData.details || []).forEach(({ field, message }) => {
+    fieldErrors[field] = message;
+  });
+  return fieldErrors;
+};
+
+// Retry a request on network errors only; HTTP error responses are returned
+const fetchWithRetry = async (send) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await send();
+    } catch (networkError) {
+      if (attempt >= MAX_ORDER_ATTEMPTS) throw networkError;
+      await new Promise((resolve) => setTimeout(resolve, 500 * attempt));
+    }
+  }
+};
+
+// Roles that manage orders and see store-wide statistics
+const STAFF_ROLES = ['admin', 'staff'];
+
+// Turn a product query into URL parameters, leaving out unset filters
+const toProductParams = (query) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== '' && value !== false && value !== null) {
+      params.append(key, value);
+    }
+  });
+  return params.toString();
+};
+
+// Map an order error response onto form fields such as "items[0].quantity"
+const toOrderFieldErrors = (orderData, status, errorData) => {
+  const fieldErrors = toFieldErrors(errorData);
+
+  // 400, 404 and 409 responses identify lines by product or variant, not by position
+  orderData.items.forEach((item, index) => {
+    const variantId = item.variant_id || null;
+    if ((errorData.product_ids || []).includes(item.product_id)) {
+      if (status === 400) {
+        fieldErrors[`items[${index}].variant_id`] = 'Select an option';
+      } else {
+        fieldErrors[`items[${index}].product_id`] = 'This product is no longer available';
+      }
+    }
+    if (variantId && (errorData.variant_ids || []).includes(variantId)) {
+      fieldErrors[`items[${index}].variant_id`] = 'This option is no longer available';
+    }
+    const shortage = (errorData.items || []).find(
+      (line) => line.product_id === item.product_id && (line.variant_id || null) === variantId
+    );
+    if (shortage) {
+      fieldErrors[`items[${index}].quantity`] = `Only ${shortage.available} in stock`;
+    }
+  });
+
+  return fieldErrors;
+};
 
 function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [activeTab, setActiveTab] = useState('products');
   const [products, setProducts] = useState([]);
+  const [productQuery, setProductQuery] = useState(DEFAULT_PRODUCT_QUERY);
+  const [productPagination, setProductPagination] = useState(null);
+  const [categories, setCategories] = useState([]);
   const [orders, setOrders] = useState([]);
   const [stats, setStats] = useState(null);
+  const [cart, setCart] = useState(null);
+  const [cartOpen, setCartOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Fetch products
-  const fetchProducts = async () => {
+  // Log in or register, returning an error message on failure
+  const authenticate = async (path, credentials) => {
+    try {
+      const response = await apiFetch(path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return data.error || 'Authentication failed';
+      }
+
+      setAuthToken(data.data.token);
+      setUser(data.data.user);
+      return null;
+    } catch (err) {
+      console.error('Error authenticating:', err);
+      return 'Unable to reach the server';
+    }
+  };
+
+  const logout = () => {
+    setAuthToken(null);
+    setUser(null);
+    setCart(null);
+    setCartOpen(false);
+    setActiveTab('products');
+  };
+
+  // Fetch one page of products for the current catalog query
+  const fetchProducts = async (query) => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/products`);
+      const response = await apiFetch(`/api/products?${toProductParams(query)}`);
       if (!response.ok) throw new Error('Failed to fetch products');
       const data = await response.json();
       setProducts(data.data);
+      setProductPagination(data.pagination);
     } catch (err) {
       setError(err.message);
       console.error('Error fetching products:', err);
@@ -32,12 +159,45 @@ function App() {
     }
   };
 
+  // Apply filter, sort or page changes to the catalog query
+  const changeProductQuery = (changes) => {
+    const nextQuery = { ...productQuery, ...changes };
+    setProductQuery(nextQuery);
+    fetchProducts(nextQuery);
+  };
+
+  // Fetch the category tree for the catalog sidebar and the product form
+  const fetchCategories = async () => {
+    try {
+      const response = await apiFetch('/api/categories');
+      if (!response.ok) throw new Error('Failed to fetch categories');
+      const data = await response.json();
+      setCategories(data.data);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  // Full-text product search; resolves to an empty list on failure
+  const searchProducts = useCallback(async (term, { inStock = false, limit = 10 } = {}) => {
+    try {
+      const params = toProductParams({ q: term, in_stock: inStock, limit });
+      const response = await apiFetch(`/api/products/search?${params}`);
+      if (!response.ok) throw new Error('Failed to search products');
+      const data = await response.json();
+      return data.data;
+    } catch (err) {
+      console.error('Error searching products:', err);
+      return [];
+    }
+  }, []);
+
   // Fetch orders
   const fetchOrders = async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/orders`);
+      const response = await apiFetch('/api/orders');
       if (!response.ok) throw new Error('Failed to fetch orders');
       const data = await response.json();
       setOrders(data.data);
@@ -49,10 +209,23 @@ function App() {
     }
   };
 
+  // Fetch the status timeline of an order; resolves to an empty list on failure
+  const fetchOrderHistory = useCallback(async (orderId) => {
+    try {
+      const response = await apiFetch(`/api/orders/${orderId}/history`);
+      if (!response.ok) throw new Error('Failed to fetch order history');
+      const data = await response.json();
+      return data.data;
+    } catch (err) {
+      console.error('Error fetching order history:', err);
+      return [];
+    }
+  }, []);
+
   // Fetch statistics
   const fetchStats = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/stats`);
+      const response = await apiFetch('/api/stats');
       if (!response.ok) throw new Error('Failed to fetch stats');
       const data = await response.json();
       setStats(data.data);
@@ -61,10 +234,35 @@ function App() {
     }
   };
 
+  // Fetch revenue and order counts per day, week or month; resolves to null on failure
+  const fetchSales = useCallback(async (interval) => {
+    try {
+      const response = await apiFetch(`/api/analytics/sales?interval=${interval}`);
+      if (!response.ok) throw new Error('Failed to fetch sales');
+      const data = await response.json();
+      return data.data;
+    } catch (err) {
+      console.error('Error fetching sales:', err);
+      return null;
+    }
+  }, []);
+
+  // Fetch the API health report (also returned with a 503 when unhealthy);
+  // resolves to null when the API cannot be reached
+  const fetchHealth = useCallback(async () => {
+    try {
+      const response = await apiFetch('/health');
+      return await response.json();
+    } catch (err) {
+      console.error('Error fetching health:', err);
+      return null;
+    }
+  }, []);
+
   // Update order status
   const updateOrderStatus = async (orderId, newStatus) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/orders/${orderId}/status`, {
+      const response = await apiFetch(`/api/orders/${orderId}/status`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
@@ -72,125 +270,673 @@ function App() {
         body: JSON.stringify({ status: newStatus }),
       });
 
-      if (!response.ok) throw new Error('Failed to update order status');
-      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update order status');
+      }
+
       await fetchOrders();
-      await fetchStats();
+      // Cancelling puts the ordered units back in stock
+      if (newStatus === 'cancelled') await fetchProducts(productQuery);
+      if (isStaff) await fetchStats();
       return true;
     } catch (err) {
       console.error('Error updating order:', err);
-      alert('Failed to update order status');
+      alert(err.message);
       return false;
     }
   };
 
-  // Create new order
-  const createOrder = async (orderData) => {
+  // Change the shipping and billing addresses of an order that has not shipped,
+  // resolving to { ok } or { ok: false, error, fieldErrors }
+  const updateOrderAddresses = async (orderId, addresses) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/orders`, {
+      const response = await apiFetch(`/api/orders/${orderId}/addresses`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(addresses),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        return {
+          ok: false,
+          error: errorData.error || 'Failed to update addresses',
+          fieldErrors: toFieldErrors(errorData),
+        };
+      }
+
+      await fetchOrders();
+      return { ok: true };
+    } catch (err) {
+      console.error('Error updating order addresses:', err);
+      return { ok: false, error: 'Unable to reach the server', fieldErrors: {} };
+    }
+  };
+
+  // Download the invoice or packing slip PDF of an order, resolving to an
+  // error message or null
+  const downloadOrderDocument = async (orderId, documentName) => {
+    try {
+      const response = await apiFetch(`/api/orders/${orderId}/${documentName}.pdf`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to download ${documentName}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${documentName}-${orderId}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      // The first invoice download gives the order its invoice number
+      if (documentName === 'invoice') await fetchOrders();
+      return null;
+    } catch (err) {
+      console.error(`Error downloading ${documentName}:`, err);
+      return err.message;
+    }
+  };
+
+  // Fetch the returns of an order; resolves to an empty list on failure
+  const fetchOrderReturns = useCallback(async (orderId) => {
+    try {
+      const response = await apiFetch(`/api/orders/${orderId}/returns`);
+      if (!response.ok) throw new Error('Failed to fetch order returns');
+      const data = await response.json();
+      return data.data;
+    } catch (err) {
+      console.error('Error fetching order returns:', err);
+      return [];
+    }
+  }, []);
+
+  // Ask to return units of a delivered order, resolving to { ok, data } or
+  // { ok: false, error, fieldErrors }
+  const requestReturn = async (orderId, returnRequest) => {
+    try {
+      const response = await apiFetch(`/api/orders/${orderId}/returns`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(returnRequest),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          error: data.error || 'Failed to request return',
+          fieldErrors: toFieldErrors(data),
+        };
+      }
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error requesting return:', err);
+      return { ok: false, error: 'Unable to reach the server', fieldErrors: {} };
+    }
+  };
+
+  // Approve or reject a return, resolving to { ok, data } or { ok: false, error }
+  const reviewReturn = async (orderId, returnId, review) => {
+    try {
+      const response = await apiFetch(`/api/orders/${orderId}/returns/${returnId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(review),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return { ok: false, error: data.error || 'Failed to review return' };
+      }
+
+      // Approving can put the returned units back in stock
+      if (review.status === 'approved' && review.restock) await fetchProducts(productQuery);
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error reviewing return:', err);
+      return { ok: false, error: 'Unable to reach the server' };
+    }
+  };
+
+  // Price an order before placing it, resolving to { ok, data } or
+  // { ok: false, error, fieldErrors }
+  const quoteOrder = useCallback(async (quoteRequest) => {
+    try {
+      const response = await apiFetch('/api/orders/quote', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(orderData),
+        body: JSON.stringify(quoteRequest),
       });
+      const data = await response.json();
+
+      if (!response.ok) {
+        const shortage = data.items && data.items[0];
+        return {
+          ok: false,
+          error: shortage ? `Only ${shortage.available} of ${shortage.name} in stock` : data.error || 'Failed to price order',
+          fieldErrors: toFieldErrors(data),
+        };
+      }
+
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error quoting order:', err);
+      return { ok: false, error: 'Unable to reach the server', fieldErrors: {} };
+    }
+  }, []);
+
+  // Create new order. One idempotency key per submission lets network
+  // failures be retried without risking a duplicate order.
+  const createOrder = async (orderData) => {
+    const idempotencyKey = generateIdempotencyKey();
+    const sendOrder = () => apiFetch('/api/orders', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify(orderData),
+    });
+
+    try {
+      const response = await fetchWithRetry(sendOrder);
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to create order');
+        return {
+          ok: false,
+          error: errorData.error || 'Failed to create order',
+          fieldErrors: toOrderFieldErrors(orderData, response.status, errorData),
+        };
       }
 
       await fetchOrders();
-      await fetchProducts();
-      await fetchStats();
-      return true;
+      await fetchProducts(productQuery);
+      if (isStaff) await fetchStats();
+      return { ok: true };
     } catch (err) {
       console.error('Error creating order:', err);
-      alert(err.message);
-      return false;
+      return { ok: false, error: 'Could not reach the server. Please try again.', fieldErrors: {} };
     }
   };
 
-  // Initial load
+  // Fetch a page of active or archived products for the admin editor;
+  // resolves to null on failure
+  const fetchManagedProducts = useCallback(async ({ archived, page }) => {
+    try {
+      const path = archived
+        ? `/api/products/archived?page=${page}`
+        : `/api/products?${toProductParams({ page, sort: 'name', order: 'asc' })}`;
+      const response = await apiFetch(path);
+      if (!response.ok) throw new Error('Failed to fetch products');
+      return await response.json();
+    } catch (err) {
+      console.error('Error fetching managed products:', err);
+      return null;
+    }
+  }, []);
+
+  // Send an admin product change and refresh the catalog, resolving to
+  // { ok, data } or { ok: false, error, fieldErrors }
+  const changeProduct = async (path, method, body) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          error: data.error || 'Failed to save product',
+          fieldErrors: toFieldErrors(data),
+        };
+      }
+
+      await fetchProducts(productQuery);
+      await fetchCategories();
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error changing product:', err);
+      return { ok: false, error: 'Unable to reach the server', fieldErrors: {} };
+    }
+  };
+
+  const saveProduct = (product, productId) => (productId
+    ? changeProduct(`/api/products/${productId}`, 'PUT', product)
+    : changeProduct('/api/products', 'POST', product));
+
+  const adjustProductStock = (productId, adjustment) =>
+    changeProduct(`/api/products/${productId}/stock`, 'PATCH', { adjustment });
+
+  const archiveProduct = (productId) => changeProduct(`/api/products/${productId}`, 'DELETE');
+
+  const restoreProduct = (productId) => changeProduct(`/api/products/${productId}/restore`, 'POST');
+
+  // Download the catalog as a CSV or JSON file; returns an error message on failure
+  const exportProducts = async (format, includeArchived) => {
+    try {
+      const params = toProductParams({ format, include_archived: includeArchived });
+      const response = await apiFetch(`/api/products/export?${params}`);
+      if (!response.ok) throw new Error('Failed to export products');
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `products.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      return null;
+    } catch (err) {
+      console.error('Error exporting products:', err);
+      return err.message;
+    }
+  };
+
+  // Upload a CSV or JSON file for import, resolving to { ok, data } or
+  // { ok: false, error, details } with the per-row errors
+  const importProducts = async (file, dryRun) => {
+    try {
+      const isCsv = file.name.toLowerCase().endsWith('.csv');
+      const response = await apiFetch(`/api/products/import?${toProductParams({ dry_run: dryRun })}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': isCsv ? 'text/csv' : 'application/json',
+        },
+        body: await file.text(),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return { ok: false, error: data.error || 'Import failed', details: data.details || [] };
+      }
+
+      if (!dryRun) {
+        await fetchProducts(productQuery);
+        await fetchCategories();
+      }
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error importing products:', err);
+      return { ok: false, error: 'Unable to reach the server', details: [] };
+    }
+  };
+
+  // Fetch a page of customers matching a name or email; resolves to null on failure
+  const fetchCustomers = useCallback(async ({ q, page, limit = 20 }) => {
+    try {
+      const response = await apiFetch(`/api/customers?${toProductParams({ q, page, limit })}`);
+      if (!response.ok) throw new Error('Failed to fetch customers');
+      return await response.json();
+    } catch (err) {
+      console.error('Error fetching customers:', err);
+      return null;
+    }
+  }, []);
+
+  // Customer autocomplete for staff placing orders; resolves to an empty list on failure
+  const searchCustomers = useCallback(async (term) => {
+    const data = await fetchCustomers({ q: term, page: 1, limit: 8 });
+    return data ? data.data : [];
+  }, [fetchCustomers]);
+
+  // Fetch a customer with their order history as { customer, orders };
+  // resolves to null on failure
+  const fetchCustomer = useCallback(async (customerId) => {
+    try {
+      const [customerResponse, ordersResponse] = await Promise.all([
+        apiFetch(`/api/customers/${customerId}`),
+        apiFetch(`/api/customers/${customerId}/orders`),
+      ]);
+      if (!customerResponse.ok || !ordersResponse.ok) throw new Error('Failed to fetch customer');
+      const [customerData, ordersData] = await Promise.all([customerResponse.json(), ordersResponse.json()]);
+      return { customer: customerData.data, orders: ordersData.data };
+    } catch (err) {
+      console.error('Error fetching customer:', err);
+      return null;
+    }
+  }, []);
+
+  // Update a customer's contact details, resolving to { ok, data } or
+  // { ok: false, error, fieldErrors }. Orders show the customer's current details.
+  const saveCustomer = async (customerId, changes) => {
+    try {
+      const response = await apiFetch(`/api/customers/${customerId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          error: data.error || 'Failed to save customer',
+          fieldErrors: toFieldErrors(data),
+        };
+      }
+
+      await fetchOrders();
+      return { ok: true, data: data.data };
+    } catch (err) {
+      console.error('Error saving customer:', err);
+      return { ok: false, error: 'Unable to reach the server', fieldErrors: {} };
+    }
+  };
+
+  // Fetch the signed-in user's cart
+  const fetchCart = async () => {
+    try {
+      const response = await apiFetch('/api/cart');
+      if (!response.ok) throw new Error('Failed to fetch cart');
+      const data = await response.json();
+      setCart(data.data);
+    } catch (err) {
+      console.error('Error fetching cart:', err);
+    }
+  };
+
+  // Send a cart change and keep the returned cart, returning an error message on failure
+  const changeCart = async (path, method, body) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        const shortage = data.items && data.items[0];
+        return shortage
+          ? `Only ${shortage.available} of ${shortage.name} in stock`
+          : data.error || 'Failed to update cart';
+      }
+
+      setCart(data.data);
+      return null;
+    } catch (err) {
+      console.error('Error updating cart:', err);
+      return 'Unable to reach the server';
+    }
+  };
+
+  // Variant lines are addressed by product id plus ?variant_id=
+  const cartItemPath = (productId, variantId) =>
+    `/api/cart/items/${productId}${variantId ? `?variant_id=${variantId}` : ''}`;
+
+  const addToCart = (productId, variantId = null, quantity = 1) =>
+    changeCart('/api/cart/items', 'POST', { product_id: productId, variant_id: variantId, quantity });
+
+  const updateCartItem = (productId, variantId, quantity) =>
+    changeCart(cartItemPath(productId, variantId), 'PATCH', { quantity });
+
+  const removeCartItem = (productId, variantId) => changeCart(cartItemPath(productId, variantId), 'DELETE');
+
+  // Place an order from the cart, with the same retry rules as createOrder.
+  // Without a shipping address the order ships to the customer's saved one.
+  const checkoutCart = async (shippingAddress) => {
+    const idempotencyKey = generateIdempotencyKey();
+
+    try {
+      const response = await fetchWithRetry(() => apiFetch('/api/cart/checkout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: JSON.stringify(shippingAddress ? { shipping_address: shippingAddress } : {}),
+      }));
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        // Refresh so stock problems show up on the affected lines
+        await fetchCart();
+        // Addresses are only rejected here when there is none to ship to
+        if (errorData.details) return 'Enter a shipping address to check out';
+        return errorData.error || 'Checkout failed';
+      }
+
+      await fetchCart();
+      await fetchOrders();
+      await fetchProducts(productQuery);
+      setCartOpen(false);
+      setActiveTab('orders');
+      return null;
+    } catch (err) {
+      console.error('Error checking out:', err);
+      return 'Could not reach the server. Please try again.';
+    }
+  };
+
+  // Restore the session from a stored token and log out when it is rejected
   useEffect(() => {
-    fetchProducts();
-    fetchOrders();
-    fetchStats();
+    onUnauthorized(() => {
+      setAuthToken(null);
+      setUser(null);
+    });
+
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+
+    apiFetch('/api/auth/me')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data) setUser(data.data);
+      })
+      .catch((err) => console.error('Error restoring session:', err))
+      .finally(() => setAuthChecked(true));
   }, []);
 
+  const userId = user ? user.id : null;
+  const isStaff = user ? STAFF_ROLES.includes(user.role) : false;
+  const isAdmin = user ? user.role === 'admin' : false;
+
+  // Initial load once a user is signed in
+  useEffect(() => {
+    if (!userId) return;
+    fetchProducts(DEFAULT_PRODUCT_QUERY);
+    fetchCategories();
+    fetchOrders();
+    if (isStaff) fetchStats();
+    else fetchCart();
+  }, [userId, isStaff]);
+
+  if (!authChecked) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="app-header">
         <div className="header-content">
           <h1>🛍️ E-Commerce Platform</h1>
           <p className="subtitle">Product Catalog & Order Management System</p>
+          {user && (
+            <div className="user-bar">
+              <span>👤 {user.name} ({user.role})</span>
+              <button className="btn btn-secondary" onClick={logout}>
+                Log Out
+              </button>
+            </div>
+          )}
         </div>
       </header>
 
-      <nav className="tab-navigation">
-        <button
-          className={`tab-button ${activeTab === 'dashboard' ? 'active' : ''}`}
-          onClick={() => setActiveTab('dashboard')}
-        >
-          📊 Dashboard
-        </button>
-        <button
-          className={`tab-button ${activeTab === 'products' ? 'active' : ''}`}
-          onClick={() => setActiveTab('products')}
-        >
-          📦 Products
-        </button>
-        <button
-          className={`tab-button ${activeTab === 'orders' ? 'active' : ''}`}
-          onClick={() => setActiveTab('orders')}
-        >
-          📋 Orders
-        </button>
-        <button
-          className={`tab-button ${activeTab === 'create-order' ? 'active' : ''}`}
-          onClick={() => setActiveTab('create-order')}
-        >
-          ➕ Create Order
-        </button>
-      </nav>
-
-      <main className="main-content">
-        {error && (
-          <div className="error-banner">
-            ⚠️ Error: {error}
-            <button onClick={() => setError(null)}>✕</button>
-          </div>
-        )}
-
-        {activeTab === 'dashboard' && (
-          <Dashboard stats={stats} loading={loading} />
-        )}
-
-        {activeTab === 'products' && (
-          <ProductList
-            products={products}
-            loading={loading}
-            onRefresh={fetchProducts}
-          />
-        )}
-
-        {activeTab === 'orders' && (
-          <OrderList
-            orders={orders}
-            loading={loading}
-            onRefresh={fetchOrders}
-            onUpdateStatus={updateOrderStatus}
+      {!user ? (
+        <main className="main-content">
+          <Login
+            onLogin={(credentials) => authenticate('/api/auth/login', credentials)}
+            onRegister={(details) => authenticate('/api/auth/register', details)}
           />
-        )}
+        </main>
+      ) : (
+        <>
+          <nav className="tab-navigation">
+            {isStaff && (
+              <button
+                className={`tab-button ${activeTab === 'dashboard' ? 'active' : ''}`}
+                onClick={() => setActiveTab('dashboard')}
+              >
+                📊 Dashboard
+              </button>
+            )}
+            <button
+              className={`tab-button ${activeTab === 'products' ? 'active' : ''}`}
+              onClick={() => setActiveTab('products')}
+            >
+              📦 Products
+            </button>
+            {isAdmin && (
+              <button
+                className={`tab-button ${activeTab === 'manage-products' ? 'active' : ''}`}
+                onClick={() => setActiveTab('manage-products')}
+              >
+                🛠️ Manage Products
+              </button>
+            )}
+            <button
+              className={`tab-button ${activeTab === 'orders' ? 'active' : ''}`}
+              onClick={() => setActiveTab('orders')}
+            >
+              📋 Orders
+            </button>
+            {isStaff && (
+              <button
+                className={`tab-button ${activeTab === 'customers' ? 'active' : ''}`}
+                onClick={() => setActiveTab('customers')}
+              >
+                👥 Customers
+              </button>
+            )}
+            <button
+              className={`tab-button ${activeTab === 'create-order' ? 'active' : ''}`}
+              onClick={() => setActiveTab('create-order')}
+            >
+              ➕ Create Order
+            </button>
+          </nav>
 
-        {activeTab === 'create-order' && (
-          <CreateOrder
-            products={products}
-            onSubmit={createOrder}
-            onSuccess={() => setActiveTab('orders')}
-          />
-        )}
-      </main>
+          <main className="main-content">
+            {error && (
+              <div className="error-banner">
+                ⚠️ Error: {error}
+                <button onClick={() => setError(null)}>✕</button>
+              </div>
+            )}
+
+            {isStaff && activeTab === 'dashboard' && (
+              <Dashboard
+                stats={stats}
+                loading={loading}
+                onFetchSales={fetchSales}
+                onFetchHealth={fetchHealth}
+              />
+            )}
+
+            {activeTab === 'products' && (
+              <ProductList
+                products={products}
+                pagination={productPagination}
+                query={productQuery}
+                categories={categories}
+                loading={loading}
+                onQueryChange={changeProductQuery}
+                onSearch={searchProducts}
+                onRefresh={() => fetchProducts(productQuery)}
+                cartItemCount={cart ? cart.item_count : 0}
+                onAddToCart={isStaff ? null : addToCart}
+                onOpenCart={() => setCartOpen(true)}
+              />
+            )}
+
+            {isAdmin && activeTab === 'manage-products' && (
+              <ProductManager
+                categories={categories}
+                onFetchProducts={fetchManagedProducts}
+                onSave={saveProduct}
+                onAdjustStock={adjustProductStock}
+                onArchive={archiveProduct}
+                onRestore={restoreProduct}
+                onExport={exportProducts}
+                onImport={importProducts}
+              />
+            )}
+
+            {activeTab === 'orders' && (
+              <OrderList
+                orders={orders}
+                loading={loading}
+                onRefresh={fetchOrders}
+                onUpdateStatus={updateOrderStatus}
+                onUpdateAddresses={updateOrderAddresses}
+                onFetchHistory={fetchOrderHistory}
+                onFetchReturns={fetchOrderReturns}
+                onRequestReturn={requestReturn}
+                onReviewReturn={isStaff ? reviewReturn : null}
+                onDownloadDocument={downloadOrderDocument}
+                canUpdateStatus={isStaff}
+              />
+            )}
+
+            {isStaff && activeTab === 'customers' && (
+              <CustomerList
+                onFetchCustomers={fetchCustomers}
+                onFetchCustomer={fetchCustomer}
+                onSave={saveCustomer}
+              />
+            )}
+
+            {activeTab === 'create-order' && (
+              <CreateOrder
+                customer={isStaff ? null : user}
+                onSearchProducts={searchProducts}
+                onSearchCustomers={isStaff ? searchCustomers : null}
+                onQuote={quoteOrder}
+                onSubmit={createOrder}
+                onSuccess={() => setActiveTab('orders')}
+              />
+            )}
+          </main>
+
+          {!isStaff && (
+            <CartDrawer
+              open={cartOpen}
+              cart={cart}
+              onClose={() => setCartOpen(false)}
+              onUpdateItem={updateCartItem}
+              onRemoveItem={removeCartItem}
+              onCheckout={checkoutCart}
+            />
+          )}
+        </>
+      )}
 
       <footer className="app-footer">
         <p>E-Commerce Platform v1.0.0 | Built for DevOps Practice</p>
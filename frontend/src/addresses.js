@@ -0,0 +1,41 @@
+export const EMPTY_ADDRESS = {
+  name: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postal_code: '',
+  country: '',
+};
+
+// One line per address, e.g. "48 Oak Avenue, Apt 5, Austin, TX 73301, US"
+export const formatAddress = (address) => [
+  address.line1,
+  address.line2,
+  address.city,
+  [address.region, address.postal_code].filter(Boolean).join(' '),
+  address.country,
+].filter(Boolean).join(', ');
+
+// Form state for an address from the API, with every field as a string
+export const toAddressForm = (address) => {
+  const form = { ...EMPTY_ADDRESS };
+  Object.keys(EMPTY_ADDRESS).forEach((field) => {
+    if (address && address[field]) form[field] = address[field];
+  });
+  return form;
+};
+
+export const isAddressBlank = (address) => Object.values(address).every((value) => value.trim() === '');
+
+// Messages for the required fields of an address, keyed like API field errors
+// such as "shipping_address.line1"
+export const validateAddress = (address, prefix) => {
+  const errors = {};
+  if (!address.line1.trim()) errors[`${prefix}.line1`] = 'Address line 1 is required';
+  if (!address.city.trim()) errors[`${prefix}.city`] = 'City is required';
+  if (!/^[A-Za-z]{2}$/.test(address.country.trim())) {
+    errors[`${prefix}.country`] = 'Enter a two-letter country code such as US';
+  }
+  return errors;
+};
@@ -0,0 +1,49 @@
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+const TOKEN_STORAGE_KEY = 'authToken';
+
+let unauthorizedHandler = null;
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Register a callback for when the API rejects the stored token
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() against the API with the stored token attached
+export const apiFetch = async (path, options = {}) => {
+  const token = getAuthToken();
+  const headers = { ...options.headers };
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+
+  if (response.status === 401 && token && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+
+  return response;
+};
+
+// crypto.randomUUID() only exists in secure contexts, so fall back to random bytes
+export const generateIdempotencyKey = () => {
+  if (window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  return Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+};
@@ -0,0 +1,6 @@
+// Flatten the category tree into [{ category, depth }] in display order
+export const flattenCategories = (categories, depth = 0) =>
+  categories.flatMap((category) => [
+    { category, depth },
+    ...flattenCategories(category.children, depth + 1),
+  ]);
@@ -0,0 +1,42 @@
+import React from 'react';
+import FieldError from './FieldError';
+
+const ADDRESS_INPUTS = [
+  { field: 'name', label: 'Recipient', placeholder: 'Defaults to the customer name' },
+  { field: 'line1', label: 'Address Line 1 *', placeholder: 'Street and number' },
+  { field: 'line2', label: 'Address Line 2', placeholder: 'Apartment, suite, floor' },
+  { field: 'city', label: 'City *' },
+  { field: 'region', label: 'State / Region' },
+  { field: 'postal_code', label: 'Postal Code' },
+  { field: 'country', label: 'Country *', placeholder: 'e.g. US', maxLength: 2 },
+];
+
+// Inputs for one address. Errors are keyed like the API's, e.g. "shipping_address.city".
+function AddressFields({ idPrefix, errorPrefix, address, fieldErrors, onChange }) {
+  return (
+    <div className="form-grid address-fields">
+      {ADDRESS_INPUTS.map(({ field, label, placeholder, maxLength }) => {
+        const error = fieldErrors[`${errorPrefix}.${field}`];
+        const id = `${idPrefix}-${field}`;
+
+        return (
+          <div key={field} className="form-group">
+            <label htmlFor={id}>{label}</label>
+            <input
+              id={id}
+              type="text"
+              className={`form-input ${error ? 'input-error' : ''}`}
+              value={address[field]}
+              onChange={(e) => onChange(field, e.target.value)}
+              placeholder={placeholder}
+              maxLength={maxLength}
+            />
+            <FieldError message={error} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AddressFields;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Horizontal bars scaled to the largest value; items are { key, label, value, display }
+function BarList({ items, emptyMessage }) {
+  if (items.length === 0) {
+    return <p className="chart-empty">{emptyMessage}</p>;
+  }
+
+  const max = Math.max(...items.map((item) => item.value), 0);
+
+  return (
+    <ul className="bar-list">
+      {items.map((item) => (
+        <li key={item.key} className="bar-list-row">
+          <span className="bar-list-label" title={item.label}>{item.label}</span>
+          <span className="bar-list-track">
+            <span
+              className="bar-list-fill"
+              style={{ width: max > 0 ? `${(item.value / max) * 100}%` : 0 }}
+            />
+          </span>
+          <span className="bar-list-value">{item.display}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default BarList;
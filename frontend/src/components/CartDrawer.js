@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import AddressFields from './AddressFields';
+import { variantLabel } from '../variants';
+import { EMPTY_ADDRESS, validateAddress } from '../addresses';
+
+function CartDrawer({ open, cart, onClose, onUpdateItem, onRemoveItem, onCheckout }) {
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // Without an address of their own, orders ship to the customer's saved address
+  const [useNewAddress, setUseNewAddress] = useState(false);
+  const [shippingAddress, setShippingAddress] = useState(EMPTY_ADDRESS);
+  const [addressErrors, setAddressErrors] = useState({});
+
+  if (!open) return null;
+
+  const items = cart ? cart.items : [];
+  const hasUnavailableItems = items.some((item) => !item.available);
+
+  // Run one cart action at a time and show its error inside the drawer
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    const errorMessage = await action();
+    setBusy(false);
+    if (errorMessage) setError(errorMessage);
+  };
+
+  const checkout = () => {
+    const errors = useNewAddress ? validateAddress(shippingAddress, 'shipping_address') : {};
+    setAddressErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    run(() => onCheckout(useNewAddress ? shippingAddress : null));
+  };
+
+  return (
+    <div className="cart-overlay" onClick={onClose}>
+      <aside
+        className="cart-drawer"
+        role="dialog"
+        aria-label="Shopping cart"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="cart-header">
+          <h2>🛒 Your Cart</h2>
+          <button className="btn-remove" onClick={onClose} title="Close cart">
+            ✕
+          </button>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {items.length === 0 ? (
+          <div className="empty-state">
+            <p>Your cart is empty. Add products from the catalog.</p>
+          </div>
+        ) : (
+          <ul className="cart-items">
+            {items.map((item) => (
+              <li
+                key={`${item.product_id}:${item.variant_id}`}
+                className={`cart-item ${item.available ? '' : 'unavailable'}`}
+              >
+                <div className="cart-item-info">
+                  <strong>{item.name}</strong>
+                  {item.variant_attributes && (
+                    <small>{variantLabel(item.variant_attributes)}</small>
+                  )}
+                  <small>${parseFloat(item.price).toFixed(2)} each</small>
+                  {!item.available && (
+                    <small className="field-error">
+                      {item.stock > 0 ? `Only ${item.stock} in stock` : 'No longer available'}
+                    </small>
+                  )}
+                </div>
+
+                <div className="cart-item-quantity">
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => run(() => onUpdateItem(item.product_id, item.variant_id, item.quantity - 1))}
+                    disabled={busy || item.quantity <= 1}
+                    aria-label={`Decrease quantity of ${item.name}`}
+                  >
+                    −
+                  </button>
+                  <span>{item.quantity}</span>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => run(() => onUpdateItem(item.product_id, item.variant_id, item.quantity + 1))}
+                    disabled={busy || item.quantity >= item.stock}
+                    aria-label={`Increase quantity of ${item.name}`}
+                  >
+                    +
+                  </button>
+                </div>
+
+                <div className="cart-item-total">${item.line_total.toFixed(2)}</div>
+
+                <button
+                  className="btn-remove"
+                  onClick={() => run(() => onRemoveItem(item.product_id, item.variant_id))}
+                  disabled={busy}
+                  title="Remove item"
+                >
+                  🗑️
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="cart-footer">
+          <div className="summary-row total">
+            <span>Subtotal:</span>
+            <span>${(cart ? cart.subtotal : 0).toFixed(2)}</span>
+          </div>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={useNewAddress}
+              onChange={(e) => setUseNewAddress(e.target.checked)}
+            />
+            Ship to a new address
+          </label>
+          {useNewAddress && (
+            <AddressFields
+              idPrefix="cartShipping"
+              errorPrefix="shipping_address"
+              address={shippingAddress}
+              fieldErrors={addressErrors}
+              onChange={(field, value) => setShippingAddress({ ...shippingAddress, [field]: value })}
+            />
+          )}
+          {hasUnavailableItems && (
+            <p className="field-error">Update or remove unavailable items to check out.</p>
+          )}
+          <button
+            className="btn btn-primary btn-large"
+            onClick={checkout}
+            disabled={busy || items.length === 0 || hasUnavailableItems}
+          >
+            {busy ? '⏳ Please wait...' : '✅ Checkout'}
+          </button>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default CartDrawer;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+function CategoryNode({ category, selectedSlug, onSelect }) {
+  return (
+    <li>
+      <button
+        type="button"
+        className={`category-link ${category.slug === selectedSlug ? 'active' : ''}`}
+        onClick={() => onSelect(category.slug)}
+      >
+        <span>{category.name}</span>
+        <span className="category-count">{category.total_product_count}</span>
+      </button>
+      {category.children.length > 0 && (
+        <ul>
+          {category.children.map((child) => (
+            <CategoryNode
+              key={child.id}
+              category={child}
+              selectedSlug={selectedSlug}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Sidebar of nested categories; selecting one includes its subcategories
+function CategoryTree({ categories, selectedSlug, onSelect }) {
+  return (
+    <nav className="category-tree" aria-label="Categories">
+      <h3>Categories</h3>
+      <ul>
+        <li>
+          <button
+            type="button"
+            className={`category-link ${selectedSlug === '' ? 'active' : ''}`}
+            onClick={() => onSelect('')}
+          >
+            <span>All categories</span>
+          </button>
+        </li>
+        {categories.map((category) => (
+          <CategoryNode
+            key={category.id}
+            category={category}
+            selectedSlug={selectedSlug}
+            onSelect={onSelect}
+          />
+        ))}
+      </ul>
+    </nav>
+  );
+}
+
+export default CategoryTree;
@@ -1,89 +1,213 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import ProductSearch from './ProductSearch';
+import CustomerSearch from './CustomerSearch';
+import FieldError from './FieldError';
+import AddressFields from './AddressFields';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { EMPTY_ADDRESS, toAddressForm, validateAddress } from '../addresses';
+import { variantLabel, variantPrice } from '../variants';
 
-function CreateOrder({ products, onSubmit, onSuccess }) {
-  const [customerName, setCustomerName] = useState('');
-  const [customerEmail, setCustomerEmail] = useState('');
+function CreateOrder({ customer, onSearchProducts, onSearchCustomers, onQuote, onSubmit, onSuccess }) {
+  // Customers order for themselves; staff enter the customer's details
+  const [customerName, setCustomerName] = useState(customer ? customer.name : '');
+  const [customerEmail, setCustomerEmail] = useState(customer ? customer.email : '');
+  const [shippingAddress, setShippingAddress] = useState(EMPTY_ADDRESS);
+  const [billingSameAsShipping, setBillingSameAsShipping] = useState(true);
+  const [billingAddress, setBillingAddress] = useState(EMPTY_ADDRESS);
   const [selectedItems, setSelectedItems] = useState([]);
   const [submitting, setSubmitting] = useState(false);
-
-  const availableProducts = products.filter(p => p.stock > 0);
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState(null);
+  const [couponError, setCouponError] = useState(null);
 
   const addItem = () => {
-    setSelectedItems([...selectedItems, { product_id: '', quantity: 1 }]);
+    setSelectedItems([...selectedItems, { key: Date.now(), product: null, variant: null, quantity: 1 }]);
   };
 
   const removeItem = (index) => {
     setSelectedItems(selectedItems.filter((_, i) => i !== index));
+    // Line errors are keyed by position, so they no longer line up
+    setFieldErrors({});
   };
 
   const updateItem = (index, field, value) => {
     const updated = [...selectedItems];
     updated[index][field] = field === 'quantity' ? parseInt(value) || 1 : value;
+    // A new product starts without a variant so the choice is explicit
+    if (field === 'product') updated[index].variant = null;
     setSelectedItems(updated);
+    clearFieldError(`items[${index}].${field === 'quantity' ? field : `${field}_id`}`);
+  };
+
+  // Products with variants are priced and stocked per variant
+  const lineStock = (item) => (item.variant ? item.variant.stock : item.product.stock);
+  const linePrice = (item) => parseFloat(variantPrice(item.product, item.variant));
+  const hasVariants = (product) => Boolean(product && product.variants && product.variants.length > 0);
+
+  const clearFieldError = (field) => {
+    if (fieldErrors[field]) {
+      const { [field]: _removed, ...rest } = fieldErrors;
+      setFieldErrors(rest);
+    }
+  };
+
+  // Ordering for an existing customer fills in their current details and
+  // ships to their first saved address
+  const selectCustomer = (selected) => {
+    setCustomerName(selected.name);
+    setCustomerEmail(selected.email);
+    if (selected.addresses && selected.addresses.length > 0) {
+      setShippingAddress(toAddressForm(selected.addresses[0]));
+    }
+    setFieldErrors({});
   };
 
-  const calculateTotal = () => {
-    return selectedItems.reduce((total, item) => {
-      const product = products.find(p => p.id === parseInt(item.product_id));
-      if (product) {
-        return total + (parseFloat(product.price) * item.quantity);
+  const changeShippingAddress = (field, value) => {
+    setShippingAddress({ ...shippingAddress, [field]: value });
+    clearFieldError(`shipping_address.${field}`);
+  };
+
+  const changeBillingAddress = (field, value) => {
+    setBillingAddress({ ...billingAddress, [field]: value });
+    clearFieldError(`billing_address.${field}`);
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    if (!customerName.trim()) errors.customer_name = 'Customer name is required';
+    if (!customerEmail.trim()) errors.customer_email = 'Customer email is required';
+    Object.assign(errors, validateAddress(shippingAddress, 'shipping_address'));
+    if (!billingSameAsShipping) {
+      Object.assign(errors, validateAddress(billingAddress, 'billing_address'));
+    }
+
+    selectedItems.forEach((item, index) => {
+      if (!item.product) {
+        errors[`items[${index}].product_id`] = 'Select a product';
+      } else if (hasVariants(item.product) && !item.variant) {
+        errors[`items[${index}].variant_id`] = 'Select an option';
+      } else if (lineStock(item) < item.quantity) {
+        errors[`items[${index}].quantity`] = `Only ${lineStock(item)} in stock`;
       }
-      return total;
-    }, 0);
+    });
+
+    return errors;
   };
 
+  const applyCoupon = () => {
+    setCouponCode(couponInput.trim().toUpperCase() || null);
+    setCouponError(null);
+    clearFieldError('coupon_code');
+  };
+
+  const removeCoupon = () => {
+    setCouponInput('');
+    setCouponCode(null);
+    setCouponError(null);
+    clearFieldError('coupon_code');
+  };
+
+  // Totals come from the API, which applies shipping, tax and discounts. Lines
+  // still missing a product or option are left out until they are complete.
+  const quoteRequest = JSON.stringify({
+    customer_email: customerEmail.trim() || undefined,
+    // Only the destination matters for tax
+    shipping_address: /^[A-Za-z]{2}$/.test(shippingAddress.country.trim())
+      ? { country: shippingAddress.country.trim(), region: shippingAddress.region.trim() }
+      : undefined,
+    coupon_code: couponCode || undefined,
+    items: selectedItems
+      .filter((item) => item.product && (!hasVariants(item.product) || item.variant))
+      .map((item) => ({
+        product_id: item.product.id,
+        variant_id: item.variant ? item.variant.id : null,
+        quantity: item.quantity,
+      })),
+  });
+  const debouncedQuoteRequest = useDebouncedValue(quoteRequest, 400);
+
+  useEffect(() => {
+    const request = JSON.parse(debouncedQuoteRequest);
+    if (request.items.length === 0) {
+      setQuote(null);
+      setQuoteError(null);
+      return undefined;
+    }
+
+    // Ignore quotes that arrive after the order has changed again
+    let cancelled = false;
+    onQuote(request).then((result) => {
+      if (cancelled) return;
+      // A coupon that cannot be used is dropped, which quotes the order again without it
+      if (!result.ok && result.fieldErrors && result.fieldErrors.coupon_code) {
+        setCouponCode(null);
+        setCouponError(result.fieldErrors.coupon_code);
+        return;
+      }
+      setQuote(result.ok ? result.data : null);
+      setQuoteError(result.ok ? null : result.error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuoteRequest, onQuote]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Validation
-    if (!customerName.trim() || !customerEmail.trim()) {
-      alert('Please enter customer name and email');
-      return;
-    }
+    setFormError(null);
 
+    const errors = validateForm();
+    setFieldErrors(errors);
     if (selectedItems.length === 0) {
-      alert('Please add at least one item to the order');
+      setFormError('Please add at least one item to the order');
       return;
     }
-
-    const invalidItems = selectedItems.filter(item => !item.product_id);
-    if (invalidItems.length > 0) {
-      alert('Please select a product for all items');
+    if (Object.keys(errors).length > 0) {
+      setFormError('Please correct the highlighted fields');
       return;
     }
 
-    // Check stock availability
-    for (const item of selectedItems) {
-      const product = products.find(p => p.id === parseInt(item.product_id));
-      if (product && product.stock < item.quantity) {
-        alert(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
-        return;
-      }
-    }
-
     setSubmitting(true);
 
     const orderData = {
       customer_name: customerName,
       customer_email: customerEmail,
+      shipping_address: shippingAddress,
+      // Billing defaults to the shipping address when left out
+      billing_address: billingSameAsShipping ? undefined : billingAddress,
+      coupon_code: couponCode || undefined,
       items: selectedItems.map(item => ({
-        product_id: parseInt(item.product_id),
+        product_id: item.product.id,
+        variant_id: item.variant ? item.variant.id : null,
         quantity: item.quantity
       }))
     };
 
-    const success = await onSubmit(orderData);
+    const result = await onSubmit(orderData);
     
     setSubmitting(false);
 
-    if (success) {
-      // Reset form
-      setCustomerName('');
-      setCustomerEmail('');
-      setSelectedItems([]);
-      alert('Order created successfully!');
-      onSuccess();
+    if (!result.ok) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
     }
+
+    // Reset form
+    setCustomerName(customer ? customer.name : '');
+    setCustomerEmail(customer ? customer.email : '');
+    setShippingAddress(EMPTY_ADDRESS);
+    setBillingSameAsShipping(true);
+    setBillingAddress(EMPTY_ADDRESS);
+    setSelectedItems([]);
+    removeCoupon();
+    onSuccess();
   };
 
   return (
@@ -92,21 +216,34 @@ function CreateOrder({ products, onSubmit, onSuccess }) {
         <h2>Create New Order</h2>
       </div>
 
-      <form className="order-form" onSubmit={handleSubmit}>
+      {formError && <div className="alert alert-error">{formError}</div>}
+
+      <form className="order-form" onSubmit={handleSubmit} noValidate>
         <div className="form-section">
           <h3>Customer Information</h3>
+          {!customer && onSearchCustomers && (
+            <div className="form-group customer-search-group">
+              <label htmlFor="customerSearch">Existing Customer</label>
+              <CustomerSearch onSearch={onSearchCustomers} onSelect={selectCustomer} />
+            </div>
+          )}
           <div className="form-grid">
             <div className="form-group">
               <label htmlFor="customerName">Customer Name *</label>
               <input
                 id="customerName"
                 type="text"
-                className="form-input"
+                className={`form-input ${fieldErrors.customer_name ? 'input-error' : ''}`}
                 value={customerName}
-                onChange={(e) => setCustomerName(e.target.value)}
+                onChange={(e) => {
+                  setCustomerName(e.target.value);
+                  clearFieldError('customer_name');
+                }}
                 placeholder="Enter customer name"
+                readOnly={Boolean(customer)}
                 required
               />
+              <FieldError message={fieldErrors.customer_name} />
             </div>
 
             <div className="form-group">
@@ -114,16 +251,51 @@ function CreateOrder({ products, onSubmit, onSuccess }) {
               <input
                 id="customerEmail"
                 type="email"
-                className="form-input"
+                className={`form-input ${fieldErrors.customer_email ? 'input-error' : ''}`}
                 value={customerEmail}
-                onChange={(e) => setCustomerEmail(e.target.value)}
+                onChange={(e) => {
+                  setCustomerEmail(e.target.value);
+                  clearFieldError('customer_email');
+                }}
                 placeholder="customer@example.com"
+                readOnly={Boolean(customer)}
                 required
               />
+              <FieldError message={fieldErrors.customer_email} />
             </div>
           </div>
         </div>
 
+        <div className="form-section">
+          <h3>Shipping Address</h3>
+          <AddressFields
+            idPrefix="shippingAddress"
+            errorPrefix="shipping_address"
+            address={shippingAddress}
+            fieldErrors={fieldErrors}
+            onChange={changeShippingAddress}
+          />
+
+          <h3 className="address-heading">Billing Address</h3>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={billingSameAsShipping}
+              onChange={(e) => setBillingSameAsShipping(e.target.checked)}
+            />
+            Same as shipping address
+          </label>
+          {!billingSameAsShipping && (
+            <AddressFields
+              idPrefix="billingAddress"
+              errorPrefix="billing_address"
+              address={billingAddress}
+              fieldErrors={fieldErrors}
+              onChange={changeBillingAddress}
+            />
+          )}
+        </div>
+
         <div className="form-section">
           <div className="section-header-inline">
             <h3>Order Items</h3>
@@ -131,18 +303,11 @@ function CreateOrder({ products, onSubmit, onSuccess }) {
               type="button"
               className="btn btn-secondary"
               onClick={addItem}
-              disabled={availableProducts.length === 0}
             >
               ➕ Add Item
             </button>
           </div>
 
-          {availableProducts.length === 0 && (
-            <div className="alert alert-warning">
-              No products available with stock. Please restock products first.
-            </div>
-          )}
-
           {selectedItems.length === 0 ? (
             <div className="empty-state">
               <p>No items added yet. Click "Add Item" to start.</p>
@@ -150,47 +315,66 @@ function CreateOrder({ products, onSubmit, onSuccess }) {
           ) : (
             <div className="items-list">
               {selectedItems.map((item, index) => {
-                const selectedProduct = products.find(p => p.id === parseInt(item.product_id));
+                const selectedProduct = item.product;
                 
                 return (
-                  <div key={index} className="item-row">
+                  <div key={item.key} className="item-row">
                     <div className="item-number">{index + 1}</div>
                     
                     <div className="form-group flex-grow">
                       <label>Product</label>
-                      <select
-                        className="form-input"
-                        value={item.product_id}
-                        onChange={(e) => updateItem(index, 'product_id', e.target.value)}
-                        required
-                      >
-                        <option value="">Select a product</option>
-                        {availableProducts.map(product => (
-                          <option key={product.id} value={product.id}>
-                            {product.name} - ${parseFloat(product.price).toFixed(2)} (Stock: {product.stock})
-                          </option>
-                        ))}
-                      </select>
+                      <ProductSearch
+                        selectedProduct={selectedProduct}
+                        onSearch={onSearchProducts}
+                        onSelect={(product) => updateItem(index, 'product', product)}
+                      />
+                      <FieldError message={fieldErrors[`items[${index}].product_id`]} />
                     </div>
 
+                    {hasVariants(selectedProduct) && (
+                      <div className="form-group variant-group">
+                        <label>Option</label>
+                        <select
+                          className={`form-input ${fieldErrors[`items[${index}].variant_id`] ? 'input-error' : ''}`}
+                          value={item.variant ? item.variant.id : ''}
+                          onChange={(e) =>
+                            updateItem(
+                              index,
+                              'variant',
+                              selectedProduct.variants.find((variant) => variant.id === Number(e.target.value)) || null
+                            )
+                          }
+                        >
+                          <option value="">Select...</option>
+                          {selectedProduct.variants.map((variant) => (
+                            <option key={variant.id} value={variant.id}>
+                              {variantLabel(variant.attributes)} ({variant.stock} in stock)
+                            </option>
+                          ))}
+                        </select>
+                        <FieldError message={fieldErrors[`items[${index}].variant_id`]} />
+                      </div>
+                    )}
+
                     <div className="form-group quantity-group">
                       <label>Quantity</label>
                       <input
                         type="number"
-                        className="form-input"
+                        className={`form-input ${fieldErrors[`items[${index}].quantity`] ? 'input-error' : ''}`}
                         value={item.quantity}
                         onChange={(e) => updateItem(index, 'quantity', e.target.value)}
                         min="1"
-                        max={selectedProduct ? selectedProduct.stock : 999}
+                        max={selectedProduct ? lineStock(item) : 999}
                         required
                       />
+                      <FieldError message={fieldErrors[`items[${index}].quantity`]} />
                     </div>
 
                     {selectedProduct && (
                       <div className="item-subtotal">
                         <label>Subtotal</label>
                         <div className="subtotal-value">
-                          ${(parseFloat(selectedProduct.price) * item.quantity).toFixed(2)}
+                          ${(linePrice(item) * item.quantity).toFixed(2)}
                         </div>
                       </div>
                     )}
@@ -222,11 +406,75 @@ function CreateOrder({ products, onSubmit, onSuccess }) {
                 <span>Total Units:</span>
                 <span>{selectedItems.reduce((sum, item) => sum + item.quantity, 0)}</span>
               </div>
-              <div className="summary-row total">
-                <span>Total Amount:</span>
-                <span>${calculateTotal().toFixed(2)}</span>
+              {quote && (
+                <>
+                  <div className="summary-row">
+                    <span>Subtotal:</span>
+                    <span>${quote.subtotal.toFixed(2)}</span>
+                  </div>
+                  {quote.discounts.map((discount) => (
+                    <div key={discount.label} className="summary-row summary-discount">
+                      <span>{discount.label}:</span>
+                      <span>−${discount.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
+                  <div className="summary-row">
+                    <span>Shipping:</span>
+                    <span>{quote.shipping_amount === 0 ? 'Free' : `$${quote.shipping_amount.toFixed(2)}`}</span>
+                  </div>
+                  <div className="summary-row">
+                    <span>Tax ({Number((quote.tax_rate * 100).toFixed(3))}%):</span>
+                    <span>${quote.tax_amount.toFixed(2)}</span>
+                  </div>
+                  <div className="summary-row total">
+                    <span>Total Amount:</span>
+                    <span>${quote.total_amount.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
+            </div>
+            <div className="form-group coupon-group">
+              <label htmlFor="couponCode">Coupon Code</label>
+              <div className="coupon-input-row">
+                <input
+                  id="couponCode"
+                  type="text"
+                  className={`form-input ${couponError || fieldErrors.coupon_code ? 'input-error' : ''}`}
+                  value={couponInput}
+                  onChange={(e) => {
+                    setCouponInput(e.target.value);
+                    setCouponError(null);
+                  }}
+                  onKeyDown={(e) => {
+                    // Enter applies the coupon instead of submitting the order
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      applyCoupon();
+                    }
+                  }}
+                  placeholder="e.g. WELCOME10"
+                  maxLength={50}
+                  readOnly={Boolean(couponCode)}
+                />
+                {couponCode ? (
+                  <button type="button" className="btn btn-secondary" onClick={removeCoupon}>
+                    Remove
+                  </button>
+                ) : (
+                  <button type="button" className="btn btn-secondary" onClick={applyCoupon} disabled={!couponInput.trim()}>
+                    Apply
+                  </button>
+                )}
               </div>
+              <FieldError message={couponError || fieldErrors.coupon_code} />
+              {couponCode && quote && quote.coupon_code === couponCode && (
+                <p className="coupon-applied">
+                  ✓ {couponCode} applied: −${quote.discount_amount.toFixed(2)}
+                </p>
+              )}
             </div>
+            {quoteError && <p className="field-error">{quoteError}</p>}
+            {!quote && !quoteError && <p className="timeline-empty">Totals appear once a product is selected.</p>}
           </div>
         )}
 
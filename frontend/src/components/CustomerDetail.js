@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import { formatAddress } from '../addresses';
+
+const STATUS_BADGE_CLASSES = {
+  pending: 'badge-warning',
+  processing: 'badge-info',
+  shipped: 'badge-primary',
+  delivered: 'badge-success',
+  cancelled: 'badge-danger',
+};
+
+const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+function CustomerDetail({ customerId, onFetchCustomer, onSave, onBack }) {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [notes, setNotes] = useState('');
+  const [message, setMessage] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const fillForm = (customer) => {
+    setName(customer.name);
+    setEmail(customer.email);
+    setPhone(customer.phone || '');
+    setNotes(customer.notes || '');
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    onFetchCustomer(customerId).then((data) => {
+      if (!cancelled) {
+        setDetail(data);
+        if (data) fillForm(data.customer);
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customerId, onFetchCustomer]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage(null);
+    setFormError(null);
+
+    const result = await onSave(customerId, { name, email, phone, notes });
+    setSubmitting(false);
+
+    if (!result.ok) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    // Totals are not part of the update response, so keep the loaded ones
+    setDetail({ ...detail, customer: { ...detail.customer, ...result.data } });
+    fillForm(result.data);
+    setFieldErrors({});
+    setMessage('Customer saved. Their orders now show the new details.');
+  };
+
+  const header = (title) => (
+    <div className="section-header-inline">
+      <h3>{title}</h3>
+      <button type="button" className="btn btn-secondary" onClick={onBack}>
+        ← Back to list
+      </button>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading customer...</p>
+      </div>
+    );
+  }
+
+  if (!detail) {
+    return (
+      <>
+        {header('Customer')}
+        <div className="alert alert-error">Failed to load this customer</div>
+      </>
+    );
+  }
+
+  const { customer, orders } = detail;
+
+  return (
+    <div className="customer-detail">
+      {header(customer.name)}
+
+      <div className="order-info-grid customer-summary">
+        <div className="info-item">
+          <span className="info-label">Orders</span>
+          <span className="info-value">{customer.order_count}</span>
+        </div>
+        <div className="info-item">
+          <span className="info-label">Lifetime Value</span>
+          <span className="info-value price">{formatMoney(customer.lifetime_value)}</span>
+        </div>
+        <div className="info-item">
+          <span className="info-label">Average Order</span>
+          <span className="info-value">{formatMoney(customer.average_order_value)}</span>
+        </div>
+        <div className="info-item">
+          <span className="info-label">Customer Since</span>
+          <span className="info-value">
+            {new Date(customer.first_order_at || customer.created_at).toLocaleDateString()}
+          </span>
+        </div>
+      </div>
+
+      {message && <div className="alert alert-success">{message}</div>}
+      {formError && <div className="alert alert-error">{formError}</div>}
+
+      <div className="product-editor-grid">
+        <form className="order-form form-section" onSubmit={handleSubmit} noValidate>
+          <h3>Contact Details</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="customerDetailName">Name *</label>
+              <input
+                id="customerDetailName"
+                type="text"
+                className={`form-input ${fieldErrors.name ? 'input-error' : ''}`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="customerDetailEmail">Email *</label>
+              <input
+                id="customerDetailEmail"
+                type="email"
+                className={`form-input ${fieldErrors.email ? 'input-error' : ''}`}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+              <FieldError message={fieldErrors.email} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="customerDetailPhone">Phone</label>
+              <input
+                id="customerDetailPhone"
+                type="tel"
+                className={`form-input ${fieldErrors.phone ? 'input-error' : ''}`}
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+              />
+              <FieldError message={fieldErrors.phone} />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="customerDetailNotes">Notes</label>
+            <textarea
+              id="customerDetailNotes"
+              className={`form-input ${fieldErrors.notes ? 'input-error' : ''}`}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows="3"
+            />
+            <FieldError message={fieldErrors.notes} />
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={submitting}>
+              {submitting ? '⏳ Saving...' : '💾 Save Customer'}
+            </button>
+          </div>
+        </form>
+
+        <div className="form-section">
+          <h3>Addresses</h3>
+          {customer.addresses.length === 0 ? (
+            <p className="timeline-empty">No addresses on file</p>
+          ) : (
+            <ul className="customer-addresses">
+              {customer.addresses.map((address, index) => (
+                <li key={index}>
+                  {address.label && <strong>{address.label}</strong>}
+                  <span>{formatAddress(address)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Order History</h3>
+        {orders.length === 0 ? (
+          <div className="empty-state">
+            <p>No orders yet</p>
+          </div>
+        ) : (
+          <table className="items-table">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Date</th>
+                <th>Status</th>
+                <th>Items</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map((order) => (
+                <tr key={order.id}>
+                  <td>#{order.id}</td>
+                  <td>{new Date(order.created_at).toLocaleString()}</td>
+                  <td>
+                    <span className={`badge ${STATUS_BADGE_CLASSES[order.status] || 'badge-secondary'}`}>
+                      {order.status.toUpperCase()}
+                    </span>
+                  </td>
+                  <td>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                  <td>{formatMoney(order.total_amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CustomerDetail;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import CustomerDetail from './CustomerDetail';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+function CustomerList({ onFetchCustomers, onFetchCustomer, onSave }) {
+  const [term, setTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const debouncedTerm = useDebouncedValue(term, 300);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    onFetchCustomers({ q: debouncedTerm.trim(), page }).then((data) => {
+      if (!cancelled) {
+        setResult(data);
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedTerm, page, reloadCount, onFetchCustomers]);
+
+  if (selectedId) {
+    return (
+      <div className="content-section">
+        <CustomerDetail
+          customerId={selectedId}
+          onFetchCustomer={onFetchCustomer}
+          onSave={onSave}
+          onBack={() => {
+            setSelectedId(null);
+            // Names, emails and totals may have changed
+            setReloadCount((count) => count + 1);
+          }}
+        />
+      </div>
+    );
+  }
+
+  const customers = result ? result.data : [];
+  const totalPages = result ? Math.max(result.pagination.total_pages, 1) : 1;
+
+  return (
+    <div className="content-section">
+      <div className="section-header">
+        <h2>Customers</h2>
+      </div>
+
+      <div className="product-search-bar">
+        <input
+          type="search"
+          className="form-input"
+          value={term}
+          onChange={(e) => {
+            setTerm(e.target.value);
+            setPage(1);
+          }}
+          placeholder="Search customers by name or email..."
+        />
+      </div>
+
+      {loading && !result ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading customers...</p>
+        </div>
+      ) : customers.length === 0 ? (
+        <div className="empty-state">
+          <p>{debouncedTerm.trim() ? `No customers match "${debouncedTerm.trim()}"` : 'No customers yet'}</p>
+        </div>
+      ) : (
+        <table className="items-table manage-table">
+          <thead>
+            <tr>
+              <th>Customer</th>
+              <th>Phone</th>
+              <th>Orders</th>
+              <th>Lifetime Value</th>
+              <th>Last Order</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {customers.map((customer) => (
+              <tr key={customer.id}>
+                <td>
+                  <strong>{customer.name}</strong>
+                  <small className="manage-table-id">{customer.email}</small>
+                </td>
+                <td>{customer.phone || '—'}</td>
+                <td>{customer.order_count}</td>
+                <td>${parseFloat(customer.lifetime_value).toFixed(2)}</td>
+                <td>
+                  {customer.last_order_at ? new Date(customer.last_order_at).toLocaleDateString() : '—'}
+                </td>
+                <td className="manage-table-actions">
+                  <button className="btn btn-secondary" onClick={() => setSelectedId(customer.id)}>
+                    👁️ View
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="pagination">
+        <button
+          className="btn btn-secondary"
+          onClick={() => setPage(page - 1)}
+          disabled={loading || page <= 1}
+        >
+          ← Previous
+        </button>
+        <span className="pagination-info">
+          Page {page} of {totalPages}
+        </span>
+        <button
+          className="btn btn-secondary"
+          onClick={() => setPage(page + 1)}
+          disabled={loading || page >= totalPages}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CustomerList;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+function CustomerSearch({ onSearch, onSelect }) {
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const debouncedTerm = useDebouncedValue(term, 300);
+
+  useEffect(() => {
+    if (!open || debouncedTerm.trim() === '') {
+      setResults([]);
+      return undefined;
+    }
+
+    // Ignore responses that arrive after the term has changed again
+    let cancelled = false;
+    setSearching(true);
+    onSearch(debouncedTerm).then((data) => {
+      if (!cancelled) {
+        setResults(data);
+        setSearching(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedTerm, open, onSearch]);
+
+  const handleChange = (value) => {
+    setTerm(value);
+    setOpen(true);
+  };
+
+  // The search box only fills in the customer fields, so it is cleared again
+  const handleSelect = (customer) => {
+    setTerm('');
+    setOpen(false);
+    onSelect(customer);
+  };
+
+  return (
+    <div className="product-search">
+      <input
+        id="customerSearch"
+        type="search"
+        className="form-input"
+        value={term}
+        onChange={(e) => handleChange(e.target.value)}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        placeholder="Search existing customers by name or email..."
+      />
+
+      {open && debouncedTerm.trim() !== '' && (
+        <ul className="search-results">
+          {searching && results.length === 0 && (
+            <li className="search-results-empty">Searching...</li>
+          )}
+          {!searching && results.length === 0 && (
+            <li className="search-results-empty">No customers match "{debouncedTerm}"</li>
+          )}
+          {results.map((customer) => (
+            <li key={customer.id}>
+              <button
+                type="button"
+                className="search-result"
+                // Keep focus on the input so blur does not close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(customer);
+                }}
+              >
+                <span>{customer.name}</span>
+                <small>
+                  {customer.email} · {customer.order_count} order{customer.order_count === 1 ? '' : 's'}
+                </small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CustomerSearch;
@@ -1,6 +1,68 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import SalesChart from './SalesChart';
+import BarList from './BarList';
+
+const SALES_INTERVALS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+];
+
+const STATUS_LABELS = {
+  pending: '⏳ Pending',
+  processing: '⚙️ Processing',
+  shipped: '🚚 Shipped',
+  delivered: '✅ Delivered',
+  cancelled: '❌ Cancelled',
+};
+
+// e.g. 93784 -> "1d 2h 3m"
+const formatUptime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return [days > 0 && `${days}d`, (days > 0 || hours > 0) && `${hours}h`, `${minutes}m`]
+    .filter(Boolean)
+    .join(' ');
+};
+
+function Dashboard({ stats, loading, onFetchSales, onFetchHealth }) {
+  const [salesInterval, setSalesInterval] = useState('day');
+  const [sales, setSales] = useState(null);
+  const [salesLoading, setSalesLoading] = useState(false);
+  const [health, setHealth] = useState(null);
+  const [healthChecked, setHealthChecked] = useState(false);
+
+  // Reload the series with the statistics, so new orders show up in both
+  useEffect(() => {
+    let cancelled = false;
+    setSalesLoading(true);
+    onFetchSales(salesInterval).then((data) => {
+      if (!cancelled) {
+        setSales(data);
+        setSalesLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [salesInterval, stats, onFetchSales]);
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchHealth().then((data) => {
+      if (!cancelled) {
+        setHealth(data);
+        setHealthChecked(true);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stats, onFetchHealth]);
 
-function Dashboard({ stats, loading }) {
   if (loading) {
     return (
       <div className="loading-container">
@@ -48,7 +110,7 @@ function Dashboard({ stats, loading }) {
           <div className="stat-content">
             <h3>Total Revenue</h3>
             <p className="stat-value">${parseFloat(stats.total_revenue || 0).toFixed(2)}</p>
-            <p className="stat-label">Gross revenue</p>
+            <p className="stat-label">Excluding cancelled orders</p>
           </div>
         </div>
 
@@ -62,36 +124,97 @@ function Dashboard({ stats, loading }) {
         </div>
       </div>
 
+      <div className="charts-grid">
+        <div className="chart-card chart-card-wide">
+          <div className="chart-card-header">
+            <h3>Revenue Over Time</h3>
+            <div className="filter-buttons">
+              {SALES_INTERVALS.map((option) => (
+                <button
+                  key={option.value}
+                  className={`filter-btn ${salesInterval === option.value ? 'active' : ''}`}
+                  onClick={() => setSalesInterval(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {sales ? (
+            <>
+              <SalesChart buckets={sales.buckets} interval={sales.interval} />
+              <p className="chart-caption">
+                ${parseFloat(sales.totals.revenue).toFixed(2)} from {sales.totals.orders} orders
+                between {sales.from} and {sales.to}
+                {sales.totals.cancelled_orders > 0 && ` (${sales.totals.cancelled_orders} cancelled)`}
+              </p>
+            </>
+          ) : (
+            <p className="chart-empty">{salesLoading ? 'Loading sales...' : 'Sales data is unavailable'}</p>
+          )}
+        </div>
+
+        <div className="chart-card">
+          <h3>Orders by Status</h3>
+          <BarList
+            items={Object.entries(stats.orders_by_status).map(([status, count]) => ({
+              key: status,
+              label: STATUS_LABELS[status] || status,
+              value: count,
+              display: count,
+            }))}
+            emptyMessage="No orders yet"
+          />
+        </div>
+
+        <div className="chart-card">
+          <h3>Top Products</h3>
+          <BarList
+            items={stats.top_products.map((product) => ({
+              key: product.product_id,
+              label: product.name,
+              value: product.units_sold,
+              display: `${product.units_sold} sold`,
+            }))}
+            emptyMessage="No products sold yet"
+          />
+        </div>
+      </div>
+
       <div className="info-section">
         <h3>System Information</h3>
         <div className="info-grid">
-          <div className="info-card">
-            <h4>🚀 Application Status</h4>
-            <ul>
-              <li>✅ Frontend: Running</li>
-              <li>✅ Backend API: Connected</li>
-              <li>✅ Database: Operational</li>
-              <li>✅ Cache: Active</li>
-            </ul>
-          </div>
-
           <div className="info-card">
             <h4>📊 Quick Stats</h4>
             <ul>
-              <li>Average Order Value: ${stats.total_orders > 0 ? (parseFloat(stats.total_revenue) / stats.total_orders).toFixed(2) : '0.00'}</li>
-              <li>Completion Rate: {stats.total_orders > 0 ? (((stats.total_orders - stats.pending_orders) / stats.total_orders) * 100).toFixed(1) : '0'}%</li>
+              <li>Average Order Value: ${parseFloat(stats.average_order_value || 0).toFixed(2)}</li>
+              <li>Cancelled Orders: {stats.orders_by_status.cancelled}</li>
+              <li>Low Stock Products: {stats.low_stock.products} (+{stats.low_stock.out_of_stock_products} out of stock)</li>
               <li>Active Products: {stats.total_products}</li>
             </ul>
           </div>
 
           <div className="info-card">
             <h4>🔧 System Health</h4>
-            <ul>
-              <li>API Response: Fast</li>
-              <li>Cache Hit Rate: High</li>
-              <li>Error Rate: Low</li>
-              <li>Uptime: 99.9%</li>
-            </ul>
+            {!healthChecked ? (
+              <p>Checking...</p>
+            ) : !health ? (
+              <ul>
+                <li>❌ Backend API: Unreachable</li>
+              </ul>
+            ) : (
+              <ul>
+                <li>{health.status === 'healthy' ? '✅' : '❌'} Backend API: {health.status}</li>
+                <li>
+                  {health.database === 'connected' ? '✅' : '❌'} Database: {health.database || health.error}
+                </li>
+                {health.redis && (
+                  <li>{health.redis === 'connected' ? '✅' : '⚠️'} Cache: {health.redis}</li>
+                )}
+                {health.uptime !== undefined && <li>Uptime: {formatUptime(health.uptime)}</li>}
+                {health.version && <li>Version: {health.version}</li>}
+              </ul>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,8 @@
+import React from 'react';
+
+// Inline message shown under a form field that failed validation
+function FieldError({ message }) {
+  return message ? <p className="field-error">{message}</p> : null;
+}
+
+export default FieldError;
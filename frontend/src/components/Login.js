@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+function Login({ onLogin, onRegister }) {
+  const [mode, setMode] = useState('login');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const errorMessage = isRegister
+      ? await onRegister({ name, email, password })
+      : await onLogin({ email, password });
+
+    // On success the App replaces this screen, so only reset on failure
+    if (errorMessage) {
+      setError(errorMessage);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="content-section auth-card">
+      <div className="section-header">
+        <h2>{isRegister ? 'Create Account' : 'Sign In'}</h2>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <form className="order-form" onSubmit={handleSubmit}>
+        {isRegister && (
+          <div className="form-group">
+            <label htmlFor="authName">Name *</label>
+            <input
+              id="authName"
+              type="text"
+              className="form-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Your name"
+              required
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="authEmail">Email *</label>
+          <input
+            id="authEmail"
+            type="email"
+            className="form-input"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            autoComplete="email"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="authPassword">Password *</label>
+          <input
+            id="authPassword"
+            type="password"
+            className="form-input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isRegister ? 'At least 8 characters' : 'Your password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+        </div>
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary btn-large" disabled={submitting}>
+            {submitting ? '⏳ Please wait...' : isRegister ? '✅ Create Account' : '🔐 Sign In'}
+          </button>
+        </div>
+      </form>
+
+      <p className="auth-switch">
+        {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+        <button type="button" className="btn-link" onClick={switchMode}>
+          {isRegister ? 'Sign in' : 'Create one'}
+        </button>
+      </p>
+    </div>
+  );
+}
+
+export default Login;
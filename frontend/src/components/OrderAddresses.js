@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import AddressFields from './AddressFields';
+import { formatAddress, toAddressForm, validateAddress } from '../addresses';
+
+const ADDRESS_KINDS = [
+  { key: 'shipping_address', title: 'Shipping Address', idPrefix: 'shipping' },
+  { key: 'billing_address', title: 'Billing Address', idPrefix: 'billing' },
+];
+
+function OrderAddresses({ order, onUpdateAddresses }) {
+  const [editing, setEditing] = useState(false);
+  const [forms, setForms] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const canEdit = Boolean(onUpdateAddresses) && order.addresses_editable;
+
+  const startEditing = () => {
+    setForms({
+      shipping_address: toAddressForm(order.shipping_address),
+      billing_address: toAddressForm(order.billing_address),
+    });
+    setFormError(null);
+    setFieldErrors({});
+    setEditing(true);
+  };
+
+  const changeField = (kind, field, value) => {
+    setForms({ ...forms, [kind]: { ...forms[kind], [field]: value } });
+  };
+
+  const handleSave = async () => {
+    const errors = {
+      ...validateAddress(forms.shipping_address, 'shipping_address'),
+      ...validateAddress(forms.billing_address, 'billing_address'),
+    };
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setFormError('Please correct the highlighted fields');
+      return;
+    }
+
+    setSaving(true);
+    const result = await onUpdateAddresses(order.id, forms);
+    setSaving(false);
+
+    if (!result.ok) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <div className="order-addresses">
+        {formError && <div className="alert alert-error">{formError}</div>}
+        {ADDRESS_KINDS.map(({ key, title, idPrefix }) => (
+          <div key={key}>
+            <h4>{title}</h4>
+            <AddressFields
+              idPrefix={`order${order.id}-${idPrefix}`}
+              errorPrefix={key}
+              address={forms[key]}
+              fieldErrors={fieldErrors}
+              onChange={(field, value) => changeField(key, field, value)}
+            />
+          </div>
+        ))}
+        <div className="status-buttons">
+          <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? '⏳ Saving...' : '💾 Save Addresses'}
+          </button>
+          <button className="btn btn-secondary" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="order-addresses">
+      <div className="order-info-grid">
+        {ADDRESS_KINDS.map(({ key, title }) => (
+          <div key={key} className="info-item">
+            <span className="info-label">{title}:</span>
+            {order[key] ? (
+              <span className="info-value">
+                {order[key].name}
+                <br />
+                {formatAddress(order[key])}
+              </span>
+            ) : (
+              <span className="timeline-empty">Not recorded</span>
+            )}
+          </div>
+        ))}
+      </div>
+      {canEdit && (
+        <button className="btn btn-secondary address-edit-button" onClick={startEditing}>
+          ✏️ Edit Addresses
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default OrderAddresses;
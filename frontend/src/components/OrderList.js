@@ -1,6 +1,33 @@
 import React, { useState } from 'react';
+import OrderTimeline from './OrderTimeline';
+import OrderAddresses from './OrderAddresses';
+import OrderReturns from './OrderReturns';
+import { variantLabel } from '../variants';
 
-function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
+// Badges for the status of the latest payment attempt
+const PAYMENT_BADGES = {
+  unpaid: { className: 'badge-warning', label: '💳 UNPAID' },
+  pending: { className: 'badge-secondary', label: '💳 PAYMENT PENDING' },
+  authorized: { className: 'badge-info', label: '💳 AUTHORIZED' },
+  capturing: { className: 'badge-info', label: '💳 CAPTURING' },
+  captured: { className: 'badge-success', label: '💳 PAID' },
+  failed: { className: 'badge-danger', label: '💳 PAYMENT FAILED' },
+  voided: { className: 'badge-secondary', label: '💳 VOIDED' },
+};
+
+function OrderList({
+  orders,
+  loading,
+  onRefresh,
+  onUpdateStatus,
+  onUpdateAddresses,
+  onFetchHistory,
+  onFetchReturns,
+  onRequestReturn,
+  onReviewReturn,
+  onDownloadDocument,
+  canUpdateStatus,
+}) {
   const [expandedOrder, setExpandedOrder] = useState(null);
 
   const getStatusBadgeClass = (status) => {
@@ -25,6 +52,11 @@ function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
     return statusEmojis[status] || '📦';
   };
 
+  const handleDownload = async (orderId, documentName) => {
+    const error = await onDownloadDocument(orderId, documentName);
+    if (error) alert(error);
+  };
+
   const handleStatusChange = async (orderId, newStatus) => {
     if (window.confirm(`Change order status to "${newStatus}"?`)) {
       await onUpdateStatus(orderId, newStatus);
@@ -63,6 +95,9 @@ function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
                   <span className={`badge ${getStatusBadgeClass(order.status)}`}>
                     {getStatusEmoji(order.status)} {order.status.toUpperCase()}
                   </span>
+                  <span className={`badge ${PAYMENT_BADGES[order.payment_status || 'unpaid'].className}`}>
+                    {PAYMENT_BADGES[order.payment_status || 'unpaid'].label}
+                  </span>
                 </div>
                 <button
                   className="btn-expand"
@@ -108,7 +143,12 @@ function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
                     <tbody>
                       {order.items.map((item, index) => (
                         <tr key={index}>
-                          <td>{item.product_name || `Product #${item.product_id}`}</td>
+                          <td>
+                            {item.product_name || `Product #${item.product_id}`}
+                            {item.variant_attributes && (
+                              <small className="item-variant">{variantLabel(item.variant_attributes)}</small>
+                            )}
+                          </td>
                           <td>{item.quantity}</td>
                           <td>${parseFloat(item.price).toFixed(2)}</td>
                           <td>${(parseFloat(item.price) * item.quantity).toFixed(2)}</td>
@@ -116,6 +156,24 @@ function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
                       ))}
                     </tbody>
                     <tfoot>
+                      <tr>
+                        <td colSpan="3">Subtotal</td>
+                        <td>${parseFloat(order.subtotal).toFixed(2)}</td>
+                      </tr>
+                      {parseFloat(order.discount_amount) > 0 && (
+                        <tr>
+                          <td colSpan="3">Discount{order.coupon_code && ` (${order.coupon_code})`}</td>
+                          <td>−${parseFloat(order.discount_amount).toFixed(2)}</td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td colSpan="3">Shipping</td>
+                        <td>${parseFloat(order.shipping_amount).toFixed(2)}</td>
+                      </tr>
+                      <tr>
+                        <td colSpan="3">Tax ({Number((parseFloat(order.tax_rate) * 100).toFixed(3))}%)</td>
+                        <td>${parseFloat(order.tax_amount).toFixed(2)}</td>
+                      </tr>
                       <tr>
                         <td colSpan="3"><strong>Total</strong></td>
                         <td><strong>${parseFloat(order.total_amount).toFixed(2)}</strong></td>
@@ -123,21 +181,66 @@ function OrderList({ orders, loading, onRefresh, onUpdateStatus }) {
                     </tfoot>
                   </table>
 
-                  <div className="order-actions">
-                    <h4>Update Status</h4>
-                    <div className="status-buttons">
-                      {['pending', 'processing', 'shipped', 'delivered', 'cancelled'].map((status) => (
-                        <button
-                          key={status}
-                          className={`btn-status ${order.status === status ? 'active' : ''}`}
-                          onClick={() => handleStatusChange(order.id, status)}
-                          disabled={order.status === status}
-                        >
-                          {getStatusEmoji(status)} {status}
+                  {(order.status !== 'cancelled' || order.invoice_number) && (
+                    <div className="order-documents">
+                      <button className="btn btn-secondary" onClick={() => handleDownload(order.id, 'invoice')}>
+                        🧾 Invoice
+                      </button>
+                      {canUpdateStatus && order.status !== 'cancelled' && (
+                        <button className="btn btn-secondary" onClick={() => handleDownload(order.id, 'packing-slip')}>
+                          📦 Packing Slip
                         </button>
-                      ))}
+                      )}
                     </div>
+                  )}
+
+                  <div className="order-history">
+                    <h4>Addresses</h4>
+                    <OrderAddresses order={order} onUpdateAddresses={onUpdateAddresses} />
+                  </div>
+
+                  <div className="order-history">
+                    <h4>Status Timeline</h4>
+                    <OrderTimeline
+                      orderId={order.id}
+                      status={order.status}
+                      onFetchHistory={onFetchHistory}
+                      getStatusEmoji={getStatusEmoji}
+                    />
                   </div>
+
+                  <div className="order-history">
+                    <h4>Returns</h4>
+                    <OrderReturns
+                      order={order}
+                      onFetchReturns={onFetchReturns}
+                      onRequestReturn={onRequestReturn}
+                      onReviewReturn={onReviewReturn}
+                    />
+                  </div>
+
+                  {canUpdateStatus && (
+                    <div className="order-actions">
+                      <h4>Update Status</h4>
+                      {order.allowed_transitions.length === 0 ? (
+                        <p className="timeline-empty">
+                          This order is {order.status}; no further status changes are possible.
+                        </p>
+                      ) : (
+                        <div className="status-buttons">
+                          {order.allowed_transitions.map((status) => (
+                            <button
+                              key={status}
+                              className="btn-status"
+                              onClick={() => handleStatusChange(order.id, status)}
+                            >
+                              {getStatusEmoji(status)} {status}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
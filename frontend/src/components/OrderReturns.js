@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import { variantLabel } from '../variants';
+
+const RETURN_BADGE_CLASSES = {
+  requested: 'badge-warning',
+  approved: 'badge-success',
+  rejected: 'badge-danger',
+};
+
+const REFUND_STATUS_LABELS = {
+  pending: 'refund pending',
+  succeeded: 'refunded',
+  failed: 'refund failed',
+};
+
+const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+const itemName = (item) => (
+  <>
+    {item.product_name || `Product #${item.product_id}`}
+    {item.variant_attributes && ` (${variantLabel(item.variant_attributes)})`}
+  </>
+);
+
+// Returns of a delivered order: customers request them per line, staff
+// approve (restocking and refunding) or reject them
+function OrderReturns({ order, onFetchReturns, onRequestReturn, onReviewReturn }) {
+  const [returns, setReturns] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [reviews, setReviews] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchReturns(order.id).then((data) => {
+      if (!cancelled) setReturns(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [order.id, order.status, onFetchReturns]);
+
+  if (returns === null) {
+    return <p className="timeline-empty">Loading returns...</p>;
+  }
+
+  // Units already in a return that was not rejected cannot be returned again
+  const returnedQuantity = (orderItemId) => returns
+    .filter((entry) => entry.status !== 'rejected')
+    .flatMap((entry) => entry.items)
+    .filter((item) => item.order_item_id === orderItemId)
+    .reduce((sum, item) => sum + item.quantity, 0);
+  const returnableItems = order.items
+    .map((item) => ({ ...item, returnable: item.quantity - returnedQuantity(item.id) }))
+    .filter((item) => item.returnable > 0);
+  const canRequest = Boolean(onRequestReturn) && order.status === 'delivered' && returnableItems.length > 0;
+
+  const startRequest = () => {
+    setQuantities({});
+    setReason('');
+    setFormError(null);
+    setFieldErrors({});
+    setRequesting(true);
+  };
+
+  const handleRequest = async () => {
+    const items = returnableItems
+      .filter((item) => (quantities[item.id] || 0) > 0)
+      .map((item) => ({ order_item_id: item.id, quantity: quantities[item.id] }));
+
+    const errors = {};
+    if (items.length === 0) errors.items = 'Choose at least one unit to return';
+    if (!reason.trim()) errors.reason = 'Tell us why the items are being returned';
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setFormError('Please correct the highlighted fields');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await onRequestReturn(order.id, { reason, items });
+    setSubmitting(false);
+
+    if (!result.ok) {
+      // Line errors come back by position in the request; show them by order item
+      const lineErrors = {};
+      items.forEach((item, index) => {
+        const message = result.fieldErrors[`items[${index}].quantity`] || result.fieldErrors[`items[${index}].order_item_id`];
+        if (message) lineErrors[`item-${item.order_item_id}`] = message;
+      });
+      setFormError(result.error);
+      setFieldErrors({ ...result.fieldErrors, ...lineErrors });
+      return;
+    }
+
+    setReturns([result.data, ...returns]);
+    setRequesting(false);
+  };
+
+  const changeReview = (returnId, field, value) => {
+    setReviews({ ...reviews, [returnId]: { restock: true, note: '', ...reviews[returnId], [field]: value } });
+  };
+
+  const handleReview = async (returnId, status) => {
+    const review = { restock: true, note: '', ...reviews[returnId] };
+    if (!window.confirm(`${status === 'approved' ? 'Approve' : 'Reject'} this return?`)) return;
+
+    const result = await onReviewReturn(order.id, returnId, { status, ...review });
+    if (!result.ok) {
+      alert(result.error);
+      return;
+    }
+    setReturns(returns.map((entry) => (entry.id === returnId ? result.data : entry)));
+  };
+
+  return (
+    <div className="order-returns">
+      {returns.length === 0 && !requesting && <p className="timeline-empty">No returns requested</p>}
+
+      {returns.map((entry) => (
+        <div key={entry.id} className="return-card">
+          <div className="return-header">
+            <span className={`badge ${RETURN_BADGE_CLASSES[entry.status]}`}>{entry.status.toUpperCase()}</span>
+            <span className="timeline-meta">
+              Return #{entry.id} · {new Date(entry.created_at).toLocaleString()}
+              {entry.requested_by_name && ` · by ${entry.requested_by_name}`}
+            </span>
+          </div>
+          <ul className="return-items">
+            {entry.items.map((item) => (
+              <li key={item.order_item_id}>
+                {itemName(item)} × {item.quantity}
+              </li>
+            ))}
+          </ul>
+          <p className="timeline-note">{entry.reason}</p>
+
+          {entry.status !== 'requested' && (
+            <p className="timeline-meta">
+              {entry.status === 'approved' ? 'Approved' : 'Rejected'}
+              {entry.reviewed_by_name && ` by ${entry.reviewed_by_name}`}
+              {entry.review_note && `: ${entry.review_note}`}
+            </p>
+          )}
+
+          {entry.status === 'approved' && (
+            <p className="return-refund">
+              Refund {formatMoney(entry.refund_amount)}
+              {entry.refund
+                ? ` · ${REFUND_STATUS_LABELS[entry.refund.status]}${entry.refund.status === 'failed' && entry.refund.failure_reason ? ` (${entry.refund.failure_reason})` : ''}`
+                : parseFloat(entry.refund_amount) > 0 && ' · no online payment to refund; refund manually'}
+              {entry.restocked && ' · units restocked'}
+            </p>
+          )}
+
+          {entry.status === 'requested' && onReviewReturn && (
+            <div className="return-review">
+              <input
+                type="text"
+                className="form-input"
+                value={(reviews[entry.id] && reviews[entry.id].note) || ''}
+                onChange={(e) => changeReview(entry.id, 'note', e.target.value)}
+                placeholder="Note for the customer (optional)"
+                maxLength={1000}
+              />
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={!reviews[entry.id] || reviews[entry.id].restock}
+                  onChange={(e) => changeReview(entry.id, 'restock', e.target.checked)}
+                />
+                Put the units back in stock
+              </label>
+              <div className="status-buttons">
+                <button className="btn-status" onClick={() => handleReview(entry.id, 'approved')}>
+                  ✅ Approve
+                </button>
+                <button className="btn-status" onClick={() => handleReview(entry.id, 'rejected')}>
+                  ❌ Reject
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {requesting ? (
+        <div className="return-form">
+          {formError && <div className="alert alert-error">{formError}</div>}
+          <table className="items-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Returnable</th>
+                <th>Return</th>
+              </tr>
+            </thead>
+            <tbody>
+              {returnableItems.map((item) => (
+                <tr key={item.id}>
+                  <td>{itemName(item)}</td>
+                  <td>{item.returnable}</td>
+                  <td>
+                    <input
+                      type="number"
+                      className={`form-input return-quantity ${fieldErrors[`item-${item.id}`] ? 'input-error' : ''}`}
+                      value={quantities[item.id] || 0}
+                      onChange={(e) => setQuantities({
+                        ...quantities,
+                        [item.id]: Math.min(Math.max(parseInt(e.target.value) || 0, 0), item.returnable),
+                      })}
+                      min="0"
+                      max={item.returnable}
+                    />
+                    <FieldError message={fieldErrors[`item-${item.id}`]} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <FieldError message={fieldErrors.items} />
+
+          <div className="form-group">
+            <label htmlFor={`returnReason${order.id}`}>Reason *</label>
+            <textarea
+              id={`returnReason${order.id}`}
+              className={`form-input ${fieldErrors.reason ? 'input-error' : ''}`}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows="2"
+              maxLength={2000}
+            />
+            <FieldError message={fieldErrors.reason} />
+          </div>
+
+          <div className="status-buttons">
+            <button className="btn btn-primary" onClick={handleRequest} disabled={submitting}>
+              {submitting ? '⏳ Sending...' : '↩️ Request Return'}
+            </button>
+            <button className="btn btn-secondary" onClick={() => setRequesting(false)} disabled={submitting}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        canRequest && (
+          <button className="btn btn-secondary" onClick={startRequest}>
+            ↩️ Return Items
+          </button>
+        )
+      )}
+    </div>
+  );
+}
+
+export default OrderReturns;
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+function OrderTimeline({ orderId, status, onFetchHistory, getStatusEmoji }) {
+  const [history, setHistory] = useState(null);
+
+  // Reload whenever the order moves to a new status
+  useEffect(() => {
+    let cancelled = false;
+    onFetchHistory(orderId).then((data) => {
+      if (!cancelled) setHistory(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, status, onFetchHistory]);
+
+  if (history === null) {
+    return <p className="timeline-empty">Loading timeline...</p>;
+  }
+
+  if (history.length === 0) {
+    return <p className="timeline-empty">No status changes recorded</p>;
+  }
+
+  return (
+    <ol className="order-timeline">
+      {history.map((entry) => (
+        <li key={entry.id} className="timeline-entry">
+          <span className="timeline-status">
+            {getStatusEmoji(entry.to_status)}{' '}
+            {entry.from_status ? `${entry.from_status} → ${entry.to_status}` : `Order placed (${entry.to_status})`}
+          </span>
+          <span className="timeline-meta">
+            {new Date(entry.created_at).toLocaleString()}
+            {entry.changed_by_name && ` · by ${entry.changed_by_name}`}
+          </span>
+          {entry.note && <span className="timeline-note">{entry.note}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default OrderTimeline;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import FieldError from './FieldError';
+import { flattenCategories } from '../categories';
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x200?text=No+Image';
+
+// Number inputs hold strings; empty fields are left out so the API reports them
+const toNumber = (value) => (value === '' ? undefined : Number(value));
+
+function ProductForm({ product, categories, onSave, onAdjustStock, onCancel, onSaved }) {
+  const isNew = !product;
+  const [sku, setSku] = useState(product ? product.sku || '' : '');
+  const [name, setName] = useState(product ? product.name : '');
+  const [description, setDescription] = useState(product ? product.description || '' : '');
+  const [price, setPrice] = useState(product ? String(product.price) : '');
+  const [categoryId, setCategoryId] = useState(product ? String(product.category_id) : '');
+  const [stock, setStock] = useState(product ? product.stock : 0);
+  const [weight, setWeight] = useState(product && product.weight !== null ? String(product.weight) : '');
+  const [imageUrl, setImageUrl] = useState(product ? product.image_url || '' : '');
+  const [imageFailed, setImageFailed] = useState(false);
+  const [adjustment, setAdjustment] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleImageUrlChange = (value) => {
+    setImageUrl(value);
+    setImageFailed(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setFormError(null);
+
+    const productData = {
+      sku,
+      name,
+      description,
+      price: toNumber(price),
+      category_id: toNumber(categoryId),
+      weight: toNumber(weight),
+      image_url: imageUrl,
+    };
+    // Existing products change stock through adjustments only
+    if (isNew) productData.stock = toNumber(stock);
+
+    const result = await onSave(productData, isNew ? null : product.id);
+    setSubmitting(false);
+
+    if (!result.ok) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    onSaved(result.data);
+  };
+
+  const handleAdjustStock = async () => {
+    setSubmitting(true);
+    setFormError(null);
+
+    const result = await onAdjustStock(product.id, toNumber(adjustment));
+    setSubmitting(false);
+
+    if (!result.ok) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    setStock(result.data.stock);
+    setAdjustment('');
+    setFieldErrors({});
+  };
+
+  return (
+    <div className="product-editor">
+      <div className="section-header-inline">
+        <h3>{isNew ? 'New Product' : `Edit ${product.name}`}</h3>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          ← Back to list
+        </button>
+      </div>
+
+      {formError && <div className="alert alert-error">{formError}</div>}
+
+      <form className="order-form" onSubmit={handleSubmit} noValidate>
+        <div className="product-editor-grid">
+          <div className="form-section">
+            <div className="form-group">
+              <label htmlFor="productName">Name *</label>
+              <input
+                id="productName"
+                type="text"
+                className={`form-input ${fieldErrors.name ? 'input-error' : ''}`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="productSku">SKU *</label>
+              <input
+                id="productSku"
+                type="text"
+                className={`form-input ${fieldErrors.sku ? 'input-error' : ''}`}
+                value={sku}
+                onChange={(e) => setSku(e.target.value)}
+                placeholder="e.g. ELEC-MOUSE-WL"
+                required
+              />
+              <FieldError message={fieldErrors.sku} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="productDescription">Description</label>
+              <textarea
+                id="productDescription"
+                className={`form-input ${fieldErrors.description ? 'input-error' : ''}`}
+                rows="4"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+              <FieldError message={fieldErrors.description} />
+            </div>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="productPrice">Price *</label>
+                <input
+                  id="productPrice"
+                  type="number"
+                  className={`form-input ${fieldErrors.price ? 'input-error' : ''}`}
+                  min="0"
+                  step="0.01"
+                  value={price}
+                  onChange={(e) => setPrice(e.target.value)}
+                  required
+                />
+                <FieldError message={fieldErrors.price} />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="productCategory">Category *</label>
+                <select
+                  id="productCategory"
+                  className={`form-input ${fieldErrors.category_id ? 'input-error' : ''}`}
+                  value={categoryId}
+                  onChange={(e) => setCategoryId(e.target.value)}
+                  required
+                >
+                  <option value="">Select a category...</option>
+                  {flattenCategories(categories).map(({ category, depth }) => (
+                    <option key={category.id} value={category.id}>
+                      {`${'\u00a0\u00a0'.repeat(depth)}${category.name}`}
+                    </option>
+                  ))}
+                </select>
+                <FieldError message={fieldErrors.category_id} />
+              </div>
+            </div>
+
+            {isNew ? (
+              <div className="form-group">
+                <label htmlFor="productStock">Initial Stock</label>
+                <input
+                  id="productStock"
+                  type="number"
+                  className={`form-input ${fieldErrors.stock ? 'input-error' : ''}`}
+                  min="0"
+                  step="1"
+                  value={stock}
+                  onChange={(e) => setStock(e.target.value)}
+                />
+                <FieldError message={fieldErrors.stock} />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label htmlFor="productAdjustment">
+                  Stock: <strong>{stock} units</strong>
+                </label>
+                <div className="stock-adjuster">
+                  <input
+                    id="productAdjustment"
+                    type="number"
+                    className={`form-input ${fieldErrors.adjustment ? 'input-error' : ''}`}
+                    step="1"
+                    value={adjustment}
+                    onChange={(e) => setAdjustment(e.target.value)}
+                    placeholder="e.g. 10 or -5"
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleAdjustStock}
+                    disabled={submitting || adjustment === ''}
+                  >
+                    Adjust
+                  </button>
+                </div>
+                <FieldError message={fieldErrors.adjustment} />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="productWeight">Shipping Weight (kg)</label>
+              <input
+                id="productWeight"
+                type="number"
+                className={`form-input ${fieldErrors.weight ? 'input-error' : ''}`}
+                min="0"
+                step="0.001"
+                value={weight}
+                onChange={(e) => setWeight(e.target.value)}
+                placeholder="Used for weight-based shipping"
+              />
+              <FieldError message={fieldErrors.weight} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="productImageUrl">Image URL</label>
+              <input
+                id="productImageUrl"
+                type="url"
+                className={`form-input ${fieldErrors.image_url ? 'input-error' : ''}`}
+                value={imageUrl}
+                onChange={(e) => handleImageUrlChange(e.target.value)}
+                placeholder="https://..."
+              />
+              <FieldError message={fieldErrors.image_url} />
+            </div>
+          </div>
+
+          <div className="image-preview">
+            <img
+              src={imageUrl && !imageFailed ? imageUrl : PLACEHOLDER_IMAGE}
+              alt={name || 'Product preview'}
+              onError={() => setImageFailed(true)}
+            />
+            {imageFailed && <p className="field-error">The image could not be loaded</p>}
+          </div>
+        </div>
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary btn-large" disabled={submitting}>
+            {submitting ? '⏳ Saving...' : isNew ? '✅ Create Product' : '💾 Save Changes'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ProductForm;
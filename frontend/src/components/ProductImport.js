@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+
+const ACTION_LABELS = {
+  create: '🆕 New',
+  update: '✏️ Update',
+  unchanged: '— Unchanged',
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '∅' : String(value));
+
+function ProductImport({ onExport, onImport, onDone }) {
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [details, setDetails] = useState([]);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const handleExport = async (format) => {
+    setError(null);
+    const errorMessage = await onExport(format, includeArchived);
+    if (errorMessage) setError(errorMessage);
+  };
+
+  const handleFileChange = (selectedFile) => {
+    setFile(selectedFile);
+    setPreview(null);
+    setDetails([]);
+    setError(null);
+    setMessage(null);
+  };
+
+  // A dry run first, so the diff can be reviewed before anything is saved
+  const runImport = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    const result = await onImport(file, dryRun);
+    setBusy(false);
+
+    if (!result.ok) {
+      setPreview(null);
+      setError(result.error);
+      setDetails(result.details);
+      return;
+    }
+
+    setDetails([]);
+    if (dryRun) {
+      setPreview(result.data);
+      return;
+    }
+
+    const { created, updated } = result.data.summary;
+    setPreview(null);
+    setFile(null);
+    setMessage(`Import complete: ${created} created, ${updated} updated`);
+  };
+
+  const visibleRows = preview
+    ? preview.rows.filter((row) => showUnchanged || row.action !== 'unchanged')
+    : [];
+  const hasChanges = preview && (preview.summary.created > 0 || preview.summary.updated > 0);
+
+  return (
+    <div className="product-import">
+      <div className="section-header-inline">
+        <h3>Import / Export</h3>
+        <button type="button" className="btn btn-secondary" onClick={onDone}>
+          ← Back to list
+        </button>
+      </div>
+
+      {message && <div className="alert alert-success">{message}</div>}
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="form-section">
+        <h3>Export</h3>
+        <div className="import-actions">
+          <button type="button" className="btn btn-secondary" onClick={() => handleExport('csv')}>
+            ⬇️ Export CSV
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => handleExport('json')}>
+            ⬇️ Export JSON
+          </button>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={includeArchived}
+              onChange={(e) => setIncludeArchived(e.target.checked)}
+            />
+            Include archived products
+          </label>
+        </div>
+      </div>
+
+      <div className="form-section">
+        <h3>Import</h3>
+        <p className="import-help">
+          Upload a CSV or JSON file with the exported columns. Products are matched by SKU:
+          new SKUs are created and existing ones updated. The category column takes a category
+          slug, or a category name that only one category uses.
+        </p>
+        <div className="import-actions">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={(e) => handleFileChange(e.target.files[0] || null)}
+          />
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => runImport(true)}
+            disabled={!file || busy}
+          >
+            🔍 Preview Changes
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => runImport(false)}
+            disabled={!hasChanges || busy}
+          >
+            {busy ? '⏳ Working...' : '✅ Apply Import'}
+          </button>
+        </div>
+      </div>
+
+      {details.length > 0 && (
+        <table className="items-table import-errors">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Field</th>
+              <th>Problem</th>
+            </tr>
+          </thead>
+          <tbody>
+            {details.map((detail, index) => (
+              <tr key={index}>
+                <td>{detail.row}</td>
+                <td>{detail.field.replace(/^rows\[\d+\]\.?/, '') || '—'}</td>
+                <td>{detail.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {preview && (
+        <div className="import-preview">
+          <p>
+            <strong>{preview.summary.total}</strong> rows: {preview.summary.created} new,{' '}
+            {preview.summary.updated} updated, {preview.summary.unchanged} unchanged.
+            {!hasChanges && ' Nothing to import.'}
+          </p>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={showUnchanged}
+              onChange={(e) => setShowUnchanged(e.target.checked)}
+            />
+            Show unchanged rows
+          </label>
+
+          <table className="items-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>SKU</th>
+                <th>Change</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.row} className={`import-row-${row.action}`}>
+                  <td>{row.row}</td>
+                  <td>{row.sku}</td>
+                  <td>{ACTION_LABELS[row.action]}</td>
+                  <td>
+                    {row.changes &&
+                      Object.entries(row.changes).map(([field, change]) => (
+                        <div key={field} className="import-change">
+                          <strong>{field}:</strong> <del>{formatValue(change.from)}</del> →{' '}
+                          <ins>{formatValue(change.to)}</ins>
+                        </div>
+                      ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductImport;
@@ -1,81 +1,357 @@
-import React from 'react';
-
-function ProductList({ products, loading, onRefresh }) {
-  if (loading) {
-    return (
-      <div className="loading-container">
-        <div className="spinner"></div>
-        <p>Loading products...</p>
-      </div>
-    );
-  }
+import React, { useState, useEffect } from 'react';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { variantLabel, variantPrice } from '../variants';
+import CategoryTree from './CategoryTree';
+
+const SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'price:asc', label: 'Price: low to high' },
+  { value: 'price:desc', label: 'Price: high to low' },
+  { value: 'name:asc', label: 'Name: A to Z' },
+  { value: 'name:desc', label: 'Name: Z to A' },
+];
+
+function ProductList({
+  products,
+  pagination,
+  query,
+  categories,
+  loading,
+  onQueryChange,
+  onSearch,
+  onRefresh,
+  cartItemCount,
+  onAddToCart,
+  onOpenCart,
+}) {
+  const [minPrice, setMinPrice] = useState(query.min_price);
+  const [maxPrice, setMaxPrice] = useState(query.max_price);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [cartError, setCartError] = useState(null);
+  const [addingProductId, setAddingProductId] = useState(null);
+  // Chosen variant id per product card; cards default to their first variant
+  const [selectedVariants, setSelectedVariants] = useState({});
+  const debouncedSearchTerm = useDebouncedValue(searchTerm.trim(), 300);
+
+  // Keep the price inputs in sync when the query is reset from outside
+  useEffect(() => {
+    setMinPrice(query.min_price);
+    setMaxPrice(query.max_price);
+  }, [query.min_price, query.max_price]);
+
+  // Search results replace the paginated catalog while a term is entered
+  useEffect(() => {
+    if (debouncedSearchTerm === '') {
+      setSearchResults(null);
+      setSearching(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+    onSearch(debouncedSearchTerm, { limit: 50 }).then((data) => {
+      if (!cancelled) {
+        setSearchResults(data);
+        setSearching(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedSearchTerm, onSearch]);
+
+  const isSearching = searchResults !== null;
+  const visibleProducts = isSearching ? searchResults : products;
+
+  // Any filter change starts again from the first page
+  const applyFilters = (changes) => {
+    onQueryChange({ ...changes, page: 1 });
+  };
+
+  const handlePriceSubmit = (e) => {
+    e.preventDefault();
+    applyFilters({ min_price: minPrice, max_price: maxPrice });
+  };
+
+  const handleSortChange = (value) => {
+    const [sort, order] = value.split(':');
+    applyFilters({ sort, order });
+  };
+
+  const handleReset = () => {
+    applyFilters({
+      category: '',
+      min_price: '',
+      max_price: '',
+      in_stock: false,
+      sort: 'created_at',
+      order: 'desc',
+    });
+  };
+
+  const selectedVariantOf = (product) => {
+    const variants = product.variants || [];
+    return variants.find((variant) => variant.id === selectedVariants[product.id]) || variants[0] || null;
+  };
+
+  const handleAddToCart = async (product, variant) => {
+    setAddingProductId(product.id);
+    setCartError(null);
+    const errorMessage = await onAddToCart(product.id, variant ? variant.id : null);
+    setAddingProductId(null);
+    if (errorMessage) setCartError(errorMessage);
+  };
+
+  const page = pagination ? pagination.page : 1;
+  const totalPages = pagination ? Math.max(pagination.total_pages, 1) : 1;
+  const total = pagination ? pagination.total : products.length;
+  const firstItem = total === 0 ? 0 : (page - 1) * query.limit + 1;
+  const lastItem = Math.min(page * query.limit, total);
 
   return (
     <div className="content-section">
       <div className="section-header">
         <h2>Product Catalog</h2>
-        <button className="btn btn-primary" onClick={onRefresh}>
-          🔄 Refresh
-        </button>
+        <div className="section-header-actions">
+          {onAddToCart && (
+            <button className="btn btn-secondary" onClick={onOpenCart}>
+              🛒 Cart ({cartItemCount})
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={onRefresh}>
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
-      {products.length === 0 ? (
-        <div className="empty-state">
-          <p>No products available</p>
-        </div>
-      ) : (
-        <div className="product-grid">
-          {products.map((product) => (
-            <div key={product.id} className="product-card">
-              <div className="product-image">
-                <img
-                  src={product.image_url || 'https://via.placeholder.com/300x200?text=No+Image'}
-                  alt={product.name}
-                  onError={(e) => {
-                    e.target.src = 'https://via.placeholder.com/300x200?text=No+Image';
-                  }}
+      {cartError && <div className="alert alert-error">{cartError}</div>}
+
+      <div className="product-search-bar">
+        <input
+          type="search"
+          className="form-input"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="🔍 Search products by name, description or category..."
+          aria-label="Search products"
+        />
+      </div>
+
+      <div className={isSearching ? '' : 'catalog-layout'}>
+        {!isSearching && (
+          <CategoryTree
+            categories={categories}
+            selectedSlug={query.category}
+            onSelect={(slug) => applyFilters({ category: slug })}
+          />
+        )}
+
+        <div className="catalog-main">
+          {!isSearching && (
+            <form className="product-filters" onSubmit={handlePriceSubmit}>
+              <div className="form-group">
+                <label htmlFor="filterMinPrice">Min Price</label>
+                <input
+                  id="filterMinPrice"
+                  type="number"
+                  className="form-input"
+                  min="0"
+                  step="0.01"
+                  value={minPrice}
+                  onChange={(e) => setMinPrice(e.target.value)}
+                  placeholder="0.00"
                 />
-                {product.stock < 10 && product.stock > 0 && (
-                  <span className="badge badge-warning">Low Stock</span>
-                )}
-                {product.stock === 0 && (
-                  <span className="badge badge-danger">Out of Stock</span>
-                )}
               </div>
 
-              <div className="product-info">
-                <h3 className="product-name">{product.name}</h3>
-                <p className="product-category">{product.category}</p>
-                <p className="product-description">{product.description}</p>
+              <div className="form-group">
+                <label htmlFor="filterMaxPrice">Max Price</label>
+                <input
+                  id="filterMaxPrice"
+                  type="number"
+                  className="form-input"
+                  min="0"
+                  step="0.01"
+                  value={maxPrice}
+                  onChange={(e) => setMaxPrice(e.target.value)}
+                  placeholder="Any"
+                />
+              </div>
 
-                <div className="product-footer">
-                  <div className="product-price">
-                    <span className="price-label">Price:</span>
-                    <span className="price-value">${parseFloat(product.price).toFixed(2)}</span>
-                  </div>
-                  <div className="product-stock">
-                    <span className="stock-label">Stock:</span>
-                    <span className={`stock-value ${product.stock < 10 ? 'low' : ''}`}>
-                      {product.stock} units
-                    </span>
-                  </div>
-                </div>
+              <div className="form-group">
+                <label htmlFor="filterSort">Sort By</label>
+                <select
+                  id="filterSort"
+                  className="form-input"
+                  value={`${query.sort}:${query.order}`}
+                  onChange={(e) => handleSortChange(e.target.value)}
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-                <div className="product-meta">
-                  <small>ID: {product.id}</small>
-                  <small>Added: {new Date(product.created_at).toLocaleDateString()}</small>
-                </div>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={query.in_stock}
+                  onChange={(e) => applyFilters({ in_stock: e.target.checked })}
+                />
+                In stock only
+              </label>
+
+              <div className="filter-actions">
+                <button type="submit" className="btn btn-secondary">
+                  Apply
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={handleReset}>
+                  Reset
+                </button>
               </div>
+            </form>
+          )}
+
+          {loading || (searching && !isSearching) ? (
+            <div className="loading-container">
+              <div className="spinner"></div>
+              <p>Loading products...</p>
+            </div>
+          ) : visibleProducts.length === 0 ? (
+            <div className="empty-state">
+              <p>
+                {isSearching
+                  ? `No products match "${debouncedSearchTerm}"`
+                  : 'No products match the selected filters'}
+              </p>
+            </div>
+          ) : (
+            <div className="product-grid">
+              {visibleProducts.map((product) => {
+                const variant = selectedVariantOf(product);
+                const price = variantPrice(product, variant);
+                const stock = variant ? variant.stock : product.stock;
+
+                return (
+                  <div key={product.id} className="product-card">
+                    <div className="product-image">
+                      <img
+                        src={product.image_url || 'https://via.placeholder.com/300x200?text=No+Image'}
+                        alt={product.name}
+                        onError={(e) => {
+                          e.target.src = 'https://via.placeholder.com/300x200?text=No+Image';
+                        }}
+                      />
+                      {stock < 10 && stock > 0 && (
+                        <span className="badge badge-warning">Low Stock</span>
+                      )}
+                      {stock === 0 && (
+                        <span className="badge badge-danger">Out of Stock</span>
+                      )}
+                    </div>
+
+                    <div className="product-info">
+                      <h3 className="product-name">{product.name}</h3>
+                      <p className="product-category">{product.category}</p>
+                      <p className="product-description">{product.description}</p>
+
+                      {variant && (
+                        <div className="form-group variant-picker">
+                          <label htmlFor={`variant-${product.id}`}>Option</label>
+                          <select
+                            id={`variant-${product.id}`}
+                            className="form-input"
+                            value={variant.id}
+                            onChange={(e) =>
+                              setSelectedVariants({ ...selectedVariants, [product.id]: Number(e.target.value) })
+                            }
+                          >
+                            {product.variants.map((option) => (
+                              <option key={option.id} value={option.id}>
+                                {variantLabel(option.attributes)}
+                                {option.stock === 0 ? ' (out of stock)' : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
+                      <div className="product-footer">
+                        <div className="product-price">
+                          <span className="price-label">Price:</span>
+                          <span className="price-value">${parseFloat(price).toFixed(2)}</span>
+                        </div>
+                        <div className="product-stock">
+                          <span className="stock-label">Stock:</span>
+                          <span className={`stock-value ${stock < 10 ? 'low' : ''}`}>
+                            {stock} units
+                          </span>
+                        </div>
+                      </div>
+
+                      <div className="product-meta">
+                        <small>ID: {product.id}</small>
+                        <small>Added: {new Date(product.created_at).toLocaleDateString()}</small>
+                      </div>
+
+                      {onAddToCart && (
+                        <button
+                          className="btn btn-primary btn-add-to-cart"
+                          onClick={() => handleAddToCart(product, variant)}
+                          disabled={stock === 0 || addingProductId === product.id}
+                        >
+                          {addingProductId === product.id ? '⏳ Adding...' : '🛒 Add to Cart'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
             </div>
-          ))}
+          )}
+
+          {!isSearching && (
+            <div className="pagination">
+              <button
+                className="btn btn-secondary"
+                onClick={() => onQueryChange({ page: page - 1 })}
+                disabled={loading || page <= 1}
+              >
+                ← Previous
+              </button>
+              <span className="pagination-info">
+                Page {page} of {totalPages}
+              </span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onQueryChange({ page: page + 1 })}
+                disabled={loading || page >= totalPages}
+              >
+                Next →
+              </button>
+            </div>
+          )}
         </div>
-      )}
+      </div>
 
       <div className="section-footer">
-        <p>Total Products: <strong>{products.length}</strong></p>
+        {isSearching ? (
+          <p>
+            Found <strong>{searchResults.length}</strong> products matching "{debouncedSearchTerm}"
+          </p>
+        ) : (
+          <p>
+            Showing {firstItem}–{lastItem} of <strong>{total}</strong> products
+          </p>
+        )}
       </div>
     </div>
   );
 }
 
-export default ProductList;
\ No newline at end of file
+export default ProductList;
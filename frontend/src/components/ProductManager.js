@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import ProductForm from './ProductForm';
+import ProductImport from './ProductImport';
+
+function ProductManager({
+  categories,
+  onFetchProducts,
+  onSave,
+  onAdjustStock,
+  onArchive,
+  onRestore,
+  onExport,
+  onImport,
+}) {
+  const [view, setView] = useState('active');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  // null while listing, 'new' for the create form, or the product being edited
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const archived = view === 'archived';
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    onFetchProducts({ archived, page }).then((data) => {
+      if (!cancelled) {
+        setResult(data);
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [archived, page, reloadCount, onFetchProducts]);
+
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const changeView = (nextView) => {
+    setView(nextView);
+    setPage(1);
+    setConfirmingId(null);
+    setMessage(null);
+    setError(null);
+  };
+
+  // Archive and restore share the same flow: run, report, reload the list
+  const runRowAction = async (product, action, successMessage) => {
+    setBusyId(product.id);
+    setConfirmingId(null);
+    setMessage(null);
+    setError(null);
+
+    const outcome = await action(product.id);
+    setBusyId(null);
+
+    if (!outcome.ok) {
+      setError(outcome.error);
+      return;
+    }
+
+    setMessage(successMessage);
+    reload();
+  };
+
+  const handleSaved = (product) => {
+    setMessage(editing === 'new' ? `Created "${product.name}"` : `Saved "${product.name}"`);
+    setEditing(null);
+    reload();
+  };
+
+  if (importing) {
+    return (
+      <div className="content-section">
+        <ProductImport
+          onExport={onExport}
+          onImport={onImport}
+          onDone={() => {
+            setImporting(false);
+            reload();
+          }}
+        />
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="content-section">
+        <ProductForm
+          product={editing === 'new' ? null : editing}
+          categories={categories}
+          onSave={onSave}
+          onAdjustStock={onAdjustStock}
+          onCancel={() => {
+            setEditing(null);
+            reload();
+          }}
+          onSaved={handleSaved}
+        />
+      </div>
+    );
+  }
+
+  const products = result ? result.data : [];
+  const totalPages = result ? Math.max(result.pagination.total_pages, 1) : 1;
+
+  return (
+    <div className="content-section">
+      <div className="section-header">
+        <h2>Manage Products</h2>
+        <div className="section-header-actions">
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              setMessage(null);
+              setImporting(true);
+            }}
+          >
+            📥 Import / Export
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => {
+              setMessage(null);
+              setEditing('new');
+            }}
+          >
+            ➕ New Product
+          </button>
+        </div>
+      </div>
+
+      <div className="filter-buttons">
+        <button
+          className={`filter-btn ${!archived ? 'active' : ''}`}
+          onClick={() => changeView('active')}
+        >
+          Active
+        </button>
+        <button
+          className={`filter-btn ${archived ? 'active' : ''}`}
+          onClick={() => changeView('archived')}
+        >
+          Archived
+        </button>
+      </div>
+
+      {message && <div className="alert alert-success">{message}</div>}
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {loading && !result ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading products...</p>
+        </div>
+      ) : products.length === 0 ? (
+        <div className="empty-state">
+          <p>{archived ? 'No archived products' : 'No products yet'}</p>
+        </div>
+      ) : (
+        <table className="items-table manage-table">
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Category</th>
+              <th>Price</th>
+              <th>Stock</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((product) => (
+              <tr key={product.id}>
+                <td>
+                  <strong>{product.name}</strong>
+                  <small className="manage-table-id">
+                    ID: {product.id}
+                    {product.sku && ` · SKU: ${product.sku}`}
+                  </small>
+                </td>
+                <td>{product.category}</td>
+                <td>${parseFloat(product.price).toFixed(2)}</td>
+                <td className={product.stock < 10 ? 'stock-value low' : ''}>{product.stock}</td>
+                <td className="manage-table-actions">
+                  {archived ? (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => runRowAction(product, onRestore, `Restored "${product.name}"`)}
+                      disabled={busyId === product.id}
+                    >
+                      ♻️ Restore
+                    </button>
+                  ) : confirmingId === product.id ? (
+                    <>
+                      <span>Archive this product?</span>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => runRowAction(product, onArchive, `Archived "${product.name}"`)}
+                      >
+                        Yes, archive
+                      </button>
+                      <button className="btn btn-secondary" onClick={() => setConfirmingId(null)}>
+                        Keep
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => {
+                          setMessage(null);
+                          setEditing(product);
+                        }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => setConfirmingId(product.id)}
+                        disabled={busyId === product.id}
+                      >
+                        🗄️ Archive
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="pagination">
+        <button
+          className="btn btn-secondary"
+          onClick={() => setPage(page - 1)}
+          disabled={loading || page <= 1}
+        >
+          ← Previous
+        </button>
+        <span className="pagination-info">
+          Page {page} of {totalPages}
+        </span>
+        <button
+          className="btn btn-secondary"
+          onClick={() => setPage(page + 1)}
+          disabled={loading || page >= totalPages}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ProductManager;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+
+function ProductSearch({ selectedProduct, onSearch, onSelect }) {
+  const [term, setTerm] = useState(selectedProduct ? selectedProduct.name : '');
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const debouncedTerm = useDebouncedValue(term, 300);
+
+  useEffect(() => {
+    if (!open || debouncedTerm.trim() === '') {
+      setResults([]);
+      return undefined;
+    }
+
+    // Ignore responses that arrive after the term has changed again
+    let cancelled = false;
+    setSearching(true);
+    onSearch(debouncedTerm, { inStock: true }).then((data) => {
+      if (!cancelled) {
+        setResults(data);
+        setSearching(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedTerm, open, onSearch]);
+
+  const handleChange = (value) => {
+    setTerm(value);
+    setOpen(true);
+    if (selectedProduct) {
+      onSelect(null);
+    }
+  };
+
+  const handleSelect = (product) => {
+    setTerm(product.name);
+    setOpen(false);
+    onSelect(product);
+  };
+
+  return (
+    <div className="product-search">
+      <input
+        type="search"
+        className="form-input"
+        value={term}
+        onChange={(e) => handleChange(e.target.value)}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        placeholder="Search for a product..."
+        required={!selectedProduct}
+      />
+
+      {open && debouncedTerm.trim() !== '' && (
+        <ul className="search-results">
+          {searching && results.length === 0 && (
+            <li className="search-results-empty">Searching...</li>
+          )}
+          {!searching && results.length === 0 && (
+            <li className="search-results-empty">No in-stock products match "{debouncedTerm}"</li>
+          )}
+          {results.map((product) => (
+            <li key={product.id}>
+              <button
+                type="button"
+                className="search-result"
+                // Keep focus on the input so blur does not close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(product);
+                }}
+              >
+                <span>{product.name}</span>
+                <small>
+                  ${parseFloat(product.price).toFixed(2)} · Stock: {product.stock}
+                </small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ProductSearch;
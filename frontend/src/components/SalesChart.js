@@ -0,0 +1,51 @@
+import React from 'react';
+
+// Most axis labels shown under the columns, so long series stay readable
+const MAX_AXIS_LABELS = 8;
+
+// Bucket dates are YYYY-MM-DD; format them in UTC so they never shift a day
+const formatPeriod = (periodStart, interval) => {
+  const date = new Date(`${periodStart}T00:00:00Z`);
+  const options = interval === 'month'
+    ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+    : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return date.toLocaleDateString(undefined, options);
+};
+
+// Revenue per bucket as columns, with the order count in each tooltip
+function SalesChart({ buckets, interval }) {
+  const max = Math.max(...buckets.map((bucket) => parseFloat(bucket.revenue)), 0);
+  const labelStep = Math.ceil(buckets.length / MAX_AXIS_LABELS);
+
+  return (
+    <div className="sales-chart">
+      <div className="sales-chart-columns">
+        {buckets.map((bucket) => {
+          const revenue = parseFloat(bucket.revenue);
+          const label = formatPeriod(bucket.period_start, interval);
+          return (
+            <div
+              key={bucket.period_start}
+              className="sales-chart-column"
+              title={`${interval === 'week' ? `Week of ${label}` : label}: $${revenue.toFixed(2)} from ${bucket.orders} orders`}
+            >
+              <span
+                className="sales-chart-bar"
+                style={{ height: max > 0 ? `${(revenue / max) * 100}%` : 0 }}
+              />
+            </div>
+          );
+        })}
+      </div>
+      <div className="sales-chart-axis">
+        {buckets.map((bucket, index) => (
+          <span key={bucket.period_start}>
+            {index % labelStep === 0 ? formatPeriod(bucket.period_start, interval) : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SalesChart;
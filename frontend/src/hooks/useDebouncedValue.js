@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Returns the value once it has stopped changing for `delay` milliseconds
+function useDebouncedValue(value, delay = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
+
+export default useDebouncedValue;
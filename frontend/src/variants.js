@@ -0,0 +1,6 @@
+// "44mm / Black" style label for a variant's option attributes
+export const variantLabel = (attributes) => Object.values(attributes).join(' / ');
+
+// A variant's own price, falling back to the product price
+export const variantPrice = (product, variant) =>
+  variant && variant.price !== null ? variant.price : product.price;